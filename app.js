@@ -9,27 +9,94 @@ class AgeCalculator {
     this.elements = this.initializeElements();
     this.state = {
       isCalculating: false,
+      mode: "age",
+      liveTimer: null,
+      rerunHistoryId: null,
+      historyEntries: new Map(),
       currentDate: new Date(),
       theme: this.getStoredTheme(),
+      calendar: "gregory",
+      batchRows: [],
+      batchSort: { key: "line", descending: false },
     };
+    this.settings = this.loadSettings();
 
     this.init();
   }
 
   initializeElements() {
     return {
+      // Mode switch
+      modeButtons: document.querySelectorAll(".mode-btn"),
+
       // Form elements
       form: document.getElementById("age-form"),
+      labelInput: document.getElementById("label"),
+      calendarSelect: document.getElementById("calendar"),
+      calendarHint: document.getElementById("calendar-hint"),
+      dateTextInput: document.getElementById("date-text"),
+      dateTextHint: document.getElementById("date-text-hint"),
+      dateTextAlternative: document.getElementById("date-text-alternative"),
       dayInput: document.getElementById("day"),
       monthInput: document.getElementById("month"),
       yearInput: document.getElementById("year"),
+      hourInput: document.getElementById("hour"),
+      minuteInput: document.getElementById("minute"),
+      knownYearsInput: document.getElementById("known-years"),
+      knownMonthsInput: document.getElementById("known-months"),
+      knownDaysInput: document.getElementById("known-days"),
+      durationDirectionSelect: document.getElementById("duration-direction"),
+      monthEndSelect: document.getElementById("month-end"),
+      durationYearsInput: document.getElementById("duration-years"),
+      durationMonthsInput: document.getElementById("duration-months"),
+      durationWeeksInput: document.getElementById("duration-weeks"),
+      durationDaysInput: document.getElementById("duration-days"),
+      asOfToggle: document.getElementById("as-of-toggle"),
+      asOfFields: document.getElementById("as-of-fields"),
+      asOfLegend: document.getElementById("as-of-legend"),
+      asOfDayInput: document.getElementById("as-of-day"),
+      asOfMonthInput: document.getElementById("as-of-month"),
+      asOfYearInput: document.getElementById("as-of-year"),
+      inclusiveToggle: document.getElementById("inclusive-toggle"),
+      birthTimeZoneSelect: document.getElementById("birth-time-zone"),
+      timeZoneSelect: document.getElementById("time-zone"),
+      leapDayPolicySelect: document.getElementById("leap-day-policy"),
+      dateOrderSelect: document.getElementById("date-order"),
+      ageReckoningSelect: document.getElementById("age-reckoning"),
+      dayCountSelect: document.getElementById("day-count"),
+      decimalRoundingSelect: document.getElementById("decimal-rounding"),
+      minYearInput: document.getElementById("min-year"),
+      yearsAheadInput: document.getElementById("years-ahead"),
+      calendarReformSelect: document.getElementById("calendar-reform"),
+      gregorianSwitchSelect: document.getElementById("gregorian-switch"),
+      remindersToggle: document.getElementById("reminders-enabled"),
+      reminderDaysSelect: document.getElementById("reminder-days"),
+      reminderMilestonesToggle: document.getElementById("reminder-milestones"),
+      reminderMilestonesLabel: document.getElementById(
+        "reminder-milestones-label"
+      ),
+      remindersStatus: document.getElementById("reminders-status"),
       calculateBtn: document.getElementById("calculate-btn"),
       clearBtn: document.getElementById("clear-btn"),
+      historyBtn: document.getElementById("history-btn"),
+      peopleBtn: document.getElementById("people-btn"),
 
       // Error elements
       dayError: document.getElementById("day-error"),
       monthError: document.getElementById("month-error"),
       yearError: document.getElementById("year-error"),
+      hourError: document.getElementById("hour-error"),
+      minuteError: document.getElementById("minute-error"),
+      knownYearsError: document.getElementById("known-years-error"),
+      knownMonthsError: document.getElementById("known-months-error"),
+      knownDaysError: document.getElementById("known-days-error"),
+      durationYearsError: document.getElementById("duration-years-error"),
+      durationMonthsError: document.getElementById("duration-months-error"),
+      durationWeeksError: document.getElementById("duration-weeks-error"),
+      durationDaysError: document.getElementById("duration-days-error"),
+      asOfDayError: document.getElementById("as-of-day-error"),
+      asOfMonthError: document.getElementById("as-of-month-error"),
+      asOfYearError: document.getElementById("as-of-year-error"),
 
       // Results modal elements
       modal: document.getElementById("results-modal"),
@@ -39,9 +106,105 @@ class AgeCalculator {
       ageDays: document.getElementById("age-days"),
       birthDate: document.getElementById("birth-date"),
       totalDays: document.getElementById("total-days"),
-
-      // Theme toggle
+      statsPanel: document.getElementById("stats-panel"),
+      statsList: document.getElementById("stats-list"),
+      milestonesPanel: document.getElementById("milestones-panel"),
+      milestonesList: document.getElementById("milestones-list"),
+      exportActions: document.getElementById("export-actions"),
+      exportMilestonesToggle: document.getElementById("export-milestones"),
+      exportBtn: document.getElementById("export-btn"),
+      shareBtn: document.getElementById("share-btn"),
+      cardLayoutSelect: document.getElementById("card-layout"),
+      cardBtn: document.getElementById("card-btn"),
+      timeResults: document.getElementById("time-results"),
+      ageHours: document.getElementById("age-hours"),
+      ageMinutes: document.getElementById("age-minutes"),
+      ageSeconds: document.getElementById("age-seconds"),
+      unitLabels: {
+        years: document.getElementById("years-label"),
+        months: document.getElementById("months-label"),
+        days: document.getElementById("days-label"),
+        hours: document.getElementById("hours-label"),
+        minutes: document.getElementById("minutes-label"),
+        seconds: document.getElementById("seconds-label"),
+      },
+      leapDayNote: document.getElementById("leap-day-note"),
+      calendarBorn: document.getElementById("calendar-born"),
+      calendarAge: document.getElementById("calendar-age"),
+      reckonedAge: document.getElementById("reckoned-age"),
+      reckonedAgeNote: document.getElementById("reckoned-age-note"),
+      decimalAge: document.getElementById("decimal-age"),
+      zoneBirth: document.getElementById("zone-birth"),
+      zoneCurrent: document.getElementById("zone-current"),
+      rangeStart: document.getElementById("range-start"),
+      rangeEnd: document.getElementById("range-end"),
+      diffWeeks: document.getElementById("diff-weeks"),
+      eligibilityRule: document.getElementById("eligibility-rule"),
+      eligibilityGap: document.getElementById("eligibility-gap"),
+      eligibilityWindow: document.getElementById("eligibility-window"),
+      reverseRange: document.getElementById("reverse-range"),
+      reverseCount: document.getElementById("reverse-count"),
+      arithmeticDate: document.getElementById("arithmetic-date"),
+      arithmeticSummary: document.getElementById("arithmetic-summary"),
+      arithmeticUseBtn: document.getElementById("arithmetic-use"),
+      modalTitle: document.getElementById("modal-title"),
+
+      // History modal elements
+      historyModal: document.getElementById("history-modal"),
+      historyClose: document.getElementById("history-close"),
+      historySearch: document.getElementById("history-search"),
+      historyList: document.getElementById("history-list"),
+      historyEmpty: document.getElementById("history-empty"),
+
+      // People modal elements
+      peopleModal: document.getElementById("people-modal"),
+      peopleClose: document.getElementById("people-close"),
+      peopleForm: document.getElementById("people-form"),
+      personName: document.getElementById("person-name"),
+      personBirthDate: document.getElementById("person-birth-date"),
+      personError: document.getElementById("person-error"),
+      peopleList: document.getElementById("people-list"),
+      peopleEmpty: document.getElementById("people-empty"),
+
+      // Batch modal elements
+      batchBtn: document.getElementById("batch-btn"),
+      batchModal: document.getElementById("batch-modal"),
+      batchClose: document.getElementById("batch-close"),
+      batchInput: document.getElementById("batch-input"),
+      batchFile: document.getElementById("batch-file"),
+      batchFileBtn: document.getElementById("batch-file-btn"),
+      batchRun: document.getElementById("batch-run"),
+      batchResults: document.getElementById("batch-results"),
+      batchSummary: document.getElementById("batch-summary"),
+      batchSearch: document.getElementById("batch-search"),
+      batchStatusSelect: document.getElementById("batch-status"),
+      batchHead: document.getElementById("batch-head"),
+      batchBody: document.getElementById("batch-body"),
+      batchEmpty: document.getElementById("batch-empty"),
+      batchExport: document.getElementById("batch-export"),
+
+      // Eligibility rule editor
+      rulePresetSelect: document.getElementById("rule-preset"),
+      ruleNameInput: document.getElementById("rule-name"),
+      ruleTypeSelect: document.getElementById("rule-type"),
+      ruleCutoffSelect: document.getElementById("rule-cutoff"),
+      ruleMinAgeInput: document.getElementById("rule-min-age"),
+      ruleMaxAgeInput: document.getElementById("rule-max-age"),
+      ruleMaxField: document.getElementById("rule-max-field"),
+      ruleMonthField: document.getElementById("rule-month-field"),
+      ruleMonthSelect: document.getElementById("rule-month"),
+      ruleDayField: document.getElementById("rule-day-field"),
+      ruleDayInput: document.getElementById("rule-day"),
+      ruleDateField: document.getElementById("rule-date-field"),
+      ruleDateInput: document.getElementById("rule-date"),
+      ruleError: document.getElementById("rule-error"),
+      ruleSaveBtn: document.getElementById("rule-save"),
+      ruleSaveNewBtn: document.getElementById("rule-save-new"),
+      ruleDeleteBtn: document.getElementById("rule-delete"),
+
+      // Theme toggle and language switcher
       themeToggle: document.getElementById("theme-toggle"),
+      languageSelect: document.getElementById("language-select"),
 
       // PWA elements
       pwaPrompt: document.getElementById("pwa-prompt"),
@@ -56,12 +219,19 @@ class AgeCalculator {
   init() {
     this.setupEventListeners();
     this.setupTheme();
+    this.setupLanguage();
+    this.setupTimeZones();
+    this.setupCalendars();
+    this.setupSettings();
+    this.setupEligibility();
     this.loadStoredData();
+    this.openLinkedPerson();
+    this.openSharedLink();
     this.setupPWA();
     this.setupAccessibility();
 
     // Focus first input on load
-    setTimeout(() => this.elements.dayInput.focus(), 100);
+    setTimeout(() => this.firstDateInput("").focus(), 100);
   }
 
   setupEventListeners() {
@@ -71,29 +241,267 @@ class AgeCalculator {
       this.calculateAge();
     });
 
-    // Input validation and auto-advance
-    this.elements.dayInput.addEventListener("input", (e) =>
-      this.handleDayInput(e)
+    // Mode switch
+    this.elements.modeButtons.forEach((button) => {
+      button.addEventListener("click", () => {
+        this.setMode(button.dataset.mode);
+        this.saveToStorage();
+      });
+    });
+
+    // Input validation and auto-advance, for the birth date ("") and the
+    // "age as of" date ("asOf")
+    ["", "asOf"].forEach((prefix) => {
+      const dayInput = this.dateInput(prefix, "day");
+      const monthInput = this.dateInput(prefix, "month");
+      const yearInput = this.dateInput(prefix, "year");
+
+      dayInput.addEventListener("input", (e) => this.handleDayInput(e, prefix));
+      monthInput.addEventListener("input", (e) =>
+        this.handleMonthInput(e, prefix)
+      );
+      yearInput.addEventListener("input", (e) =>
+        this.handleYearInput(e, prefix)
+      );
+
+      // Input blur validation
+      dayInput.addEventListener("blur", () => this.validateDay(prefix));
+      monthInput.addEventListener("blur", () => this.validateMonth(prefix));
+      yearInput.addEventListener("blur", () => this.validateYear(prefix));
+
+      // A whole date pasted into any one of the fields fills all three
+      [dayInput, monthInput, yearInput].forEach((input) =>
+        input.addEventListener("paste", (e) => this.handleDatePaste(e, prefix))
+      );
+    });
+
+    // Calendar of the birth date
+    this.elements.calendarSelect.addEventListener("change", () =>
+      this.changeCalendar()
+    );
+    ["day", "month", "year"].forEach((part) =>
+      this.dateInput("", part).addEventListener("input", () =>
+        this.updateCalendarHint()
+      )
+    );
+
+    // Free-text date entry
+    this.elements.dateTextInput.addEventListener("input", () =>
+      this.applyDateText()
+    );
+    this.elements.dateTextInput.addEventListener("change", () =>
+      this.applyDateText(true)
+    );
+    this.elements.dateTextAlternative.addEventListener("click", () =>
+      this.useAlternativeDate()
+    );
+
+    // Optional time of birth
+    this.elements.hourInput.addEventListener("input", (e) =>
+      this.handleHourInput(e)
+    );
+    this.elements.minuteInput.addEventListener("input", () => {
+      this.clearError("minute");
+      this.saveToStorage();
+    });
+    this.elements.hourInput.addEventListener("blur", () => this.validateTime());
+    this.elements.minuteInput.addEventListener("blur", () =>
+      this.validateTime()
+    );
+
+    // Known age of reverse mode and the duration of date arithmetic
+    [
+      "knownYears",
+      "knownMonths",
+      "knownDays",
+      "durationYears",
+      "durationMonths",
+      "durationWeeks",
+      "durationDays",
+    ].forEach((field) => {
+      this.elements[`${field}Input`].addEventListener("input", () => {
+        this.clearError(field);
+        this.saveToStorage();
+      });
+    });
+    [
+      this.elements.durationDirectionSelect,
+      this.elements.monthEndSelect,
+    ].forEach((select) => {
+      select.addEventListener("change", () => this.saveToStorage());
+    });
+
+    // "Age as of" toggle
+    this.elements.asOfToggle.addEventListener("change", () => {
+      this.setAsOfVisible(this.elements.asOfToggle.checked);
+      if (this.elements.asOfToggle.checked) {
+        this.firstDateInput("asOf").focus();
+      }
+      this.saveToStorage();
+    });
+
+    this.elements.inclusiveToggle.addEventListener("change", () =>
+      this.saveToStorage()
+    );
+
+    // Time zones
+    [this.elements.birthTimeZoneSelect, this.elements.timeZoneSelect].forEach(
+      (select) =>
+        select.addEventListener("change", () => {
+          this.saveToStorage();
+          this.syncReminders();
+        })
+    );
+
+    // Settings
+    this.elements.leapDayPolicySelect.addEventListener("change", (e) => {
+      this.updateSetting("leapDayPolicy", e.target.value);
+      this.syncReminders();
+    });
+    this.elements.dateOrderSelect.addEventListener("change", (e) => {
+      this.updateSetting("dateOrder", e.target.value);
+      this.applyDateOrder();
+    });
+    this.elements.ageReckoningSelect.addEventListener("change", (e) =>
+      this.updateSetting("ageReckoning", e.target.value)
     );
-    this.elements.monthInput.addEventListener("input", (e) =>
-      this.handleMonthInput(e)
+    this.elements.dayCountSelect.addEventListener("change", (e) =>
+      this.updateSetting("dayCountConvention", e.target.value)
     );
-    this.elements.yearInput.addEventListener("input", (e) =>
-      this.handleYearInput(e)
+    this.elements.decimalRoundingSelect.addEventListener("change", (e) =>
+      this.updateSetting("decimalAgeRounding", e.target.value)
+    );
+    this.elements.minYearInput.addEventListener("change", (e) =>
+      this.updateYearSetting("minYear", e.target, 1, new Date().getFullYear())
+    );
+    this.elements.yearsAheadInput.addEventListener("change", (e) =>
+      this.updateYearSetting("yearsAhead", e.target, 0, 1000)
+    );
+    this.elements.calendarReformSelect.addEventListener("change", (e) => {
+      this.updateSetting("calendarReform", e.target.value);
+      this.elements.gregorianSwitchSelect.disabled =
+        e.target.value !== "julian";
+      this.applyCalendar();
+    });
+    this.elements.gregorianSwitchSelect.addEventListener("change", (e) => {
+      this.updateSetting("gregorianSwitch", e.target.value);
+      this.applyCalendar();
+    });
+
+    // Language
+    this.elements.languageSelect.addEventListener("change", (e) => {
+      this.updateSetting("language", e.target.value);
+      this.applyLanguage();
+      this.syncReminders();
+    });
+
+    // Reminders
+    this.elements.remindersToggle.addEventListener("change", (e) =>
+      this.setRemindersEnabled(e.target.checked)
     );
+    this.elements.reminderDaysSelect.addEventListener("change", (e) => {
+      this.updateSetting("reminderDaysBefore", Number(e.target.value));
+      this.syncReminders();
+    });
+    this.elements.reminderMilestonesToggle.addEventListener("change", (e) => {
+      this.updateSetting("reminderMilestones", e.target.checked);
+      this.syncReminders();
+    });
 
-    // Input blur validation
-    this.elements.dayInput.addEventListener("blur", () => this.validateDay());
-    this.elements.monthInput.addEventListener("blur", () =>
-      this.validateMonth()
+    this.elements.labelInput.addEventListener("input", () =>
+      this.saveToStorage()
     );
-    this.elements.yearInput.addEventListener("blur", () => this.validateYear());
 
     // Clear button
     this.elements.clearBtn.addEventListener("click", () => this.clearForm());
 
+    // History controls
+    this.elements.historyBtn.addEventListener("click", () =>
+      this.showHistory()
+    );
+    this.elements.historyClose.addEventListener("click", () =>
+      this.hideHistory()
+    );
+    this.elements.historyModal.addEventListener("click", (e) => {
+      if (e.target === this.elements.historyModal) this.hideHistory();
+    });
+    this.elements.historySearch.addEventListener("input", () =>
+      this.renderHistory()
+    );
+    this.elements.historyList.addEventListener("click", (e) =>
+      this.handleHistoryAction(e)
+    );
+
+    // People controls
+    this.elements.peopleBtn.addEventListener("click", () => this.showPeople());
+    this.elements.peopleClose.addEventListener("click", () =>
+      this.hidePeople()
+    );
+    this.elements.peopleModal.addEventListener("click", (e) => {
+      if (e.target === this.elements.peopleModal) this.hidePeople();
+    });
+    this.elements.peopleForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      this.addPerson();
+    });
+    this.elements.peopleList.addEventListener("click", (e) =>
+      this.handlePersonAction(e)
+    );
+
+    // Batch controls
+    this.elements.batchBtn.addEventListener("click", () => this.showBatch());
+    this.elements.batchClose.addEventListener("click", () => this.hideBatch());
+    this.elements.batchModal.addEventListener("click", (e) => {
+      if (e.target === this.elements.batchModal) this.hideBatch();
+    });
+    this.elements.batchFileBtn.addEventListener("click", () =>
+      this.elements.batchFile.click()
+    );
+    this.elements.batchFile.addEventListener("change", () =>
+      this.loadBatchFile()
+    );
+    this.elements.batchRun.addEventListener("click", () => this.runBatch());
+    this.elements.batchSearch.addEventListener("input", () =>
+      this.renderBatch()
+    );
+    this.elements.batchStatusSelect.addEventListener("change", () =>
+      this.renderBatch()
+    );
+    this.elements.batchHead.addEventListener("click", (e) => this.sortBatch(e));
+    this.elements.batchExport.addEventListener("click", () =>
+      this.exportBatch()
+    );
+
+    // Eligibility rule editor
+    this.elements.rulePresetSelect.addEventListener("change", (e) =>
+      this.selectRule(e.target.value)
+    );
+    [this.elements.ruleTypeSelect, this.elements.ruleCutoffSelect].forEach(
+      (select) => {
+        select.addEventListener("change", () => this.updateRuleFields());
+      }
+    );
+    this.elements.ruleSaveBtn.addEventListener("click", () =>
+      this.saveRule(false)
+    );
+    this.elements.ruleSaveNewBtn.addEventListener("click", () =>
+      this.saveRule(true)
+    );
+    this.elements.ruleDeleteBtn.addEventListener("click", () =>
+      this.deleteRule()
+    );
+
     // Modal controls
     this.elements.modalClose.addEventListener("click", () => this.hideModal());
+    this.elements.exportBtn.addEventListener("click", () =>
+      this.exportCalendar()
+    );
+    this.elements.shareBtn.addEventListener("click", () => this.shareResult());
+    this.elements.cardBtn.addEventListener("click", () => this.exportImage());
+    this.elements.arithmeticUseBtn.addEventListener("click", () =>
+      this.useArithmeticResult()
+    );
+    if (navigator.share) this.elements.shareBtn.dataset.i18n = "share.share";
     this.elements.modal.addEventListener("click", (e) => {
       if (e.target === this.elements.modal) this.hideModal();
     });
@@ -120,35 +528,210 @@ class AgeCalculator {
     window.addEventListener("resize", () => this.handleResize());
   }
 
-  handleDayInput(e) {
+  // Element key for a date part, e.g. ("asOf", "day") -> "asOfDay"
+  fieldKey(prefix, part) {
+    return prefix ? prefix + part[0].toUpperCase() + part.slice(1) : part;
+  }
+
+  dateInput(prefix, part) {
+    return this.elements[`${this.fieldKey(prefix, part)}Input`];
+  }
+
+  firstDateInput(prefix) {
+    return this.dateInput(prefix, this.state.dateOrder[0]);
+  }
+
+  // Flash the field and move on to the next date part in display order
+  advanceDateField(e, prefix, part) {
+    const next = this.state.dateOrder[this.state.dateOrder.indexOf(part) + 1];
+
+    e.target.classList.add("auto-advance");
+    setTimeout(() => {
+      e.target.classList.remove("auto-advance");
+      if (next) this.dateInput(prefix, next).focus();
+    }, 300);
+  }
+
+  handleDayInput(e, prefix = "") {
     const value = e.target.value;
-    this.clearError("day");
+    this.clearError(this.fieldKey(prefix, "day"));
 
     if (value.length >= 2) {
       const day = parseInt(value);
       if (day >= 1 && day <= 31) {
-        e.target.classList.add("auto-advance");
-        setTimeout(() => {
-          e.target.classList.remove("auto-advance");
-          this.elements.monthInput.focus();
-        }, 300);
+        this.advanceDateField(e, prefix, "day");
       }
     }
 
     this.saveToStorage();
   }
 
-  handleMonthInput(e) {
+  handleMonthInput(e, prefix = "") {
     const value = e.target.value;
-    this.clearError("month");
+    this.clearError(this.fieldKey(prefix, "month"));
 
     if (value.length >= 2) {
       const month = parseInt(value);
       if (month >= 1 && month <= 12) {
+        this.advanceDateField(e, prefix, "month");
+      }
+    }
+
+    this.saveToStorage();
+  }
+
+  handleYearInput(e, prefix = "") {
+    this.clearError(this.fieldKey(prefix, "year"));
+
+    if (e.target.value.length >= 4) {
+      this.advanceDateField(e, prefix, "year");
+    }
+
+    this.saveToStorage();
+  }
+
+  /**
+   * Show the date fields in the configured order, or the order the current
+   * locale writes dates in. Tab and auto-advance follow the same order.
+   */
+  applyDateOrder() {
+    const order =
+      this.settings.dateOrder === "auto"
+        ? DateEngine.getDateFieldOrder(I18n.getLocale())
+        : this.settings.dateOrder;
+    const parts = { D: "day", M: "month", Y: "year" };
+    this.state.dateOrder = [...order].map((letter) => parts[letter]);
+
+    ["", "asOf"].forEach((prefix) => {
+      const groups = this.state.dateOrder.map((part) =>
+        this.dateInput(prefix, part).closest(".input-group")
+      );
+      groups[0].parentElement.append(...groups);
+    });
+  }
+
+  parseDateText(text) {
+    return DateEngine.parseDateText(text, this.getDateTextOptions());
+  }
+
+  // Dates in text are read in the field order and the language's locale
+  getDateTextOptions() {
+    return {
+      order: this.state.dateOrder.map((part) => part[0].toUpperCase()).join(""),
+      locale: I18n.getLocale(),
+    };
+  }
+
+  // Put a date into the day, month and year fields, in their calendar
+  fillDate(prefix, date) {
+    const calendar = this.getCalendar(prefix);
+    const gregorianSwitch = this.getGregorianSwitch(calendar);
+    let values = {
+      day: date.getDate(),
+      month: date.getMonth() + 1,
+      year: date.getFullYear(),
+    };
+    if (calendar !== "gregory") {
+      values = DateEngine.toCalendarDate(date, calendar);
+    } else if (gregorianSwitch) {
+      values = DateEngine.toHistoricalDate(date, gregorianSwitch);
+    }
+    ["day", "month", "year"].forEach((part) => {
+      this.dateInput(prefix, part).value = values[part];
+      this.clearError(this.fieldKey(prefix, part));
+    });
+    if (!prefix) this.updateCalendarHint();
+    this.saveToStorage();
+  }
+
+  handleDatePaste(e, prefix) {
+    const text = (e.clipboardData || window.clipboardData).getData("text");
+
+    // A single number is an ordinary paste into this one field
+    if (/^\s*\d+\s*$/.test(text)) return;
+
+    e.preventDefault();
+    if (prefix) {
+      const parsed = this.parseDateText(text);
+      if (parsed) this.fillDate(prefix, this.writtenDate(prefix, parsed.date));
+      return;
+    }
+
+    // The birth date goes through the text field, which explains how the
+    // text was read and offers the other reading of an ambiguous date
+    this.elements.dateTextInput.value = text.trim();
+    this.applyDateText(true);
+  }
+
+  /**
+   * Read the free-text date field into the birth date fields. While typing,
+   * only text that already reads as a date is applied; `final` also reports
+   * text that does not.
+   */
+  applyDateText(final = false) {
+    const { dateTextInput, dateTextHint, dateTextAlternative } = this.elements;
+    const text = dateTextInput.value.trim();
+    const parsed = text ? this.parseDateText(text) : null;
+
+    this.state.alternativeDate = parsed && parsed.alternative;
+    dateTextHint.classList.toggle(
+      "warning",
+      Boolean(parsed ? parsed.ambiguous : text && final)
+    );
+    dateTextAlternative.hidden = !this.state.alternativeDate;
+
+    if (!parsed) {
+      if (!text || final) {
+        dateTextHint.textContent = text ? I18n.t("form.dateTextInvalid") : "";
+      }
+      return;
+    }
+
+    const date = this.formatTextDate(parsed.date);
+    dateTextHint.textContent = I18n.t(
+      parsed.ambiguous ? "form.dateTextAmbiguous" : "form.dateTextRead",
+      { date }
+    );
+    if (parsed.alternative) {
+      dateTextAlternative.textContent = I18n.t("form.dateTextUse", {
+        date: this.formatTextDate(parsed.alternative),
+      });
+    }
+    this.fillDate("", this.writtenDate("", parsed.date));
+  }
+
+  formatTextDate(date) {
+    return I18n.formatDate(date, {
+      year: "numeric",
+      month: "long",
+      day: "numeric",
+    });
+  }
+
+  useAlternativeDate() {
+    const date = this.state.alternativeDate;
+    const { dateTextHint, dateTextAlternative } = this.elements;
+
+    this.state.alternativeDate = null;
+    dateTextAlternative.hidden = true;
+    dateTextHint.classList.remove("warning");
+    dateTextHint.textContent = I18n.t("form.dateTextRead", {
+      date: this.formatTextDate(date),
+    });
+    this.fillDate("", this.writtenDate("", date));
+    this.firstDateInput("").focus();
+  }
+
+  handleHourInput(e) {
+    this.clearError("hour");
+
+    if (e.target.value.length >= 2) {
+      const hour = parseInt(e.target.value);
+      if (hour >= 0 && hour <= 23) {
         e.target.classList.add("auto-advance");
         setTimeout(() => {
           e.target.classList.remove("auto-advance");
-          this.elements.yearInput.focus();
+          this.elements.minuteInput.focus();
         }, 300);
       }
     }
@@ -156,283 +739,2534 @@ class AgeCalculator {
     this.saveToStorage();
   }
 
-  handleYearInput(e) {
-    this.clearError("year");
+  validateDay(prefix = "") {
+    const error = this.getDayError(
+      this.readDateFields(prefix),
+      this.getCalendar(prefix)
+    );
+    return this.reportFieldError(prefix, "day", error);
+  }
 
-    if (e.target.value.length >= 4) {
-      e.target.classList.add("auto-advance");
-      setTimeout(() => {
-        e.target.classList.remove("auto-advance");
-      }, 300);
+  validateMonth(prefix = "") {
+    const error = this.getMonthError(
+      this.readDateFields(prefix),
+      this.getCalendar(prefix)
+    );
+    return this.reportFieldError(prefix, "month", error);
+  }
+
+  validateYear(prefix = "") {
+    const error = this.getYearError(
+      this.readDateFields(prefix),
+      this.getCalendar(prefix)
+    );
+    return this.reportFieldError(prefix, "year", error);
+  }
+
+  // Show a date field's error, or mark the field as valid
+  reportFieldError(prefix, part, error) {
+    if (error) {
+      this.showError(this.fieldKey(prefix, part), error);
+      return false;
+    }
+
+    this.dateInput(prefix, part).classList.add("success");
+    return true;
+  }
+
+  // The date fields as entered; NaN for a field left empty
+  readDateFields(prefix = "") {
+    const value = (part) => parseInt(this.dateInput(prefix, part).value);
+    return { year: value("year"), month: value("month"), day: value("day") };
+  }
+
+  /**
+   * Date rules
+   * Shared by the form and the batch rows: each returns the message for
+   * what is wrong with one field of { year, month, day } in `calendar`,
+   * or null. The day and month are checked against a year still to be
+   * entered as if it were the current one
+   */
+  getDayError({ year, month, day }, calendar) {
+    if (!day) return I18n.t("error.dayRequired");
+    if (day < 1 || day > 31) return I18n.t("error.dayRange");
+
+    // Check if day is valid for the given month; a month the calendar
+    // does not have is left to getMonthError
+    const knownMonth = month || 1;
+    const knownYear = year || this.getCurrentYear(calendar);
+    const gregorianSwitch = this.getGregorianSwitch(calendar);
+    let daysInMonth = DateEngine.daysInMonth(knownYear, knownMonth);
+    if (calendar !== "gregory") {
+      daysInMonth = DateEngine.getCalendarMonthLength(
+        knownYear,
+        knownMonth,
+        calendar
+      );
+    } else if (gregorianSwitch) {
+      daysInMonth = DateEngine.daysInHistoricalMonth(
+        knownYear,
+        knownMonth,
+        gregorianSwitch
+      );
+    }
+    if (daysInMonth && day > daysInMonth) {
+      return I18n.t("error.daysInMonth", {
+        month: this.getMonthName(knownYear, knownMonth, calendar),
+        count: daysInMonth,
+      });
+    }
+
+    // Days dropped by the switch to the Gregorian calendar never existed
+    const isComplete = !isNaN(year) && month >= 1 && month <= 12;
+    if (
+      gregorianSwitch &&
+      isComplete &&
+      !DateEngine.fromHistoricalDate(year, month, day, gregorianSwitch)
+    ) {
+      return I18n.t("error.skippedDay", {
+        date: this.formatTextDate(gregorianSwitch),
+      });
+    }
+
+    return null;
+  }
+
+  getMonthError({ year, month }, calendar) {
+    if (!month) return I18n.t("error.monthRequired");
+
+    if (calendar !== "gregory") {
+      const count = DateEngine.getCalendarMonthCount(
+        year || this.getCurrentYear(calendar),
+        calendar
+      );
+      if (count && (month < 1 || month > count)) {
+        return I18n.t("error.calendarMonthRange", { max: String(count) });
+      }
+    } else if (month < 1 || month > 12) {
+      return I18n.t("error.monthRange");
     }
 
+    return null;
+  }
+
+  getYearError({ year }, calendar) {
+    const { min, max } = this.getYearRange(calendar);
+
+    if (!year) return I18n.t("error.yearRequired");
+    if (year < min || year > max) return this.yearRangeMessage({ min, max });
+
+    return null;
+  }
+
+  // Years are passed as strings so they are not digit-grouped
+  yearRangeMessage({ min, max }) {
+    return I18n.t("error.yearRange", { min: String(min), max: String(max) });
+  }
+
+  // Year bounds come from settings; keep the last good value on bad input
+  updateYearSetting(key, input, min, max) {
+    const value = parseInt(input.value);
+    if (value >= min && value <= max) {
+      this.updateSetting(key, value);
+      this.applyCalendar();
+    }
+    input.value = this.settings[key];
+  }
+
+  /**
+   * Historical dates
+   * With the Julian calendar enabled in settings, Gregorian-calendar
+   * dates before the switch date are entered and shown as Julian dates
+   */
+  getGregorianSwitch(calendar = "gregory") {
+    return calendar === "gregory" && this.settings.calendarReform === "julian"
+      ? DateEngine.parseISODate(this.settings.gregorianSwitch)
+      : null;
+  }
+
+  // A date typed as text, with its fields read as written in its time
+  writtenDate(prefix, date) {
+    const gregorianSwitch = this.getGregorianSwitch(this.getCalendar(prefix));
+    const historical =
+      gregorianSwitch &&
+      DateEngine.fromHistoricalDate(
+        date.getFullYear(),
+        date.getMonth() + 1,
+        date.getDate(),
+        gregorianSwitch
+      );
+    return historical || date;
+  }
+
+  isJulianDate(date, calendar = "gregory") {
+    const gregorianSwitch = this.getGregorianSwitch(calendar);
+    return Boolean(gregorianSwitch) && date < gregorianSwitch;
+  }
+
+  // A date for display, as a Julian date when it was written as one
+  formatHistoricalDate(date, options) {
+    if (!this.isJulianDate(date)) return I18n.formatDate(date, options);
+
+    const fields = DateEngine.toHistoricalDate(date, this.getGregorianSwitch());
+    return I18n.t("results.julianDate", {
+      date: I18n.formatDateFields(
+        { ...fields, hours: date.getHours(), minutes: date.getMinutes() },
+        options
+      ),
+      gregorian: this.formatTextDate(date),
+    });
+  }
+
+  /**
+   * Calendars
+   * The birth (or start) date can be entered in another calendar; the
+   * "age as of" and end dates are always Gregorian
+   */
+  setupCalendars() {
+    [...this.elements.calendarSelect.options]
+      .filter(
+        (option) =>
+          option.value !== "gregory" &&
+          !DateEngine.supportsCalendar(option.value)
+      )
+      .forEach((option) => option.remove());
+    this.applyCalendar();
+  }
+
+  getCalendar(prefix = "") {
+    return prefix ? "gregory" : this.elements.calendarSelect.value;
+  }
+
+  getCurrentYear(calendar) {
+    return calendar === "gregory"
+      ? new Date().getFullYear()
+      : DateEngine.toCalendarDate(new Date(), calendar).year;
+  }
+
+  // Years accepted in `calendar`, from the Gregorian bounds in settings
+  getYearRange(calendar) {
+    const minYear = this.settings.minYear;
+    const maxYear = new Date().getFullYear() + this.settings.yearsAhead;
+    if (calendar === "gregory") return { min: minYear, max: maxYear };
+
+    const toYear = (date) => DateEngine.toCalendarDate(date, calendar).year;
+    return {
+      min: toYear(DateEngine.toLocalDate(minYear, 1, 1)),
+      max: toYear(DateEngine.toLocalDate(maxYear, 12, 31)),
+    };
+  }
+
+  getMonthName(year, month, calendar) {
+    if (calendar === "gregory") return I18n.getMonthName(month);
+
+    return I18n.formatDate(
+      DateEngine.fromCalendarDate(year, month, 1, calendar),
+      {
+        calendar,
+        month: "long",
+      }
+    );
+  }
+
+  // Keep the browser's own range checks in line with the calendar and
+  // the year bounds
+  applyCalendar() {
+    const calendar = this.getCalendar();
+    const range = this.getYearRange(calendar);
+    const asOfRange = this.getYearRange("gregory");
+
+    this.state.calendar = calendar;
+    this.elements.yearInput.min = range.min;
+    this.elements.yearInput.max = range.max;
+    this.elements.asOfYearInput.min = asOfRange.min;
+    this.elements.asOfYearInput.max = asOfRange.max;
+    this.elements.monthInput.max = calendar === "gregory" ? 12 : 13;
+    this.updateCalendarHint();
+  }
+
+  // Convert a date already entered into the newly chosen calendar
+  changeCalendar() {
+    const previous = this.state.calendar;
+    const date = this.validateDateSilently(previous)
+      ? this.readDate("", previous)
+      : null;
+
+    this.applyCalendar();
+    if (date) this.fillDate("", date);
     this.saveToStorage();
   }
 
-  validateDay() {
-    const day = parseInt(this.elements.dayInput.value);
-    const month = parseInt(this.elements.monthInput.value) || 1;
-    const year =
-      parseInt(this.elements.yearInput.value) || new Date().getFullYear();
+  // The Gregorian date matching a date entered in another calendar, or
+  // entered as a Julian date
+  updateCalendarHint() {
+    const calendar = this.getCalendar();
+    const date = this.validateDateSilently() ? this.readDate() : null;
+    const isConverted =
+      date && (calendar !== "gregory" || this.isJulianDate(date));
+
+    this.elements.calendarHint.textContent = isConverted
+      ? I18n.t("form.calendarDate", { date: this.formatTextDate(date) })
+      : "";
+  }
+
+  formatCalendarDate(date, calendar) {
+    return I18n.formatDate(date, {
+      calendar,
+      year: "numeric",
+      month: "long",
+      day: "numeric",
+    });
+  }
+
+  // Time of birth is optional; a minute without an hour is not
+  validateTime() {
+    const { hourInput, minuteInput } = this.elements;
+    if (!this.hasBirthTime() && minuteInput.value === "") return true;
+
+    const hour = parseInt(hourInput.value);
+    if (hourInput.value === "") {
+      this.showError("hour", I18n.t("error.hourRequired"));
+      return false;
+    }
+
+    if (isNaN(hour) || hour < 0 || hour > 23) {
+      this.showError("hour", I18n.t("error.hourRange"));
+      return false;
+    }
+
+    const minute = minuteInput.value === "" ? 0 : parseInt(minuteInput.value);
+    if (isNaN(minute) || minute < 0 || minute > 59) {
+      this.showError("minute", I18n.t("error.minuteRange"));
+      return false;
+    }
+
+    hourInput.classList.add("success");
+    return true;
+  }
+
+  // The age entered in reverse mode, or null after showing what is wrong
+  // with it. Months and days left blank are null
+  readKnownAge() {
+    const fields = {
+      years: ["knownYears", 150],
+      months: ["knownMonths", 11],
+      days: ["knownDays", 30],
+    };
+    const age = {};
+    let isValid = true;
+
+    Object.values(fields).forEach(([field]) => this.clearError(field));
+    Object.entries(fields).forEach(([unit, [field, max]]) => {
+      const { value } = this.elements[`${field}Input`];
+      age[unit] = value === "" ? null : Number(value);
+
+      if (age[unit] === null) {
+        if (unit !== "years") return;
+        this.showError(field, I18n.t("error.knownYearsRequired"));
+        isValid = false;
+      } else if (
+        !Number.isInteger(age[unit]) ||
+        age[unit] < 0 ||
+        age[unit] > max
+      ) {
+        this.showError(field, I18n.t("error.numberRange", { max }));
+        isValid = false;
+      }
+    });
+
+    return isValid ? age : null;
+  }
+
+  // The duration of date arithmetic, or null after showing what is wrong
+  // with it. Blank amounts count as zero
+  readDuration() {
+    const fields = {
+      years: ["durationYears", 1000],
+      months: ["durationMonths", 12000],
+      weeks: ["durationWeeks", 52000],
+      days: ["durationDays", 365000],
+    };
+    const duration = {};
+    let isValid = true;
+
+    Object.values(fields).forEach(([field]) => this.clearError(field));
+    Object.entries(fields).forEach(([unit, [field, max]]) => {
+      const { value } = this.elements[`${field}Input`];
+      duration[unit] = value === "" ? 0 : Number(value);
+
+      if (
+        !Number.isInteger(duration[unit]) ||
+        duration[unit] < 0 ||
+        duration[unit] > max
+      ) {
+        this.showError(field, I18n.t("error.numberRange", { max }));
+        isValid = false;
+      }
+    });
+
+    if (isValid && Object.values(duration).every((amount) => amount === 0)) {
+      this.showError("durationYears", I18n.t("error.durationRequired"));
+      isValid = false;
+    }
+
+    return isValid ? duration : null;
+  }
+
+  hasBirthTime() {
+    return this.elements.hourInput.value !== "";
+  }
+
+  // Birth date from the form, including the time of birth when given
+  readBirthDate() {
+    const birthDate = this.readDate();
+
+    if (this.hasBirthTime()) {
+      birthDate.setHours(
+        parseInt(this.elements.hourInput.value),
+        parseInt(this.elements.minuteInput.value) || 0
+      );
+    }
+
+    return birthDate;
+  }
+
+  setupTimeZones() {
+    const localZone = DateEngine.getLocalTimeZone();
+
+    [this.elements.birthTimeZoneSelect, this.elements.timeZoneSelect].forEach(
+      (select) => {
+        DateEngine.getTimeZones().forEach((zone) => {
+          select.add(new Option(zone.replace(/_/g, " "), zone));
+        });
+        select.value = localZone;
+      }
+    );
+  }
+
+  /**
+   * Age in the selected time zones
+   * The time of birth is read on the birth zone's clock; today's date, and
+   * the birth instant when a time is given, are read on the current zone's
+   * clock
+   */
+  computeAge(birthDate, asOfDate, withTime) {
+    const options = { withTime, leapDayPolicy: this.settings.leapDayPolicy };
+    if (!withTime) {
+      return DateEngine.calculateAge(
+        birthDate,
+        this.getMeasuredOn(asOfDate),
+        options
+      );
+    }
+
+    const timeZone = this.elements.timeZoneSelect.value;
+    const measuredOn = asOfDate
+      ? DateEngine.createZonedDate(
+          asOfDate.getFullYear(),
+          asOfDate.getMonth() + 1,
+          asOfDate.getDate()
+        )
+      : DateEngine.toZonedDate(new Date(), timeZone);
+
+    return DateEngine.calculateAge(
+      DateEngine.toZonedDate(this.getBirthInstant(birthDate), timeZone),
+      measuredOn,
+      options
+    );
+  }
+
+  // The moment of birth: the birth date and the time typed in the form,
+  // read on the birth zone's clock
+  getBirthInstant(birthDate) {
+    return DateEngine.fromZonedDate(
+      DateEngine.createZonedDate(
+        birthDate.getFullYear(),
+        birthDate.getMonth() + 1,
+        birthDate.getDate(),
+        parseInt(this.elements.hourInput.value) || 0,
+        parseInt(this.elements.minuteInput.value) || 0
+      ),
+      this.elements.birthTimeZoneSelect.value
+    );
+  }
+
+  // Zone name with its UTC offset at the given instant, e.g. "Asia/Tokyo (GMT+9)"
+  formatTimeZone(timeZone, instant) {
+    const offset = new Intl.DateTimeFormat(I18n.getLanguage(), {
+      timeZone,
+      timeZoneName: "shortOffset",
+    })
+      .formatToParts(instant)
+      .find((part) => part.type === "timeZoneName");
+
+    const name = timeZone.replace(/_/g, " ");
+    return offset ? `${name} (${offset.value})` : name;
+  }
+
+  // Validate all three parts of a date; every field is checked so each
+  // one shows its own error
+  validateDate(prefix = "") {
+    const isDayValid = this.validateDay(prefix);
+    const isMonthValid = this.validateMonth(prefix);
+    const isYearValid = this.validateYear(prefix);
+
+    return isDayValid && isMonthValid && isYearValid;
+  }
+
+  // The entered date as a local Gregorian Date; null for a date missing
+  // from another calendar or skipped by the switch from the Julian one
+  readDate(prefix = "", calendar = this.getCalendar(prefix)) {
+    return this.dateFromFields(this.readDateFields(prefix), calendar);
+  }
+
+  // Local Gregorian Date for date fields written in `calendar`
+  dateFromFields({ year, month, day }, calendar) {
+    const gregorianSwitch = this.getGregorianSwitch(calendar);
+
+    if (calendar !== "gregory") {
+      return DateEngine.fromCalendarDate(year, month, day, calendar);
+    }
+    if (gregorianSwitch) {
+      return DateEngine.fromHistoricalDate(year, month, day, gregorianSwitch);
+    }
+    return DateEngine.toLocalDate(year, month, day);
+  }
+
+  isAsOfEnabled() {
+    return this.elements.asOfToggle.checked;
+  }
+
+  setAsOfVisible(visible) {
+    this.elements.asOfToggle.checked = visible;
+    this.updateSecondDateVisibility();
+  }
+
+  // The second date row is the "age as of" date in age mode and the end
+  // date in difference mode, where it is always required
+  needsSecondDate() {
+    return (
+      this.state.mode === "difference" ||
+      (this.state.mode === "age" && this.isAsOfEnabled())
+    );
+  }
+
+  updateSecondDateVisibility() {
+    this.elements.asOfFields.hidden = !this.needsSecondDate();
+  }
+
+  setMode(mode) {
+    this.state.mode = mode;
+
+    this.elements.modeButtons.forEach((button) => {
+      const isActive = button.dataset.mode === mode;
+      button.classList.toggle("active", isActive);
+      button.setAttribute("aria-selected", String(isActive));
+    });
+
+    // data-mode-only holds the modes an element belongs to
+    document.querySelectorAll("[data-mode-only]").forEach((element) => {
+      element.hidden = !element.dataset.modeOnly.split(" ").includes(mode);
+    });
+
+    this.elements.asOfLegend.textContent = I18n.t(
+      mode === "difference" ? "form.endDate" : "form.asOf"
+    );
+    this.updateSecondDateVisibility();
+  }
+
+  showError(field, message) {
+    const errorElement = this.elements[`${field}Error`];
+    const inputElement = this.elements[`${field}Input`];
+
+    errorElement.textContent = message;
+    errorElement.classList.add("show");
+    inputElement.classList.add("error");
+    inputElement.classList.remove("success");
+  }
+
+  clearError(field) {
+    const errorElement = this.elements[`${field}Error`];
+    const inputElement = this.elements[`${field}Input`];
+
+    errorElement.classList.remove("show");
+    inputElement.classList.remove("error");
+  }
+
+  /**
+   * Validate the form and show the result of the current mode. Pass the
+   * id of a history entry to refresh that entry rather than add a new one
+   */
+  async calculateAge(rerunHistoryId = null) {
+    if (this.state.isCalculating) return;
+
+    // Validate all inputs
+    const isBirthValid = this.validateDate();
+    const isAsOfValid = !this.needsSecondDate() || this.validateDate("asOf");
+    const isTimeValid = this.state.mode !== "age" || this.validateTime();
+    const rule = this.state.mode === "eligibility" ? this.readRule() : null;
+    const isRuleValid = this.state.mode !== "eligibility" || Boolean(rule);
+    const knownAge = this.state.mode === "reverse" ? this.readKnownAge() : null;
+    const isAgeValid = this.state.mode !== "reverse" || Boolean(knownAge);
+    const duration =
+      this.state.mode === "arithmetic" ? this.readDuration() : null;
+    const isDurationValid =
+      this.state.mode !== "arithmetic" || Boolean(duration);
+
+    if (
+      !isBirthValid ||
+      !isAsOfValid ||
+      !isTimeValid ||
+      !isRuleValid ||
+      !isAgeValid ||
+      !isDurationValid
+    ) {
+      this.shake(this.elements.calculateBtn);
+      return;
+    }
+
+    // An age as of a day before the birth has nothing to count; the
+    // countdown shown for a future birth runs from today instead
+    if (
+      this.state.mode === "age" &&
+      this.isAsOfEnabled() &&
+      this.readDate() > this.readDate("asOf")
+    ) {
+      this.showError(
+        this.fieldKey("asOf", "year"),
+        I18n.t("error.asOfBeforeBirth")
+      );
+      this.shake(this.elements.calculateBtn);
+      return;
+    }
+
+    this.state.isCalculating = true;
+    // Only a calculation that runs may claim the entry being re-run
+    this.state.rerunHistoryId = rerunHistoryId;
+    this.showLoading();
+
+    try {
+      // Simulate calculation delay for better UX
+      await this.delay(800);
+
+      if (this.state.mode === "difference") {
+        const startDate = this.readDate();
+        const endDate = this.readDate("asOf");
+        const diff = DateEngine.calculateDifference(startDate, endDate, {
+          inclusive: this.elements.inclusiveToggle.checked,
+        });
+        this.displayDifference(diff, startDate, endDate);
+        this.recordHistory(startDate, endDate, diff);
+        return;
+      }
+
+      if (this.state.mode === "eligibility") {
+        const result = Eligibility.checkEligibility(this.readDate(), rule, {
+          today: this.getMeasuredOn(null),
+          leapDayPolicy: this.settings.leapDayPolicy,
+        });
+        const name =
+          this.elements.ruleNameInput.value.trim() || I18n.t("rule.untitled");
+        this.displayEligibility(result, rule, name);
+        this.recordHistory(
+          this.readDate(),
+          result.cutoffDate,
+          { ...result.age, eligible: result.eligible },
+          { ...rule, name }
+        );
+        return;
+      }
+
+      if (this.state.mode === "reverse") {
+        const knownOn = this.readDate();
+        const births = DateEngine.findBirthDates(knownAge, knownOn, {
+          leapDayPolicy: this.settings.leapDayPolicy,
+        });
+        if (!births) {
+          this.showError(
+            knownAge.days === null ? "knownMonths" : "knownDays",
+            I18n.t("error.noBirthDate")
+          );
+          return;
+        }
+        this.displayBirthDates(births, knownOn);
+        this.recordHistory(knownOn, null, {
+          earliest: DateEngine.formatISODate(births.earliest),
+          latest: DateEngine.formatISODate(births.latest),
+          count: births.count,
+        });
+        return;
+      }
+
+      if (this.state.mode === "arithmetic") {
+        const startDate = this.readDate();
+        const isSubtract =
+          this.elements.durationDirectionSelect.value === "subtract";
+        const sign = isSubtract ? -1 : 1;
+        const resultDate = DateEngine.addDuration(
+          startDate,
+          {
+            years: sign * duration.years,
+            months: sign * duration.months,
+            weeks: sign * duration.weeks,
+            days: sign * duration.days,
+          },
+          {
+            monthEnd: this.elements.monthEndSelect.value,
+            leapDayPolicy: this.settings.leapDayPolicy,
+          }
+        );
+        this.displayDateArithmetic(startDate, resultDate, duration, isSubtract);
+        this.recordHistory(startDate, resultDate, this.state.shownResult);
+        return;
+      }
+
+      const withTime = this.hasBirthTime();
+      const birthDate = this.readBirthDate();
+      const asOfDate = this.isAsOfEnabled() ? this.readDate("asOf") : null;
+      const age = this.computeAge(birthDate, asOfDate, withTime);
+
+      // Check if birth date is in the future
+      if (age.isFuture) {
+        this.showFutureDate(age, birthDate);
+        return;
+      }
+
+      this.displayResults(age, birthDate, asOfDate);
+      this.recordHistory(birthDate, asOfDate, age);
+    } catch (error) {
+      console.error("Calculation error:", error);
+      this.showError("year", I18n.t("error.calculation"));
+    } finally {
+      this.state.isCalculating = false;
+      this.state.rerunHistoryId = null;
+      this.hideLoading();
+    }
+  }
+
+  /**
+   * Save a finished calculation to the history, or refresh the entry that
+   * was re-run. Of `result` only the parts the history lists are kept; an
+   * eligibility check also keeps its `rule` so a re-run checks the same
+   * one. History is best effort: failures are logged, not shown
+   */
+  async recordHistory(startDate, endDate, result, rule = null) {
+    const inputs = this.getFormData();
+    if (rule) inputs.rule = rule;
+
+    const entry = {
+      label: this.elements.labelInput.value.trim(),
+      mode: this.state.mode,
+      inputs,
+      dates: {
+        start: DateEngine.formatISODate(startDate),
+        end: endDate ? DateEngine.formatISODate(endDate) : null,
+      },
+      result: Object.fromEntries(
+        [
+          "years",
+          "months",
+          "days",
+          "totalDays",
+          "eligible",
+          "earliest",
+          "latest",
+          "count",
+        ]
+          .filter((key) => result[key] !== undefined)
+          .map((key) => [key, result[key]])
+      ),
+    };
+
+    try {
+      if (this.state.rerunHistoryId !== null) {
+        await HistoryStore.update(this.state.rerunHistoryId, entry);
+      } else {
+        await HistoryStore.add(entry);
+      }
+      this.requestHistorySync();
+    } catch (error) {
+      console.error("Error saving history:", error);
+    }
+  }
+
+  // Let the service worker tidy the history in the background
+  requestHistorySync() {
+    if (!("serviceWorker" in navigator)) return;
+
+    navigator.serviceWorker.ready
+      .then((registration) => {
+        if (registration.sync) {
+          return registration.sync.register("background-calculation");
+        }
+      })
+      .catch((error) => {
+        console.log("Background sync registration failed:", error);
+      });
+  }
+
+  showHistory() {
+    this.elements.historyModal.classList.add("show");
+    document.body.style.overflow = "hidden";
+    this.renderHistory();
+
+    setTimeout(() => this.elements.historySearch.focus(), 300);
+  }
+
+  hideHistory() {
+    this.elements.historyModal.classList.remove("show");
+    document.body.style.overflow = "";
+    this.elements.historyBtn.focus();
+  }
+
+  async renderHistory() {
+    let entries = [];
+    try {
+      entries = await HistoryStore.list(this.elements.historySearch.value);
+    } catch (error) {
+      console.error("Error loading history:", error);
+    }
+
+    this.state.historyEntries = new Map(
+      entries.map((entry) => [entry.id, entry])
+    );
+    this.elements.historyList.replaceChildren(
+      ...entries.map((entry) => this.createHistoryItem(entry))
+    );
+    this.elements.historyEmpty.hidden = entries.length > 0;
+  }
+
+  createHistoryItem(entry) {
+    const item = document.createElement("li");
+    item.className = `entry-item${entry.pinned ? " pinned" : ""}`;
+    item.dataset.id = entry.id;
+
+    const main = document.createElement("div");
+    main.className = "entry-main";
+
+    const [defaultLabelKey, modeKey] = this.getHistoryModeKeys(entry.mode);
+    const label = document.createElement("span");
+    label.className = "entry-label";
+    label.textContent = entry.label || I18n.t(defaultLabelKey);
+
+    const summary = document.createElement("span");
+    summary.className = "entry-summary";
+    summary.textContent = this.describeHistoryResult(entry);
+
+    const meta = document.createElement("span");
+    meta.className = "entry-meta";
+    meta.textContent = [
+      I18n.t(modeKey),
+      entry.dates.end
+        ? `${entry.dates.start} → ${entry.dates.end}`
+        : entry.dates.start,
+      I18n.formatDate(new Date(entry.updatedAt)),
+    ].join(" · ");
+
+    main.append(label, summary, meta);
+
+    const actions = document.createElement("div");
+    actions.className = "entry-actions";
+    [
+      ["rerun", I18n.t("history.rerun")],
+      ["pin", I18n.t(entry.pinned ? "history.unpin" : "history.pin")],
+      ["delete", I18n.t("history.delete")],
+    ].forEach(([action, text]) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.dataset.action = action;
+      button.textContent = text;
+      actions.appendChild(button);
+    });
+
+    item.append(main, actions);
+    return item;
+  }
+
+  // What a history entry found, in the words of its mode
+  describeHistoryResult({ mode, result }) {
+    switch (mode) {
+      case "eligibility":
+        return [
+          I18n.t(
+            result.eligible ? "eligibility.eligible" : "eligibility.notEligible"
+          ),
+          this.formatYearsMonthsDays(result),
+        ].join(" · ");
+      case "reverse": {
+        const [earliest, latest] = [result.earliest, result.latest].map(
+          (date) => this.formatTextDate(DateEngine.parseISODate(date))
+        );
+        return result.count === 1
+          ? I18n.t("reverse.bornOn", { date: latest })
+          : I18n.t("reverse.bornBetween", { from: earliest, until: latest });
+      }
+      default:
+        return this.formatYearsMonthsDays(result);
+    }
+  }
+
+  // Catalog keys for the label of an unlabelled entry and the mode tag
+  getHistoryModeKeys(mode) {
+    switch (mode) {
+      case "difference":
+        return ["history.defaultDifference", "history.modeDifference"];
+      case "eligibility":
+        return ["history.defaultEligibility", "history.modeEligibility"];
+      case "reverse":
+        return ["history.defaultReverse", "history.modeReverse"];
+      case "arithmetic":
+        return ["history.defaultArithmetic", "history.modeArithmetic"];
+      default:
+        return ["history.defaultAge", "history.modeAge"];
+    }
+  }
+
+  async handleHistoryAction(e) {
+    const button = e.target.closest("button[data-action]");
+    if (!button) return;
+
+    const { id } = button.closest(".entry-item").dataset;
+    const entry = this.state.historyEntries.get(Number(id));
+
+    try {
+      if (button.dataset.action === "rerun") {
+        this.hideHistory();
+        this.applyFormData(entry.inputs);
+        this.saveToStorage();
+        await this.calculateAge(entry.id);
+        return;
+      }
+
+      if (button.dataset.action === "pin") {
+        await HistoryStore.update(entry.id, { pinned: !entry.pinned });
+      } else if (button.dataset.action === "delete") {
+        await HistoryStore.remove(entry.id);
+      }
+      this.renderHistory();
+    } catch (error) {
+      console.error("History action failed:", error);
+    }
+  }
+
+  // "1 year, 2 months, 3 days" with each unit pluralized for the language
+  formatYearsMonthsDays({ years, months, days }) {
+    return I18n.t("count.yearsMonthsDays", {
+      years: I18n.t("count.years", { count: years }),
+      months: I18n.t("count.months", { count: months }),
+      days: I18n.t("count.days", { count: days }),
+    });
+  }
+
+  // Unit captions under the result numbers follow each number's plural form
+  renderUnitLabels(values) {
+    Object.entries(this.elements.unitLabels).forEach(([unit, label]) => {
+      label.textContent = I18n.t(`unit.${unit}`, { count: values[unit] });
+    });
+  }
+
+  displayResults(age, birthDate, asOfDate = null) {
+    // Animate numbers
+    this.animateNumber(this.elements.ageYears, age.years);
+    this.animateNumber(this.elements.ageMonths, age.months);
+    this.animateNumber(this.elements.ageDays, age.days);
+    this.animateNumber(this.elements.totalDays, age.totalDays);
+    this.renderUnitLabels(age);
+    // Kept for the image export, which must not catch a number mid-animation
+    this.state.shownResult = age;
+
+    // Format birth date
+    const options = {
+      year: "numeric",
+      month: "long",
+      day: "numeric",
+      weekday: "long",
+    };
+    if (age.hours !== undefined) {
+      options.hour = "numeric";
+      options.minute = "2-digit";
+    }
+    this.elements.birthDate.textContent = I18n.t("results.bornOn", {
+      date: this.formatHistoricalDate(birthDate, options),
+    });
+
+    this.renderCalendarAge(birthDate, asOfDate);
+    this.renderReckonedAge(age, birthDate, asOfDate);
+    this.renderDecimalAge(birthDate, asOfDate);
+    this.renderStatistics(age, birthDate);
+    this.renderMilestones(birthDate, asOfDate);
+
+    // Offer the birthday for calendars
+    this.state.exportSource = { birthDate, asOfDate };
+    this.elements.exportActions.hidden = false;
+
+    // Note which leap-day rule applied to a 29 February birthday
+    this.elements.leapDayNote.hidden = !age.leapDayPolicy;
+    if (age.leapDayPolicy) {
+      this.elements.leapDayNote.textContent = I18n.t(
+        age.leapDayPolicy === "feb28"
+          ? "results.leapDayFeb28"
+          : "results.leapDayMar1"
+      );
+    }
+
+    const birthTimeZone = this.elements.birthTimeZoneSelect.value;
+    this.elements.zoneBirth.textContent = this.formatTimeZone(
+      birthTimeZone,
+      this.getBirthInstant(birthDate)
+    );
+    this.elements.zoneCurrent.textContent = this.formatTimeZone(
+      this.elements.timeZoneSelect.value,
+      new Date()
+    );
+
+    // Time-of-birth precision, ticking live when measured against now
+    if (age.hours !== undefined) {
+      this.renderTime(age);
+      this.elements.timeResults.hidden = false;
+      if (!asOfDate) this.startLiveAge(birthDate);
+    }
+
+    if (asOfDate) {
+      const asOfText = this.formatHistoricalDate(asOfDate, {
+        year: "numeric",
+        month: "long",
+        day: "numeric",
+      });
+      this.elements.modalTitle.textContent = I18n.t("results.ageOn", {
+        date: asOfText,
+      });
+    }
+
+    this.showModal();
+  }
+
+  // The date an age is measured on: the "as of" date or today in the
+  // current time zone
+  getMeasuredOn(asOfDate) {
+    return (
+      asOfDate ||
+      DateEngine.toZonedDay(new Date(), this.elements.timeZoneSelect.value)
+    );
+  }
+
+  // The age by the traditional count chosen in settings, next to the
+  // international age
+  renderReckonedAge(age, birthDate, asOfDate) {
+    const reckoning = this.settings.ageReckoning;
+    const { reckonedAge, reckonedAgeNote } = this.elements;
+
+    reckonedAge.hidden = reckonedAgeNote.hidden = reckoning === "international";
+    if (reckoning === "international") return;
+
+    reckonedAge.textContent = I18n.t("results.reckonedAge", {
+      name: I18n.t(`reckoning.${reckoning}`),
+      age: DateEngine.calculateReckonedAge(
+        birthDate,
+        this.getMeasuredOn(asOfDate),
+        reckoning,
+        { leapDayPolicy: this.settings.leapDayPolicy }
+      ),
+      international: age.years,
+    });
+    reckonedAgeNote.textContent = I18n.t(`reckoning.${reckoning}Note`);
+  }
+
+  // Age in decimal years by the day-count convention chosen in settings
+  renderDecimalAge(birthDate, asOfDate) {
+    const convention = this.settings.dayCountConvention;
+    const rounding = this.settings.decimalAgeRounding;
+    const measuredOn = this.getMeasuredOn(asOfDate);
+    const options = { leapDayPolicy: this.settings.leapDayPolicy };
+
+    // The nearest birthday is found from the dates, whatever the convention
+    this.elements.decimalAge.textContent =
+      rounding === "nearest-birthday"
+        ? I18n.t("results.nearestBirthdayAge", {
+            age: DateEngine.getNearestBirthdayAge(
+              birthDate,
+              measuredOn,
+              options
+            ),
+          })
+        : I18n.t("results.decimalAge", {
+            age: I18n.formatNumber(
+              DateEngine.roundDecimalAge(
+                DateEngine.calculateDecimalAge(birthDate, measuredOn, {
+                  ...options,
+                  convention,
+                }),
+                rounding
+              ),
+              { minimumFractionDigits: 3, maximumFractionDigits: 3 }
+            ),
+            convention: convention.toUpperCase(),
+          });
+    this.elements.decimalAge.hidden = false;
+  }
+
+  // The statistics panel, from the same age as the numbers above it
+  renderStatistics(age, birthDate) {
+    // A timed age is counted from the day of birth on the current zone's
+    // clock, which the statistics must start from too
+    const measuredBirth =
+      age.hours === undefined
+        ? birthDate
+        : DateEngine.toZonedDay(
+            this.getBirthInstant(birthDate),
+            this.elements.timeZoneSelect.value
+          );
+    const stats = DateEngine.getAgeStatistics(measuredBirth, age);
+    const rows = [
+      [I18n.t("stats.weeks"), I18n.formatNumber(stats.totalWeeks)],
+      [I18n.t("stats.days"), I18n.formatNumber(stats.totalDays)],
+      [I18n.t("stats.hours"), I18n.formatNumber(stats.totalHours)],
+      [I18n.t("stats.minutes"), I18n.formatNumber(stats.totalMinutes)],
+      [I18n.t("stats.seconds"), I18n.formatNumber(stats.totalSeconds)],
+      [I18n.t("stats.birthdays"), I18n.formatNumber(stats.birthdays)],
+      [I18n.t("stats.leapDays"), I18n.formatNumber(stats.leapDays)],
+      [
+        I18n.t("stats.weekday"),
+        I18n.formatDate(measuredBirth, { weekday: "long" }),
+      ],
+      [I18n.t("stats.zodiacSign"), I18n.t(`zodiac.${stats.zodiacSign}`)],
+      [
+        I18n.t("stats.chineseZodiac"),
+        I18n.t(`chineseZodiac.${stats.chineseZodiac}`),
+      ],
+      [I18n.t("stats.birthstone"), I18n.t(`birthstone.${stats.birthstone}`)],
+      ...stats.planetAges.map(({ planet, years }) => [
+        I18n.t("stats.planetAge", { planet: I18n.t(`planet.${planet}`) }),
+        I18n.t("count.years", { count: Math.round(years * 100) / 100 }),
+      ]),
+    ];
+
+    this.elements.statsList.replaceChildren(
+      ...rows.flatMap(([label, value]) => {
+        const term = document.createElement("dt");
+        term.textContent = label;
+        const detail = document.createElement("dd");
+        detail.textContent = value;
+        return [term, detail];
+      })
+    );
+    this.elements.statsPanel.hidden = false;
+  }
+
+  // Past and upcoming milestones, counted down from the measuring date
+  renderMilestones(birthDate, asOfDate) {
+    const milestones = DateEngine.getMilestones(
+      birthDate,
+      this.getMeasuredOn(asOfDate),
+      { leapDayPolicy: this.settings.leapDayPolicy }
+    );
+
+    this.elements.milestonesList.replaceChildren(
+      ...milestones.map((milestone) => this.createMilestoneItem(milestone))
+    );
+    this.elements.milestonesPanel.hidden = false;
+  }
+
+  // "10,000 days", "Half-birthday (36½)" and the like
+  describeMilestone({ kind, count, date }) {
+    if (kind === "half-birthday") {
+      return I18n.t("milestones.halfBirthday", { age: String(count) });
+    }
+    if (kind === "palindrome") {
+      return I18n.t("milestones.palindrome", {
+        digits: DateEngine.formatISODate(date).replace(/-/g, ""),
+      });
+    }
+    return I18n.t(`count.${kind}`, { count });
+  }
+
+  createMilestoneItem(milestone) {
+    const { kind, date, daysUntil } = milestone;
+    const item = document.createElement("li");
+    item.className = `entry-item${daysUntil < 0 ? " past" : ""}${
+      daysUntil === 0 ? " today" : ""
+    }`;
+
+    const main = document.createElement("div");
+    main.className = "entry-main";
+
+    const label = document.createElement("span");
+    label.className = "entry-label";
+    label.textContent = this.describeMilestone(milestone);
+
+    const summary = document.createElement("span");
+    summary.className = "entry-summary";
+    if (daysUntil === 0) {
+      summary.textContent = I18n.t("milestones.today");
+    } else {
+      summary.textContent = I18n.t(
+        daysUntil > 0 ? "milestones.in" : "milestones.ago",
+        { count: Math.abs(daysUntil) }
+      );
+    }
+
+    // Hours and seconds land at a time of day
+    const options = {
+      weekday: "short",
+      year: "numeric",
+      month: "short",
+      day: "numeric",
+    };
+    if (kind === "hours" || kind === "seconds") {
+      options.hour = "numeric";
+      options.minute = "2-digit";
+    }
+    const meta = document.createElement("span");
+    meta.className = "entry-meta";
+    meta.textContent = this.formatHistoricalDate(date, options);
+
+    main.append(label, summary, meta);
+    item.appendChild(main);
+    return item;
+  }
+
+  /**
+   * Calendar export
+   * Download the birthday of the shown result as a yearly event, with the
+   * upcoming milestones as one-off events when asked for
+   */
+  exportCalendar() {
+    const { birthDate, asOfDate } = this.state.exportSource;
+    const label = this.elements.labelInput.value.trim();
+    const name = (text) =>
+      label ? I18n.t("export.named", { name: label, event: text }) : text;
+
+    const events = [
+      {
+        uid: IcsExport.createUid(
+          "birthday",
+          DateEngine.formatISODate(birthDate),
+          label
+        ),
+        date: birthDate,
+        summary: name(I18n.t("export.birthday")),
+        description: I18n.t("results.bornOn", {
+          date: this.formatHistoricalDate(birthDate, {
+            year: "numeric",
+            month: "long",
+            day: "numeric",
+          }),
+        }),
+        rule: IcsExport.getBirthdayRule(birthDate, this.settings.leapDayPolicy),
+      },
+    ];
+
+    if (this.elements.exportMilestonesToggle.checked) {
+      DateEngine.getMilestones(birthDate, this.getMeasuredOn(asOfDate), {
+        leapDayPolicy: this.settings.leapDayPolicy,
+      })
+        .filter((milestone) => milestone.daysUntil >= 0)
+        .forEach((milestone) => {
+          events.push({
+            uid: IcsExport.createUid(
+              milestone.kind,
+              milestone.count,
+              // Palindromes have no count; the date tells them apart
+              DateEngine.formatISODate(milestone.date),
+              DateEngine.formatISODate(birthDate),
+              label
+            ),
+            date: milestone.date,
+            summary: name(this.describeMilestone(milestone)),
+          });
+        });
+    }
+
+    const text = IcsExport.createCalendar(events, {
+      name: name(I18n.t("export.calendarName")),
+    });
+    this.downloadBlob(
+      new Blob([text], { type: "text/calendar;charset=utf-8" }),
+      `${this.getFileName("birthday")}.ics`
+    );
+  }
+
+  // The label, cleaned up to name a file
+  getFileName(fallback) {
+    return (
+      this.elements.labelInput.value.replace(/[\\/:*?"<>|]+/g, "").trim() ||
+      fallback
+    );
+  }
+
+  downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * The results as they stand, drawn as a PNG in the chosen layout and
+   * the current theme. Shared as a file where the browser can, downloaded
+   * otherwise
+   */
+  async exportImage() {
+    const { elements } = this;
+    const text = (element) => element.textContent.replace(/\s+/g, " ").trim();
+    const detail =
+      {
+        difference: elements.rangeStart.parentElement,
+        eligibility: elements.eligibilityRule,
+        reverse: elements.reverseRange,
+        arithmetic: elements.arithmeticDate,
+      }[this.state.mode] || elements.birthDate;
+    const layout = elements.cardLayoutSelect.value;
+
+    const result = this.state.shownResult;
+
+    const card = {
+      title: text(elements.modalTitle),
+      // Reverse mode can show ranges; labels follow their upper end
+      values: ["years", "months", "days"].map((unit) => {
+        const value = result[unit];
+        return {
+          value: this.formatRange(value),
+          label: I18n.t(`unit.${unit}`, {
+            count: Array.isArray(value) ? value[1] : value,
+          }),
+        };
+      }),
+      lines: [
+        text(detail),
+        I18n.t("results.totalDays", {
+          total: this.formatRange(result.totalDays),
+        }),
+      ].filter(Boolean),
+      footer: I18n.t("app.title"),
+    };
+
+    try {
+      const blob = await ResultCard.render(card, {
+        layout,
+        direction: I18n.getDirection(),
+      });
+      const fileName = `${this.getFileName("age")}-${layout}.png`;
+      const file = new File([blob], fileName, { type: "image/png" });
+
+      if (navigator.canShare && navigator.canShare({ files: [file] })) {
+        await navigator.share({ files: [file], title: I18n.t("app.title") });
+        return;
+      }
+      this.downloadBlob(blob, fileName);
+    } catch (error) {
+      // Closing the share sheet rejects too
+      if (error.name !== "AbortError") {
+        console.error("Error exporting image:", error);
+      }
+    }
+  }
+
+  // Birth date, age and next birthday in the calendar the date was entered in
+  renderCalendarAge(birthDate, asOfDate) {
+    const calendar = this.getCalendar();
+    const { calendarBorn, calendarAge } = this.elements;
+
+    calendarBorn.hidden = calendarAge.hidden = calendar === "gregory";
+    if (calendar === "gregory") return;
+
+    const age = DateEngine.calculateCalendarAge(
+      birthDate,
+      this.getMeasuredOn(asOfDate),
+      calendar
+    );
+    const name = I18n.t(`calendar.${calendar}`);
+
+    calendarBorn.textContent = I18n.t("results.calendarBorn", {
+      calendar: name,
+      date: this.formatCalendarDate(birthDate, calendar),
+    });
+    calendarAge.textContent = I18n.t("results.calendarAge", {
+      calendar: name,
+      age: this.formatYearsMonthsDays(age),
+      date: this.formatCalendarDate(age.nextBirthday, calendar),
+    });
+  }
+
+  displayDifference(diff, startDate, endDate) {
+    this.animateNumber(this.elements.ageYears, diff.years);
+    this.animateNumber(this.elements.ageMonths, diff.months);
+    this.animateNumber(this.elements.ageDays, diff.days);
+    this.animateNumber(this.elements.totalDays, diff.totalDays);
+    this.renderUnitLabels(diff);
+    this.state.shownResult = diff;
+
+    this.elements.diffWeeks.textContent = I18n.t("count.weeksAndDays", {
+      weeks: I18n.t("count.weeks", { count: diff.weeks }),
+      days: I18n.t("count.days", { count: diff.weekDays }),
+    });
+
+    const options = { year: "numeric", month: "long", day: "numeric" };
+    this.elements.rangeStart.textContent = this.formatHistoricalDate(
+      startDate,
+      options
+    );
+    const endText = this.formatHistoricalDate(endDate, options);
+    this.elements.rangeEnd.textContent = diff.inclusive
+      ? I18n.t("results.inclusive", { date: endText })
+      : endText;
+
+    this.elements.modalTitle.textContent = I18n.t("results.difference");
+
+    this.showModal();
+  }
+
+  /**
+   * Verdict of an eligibility check: the age on the cutoff date, how far
+   * it is from the limit that decided the verdict, and when the rule
+   * passes
+   */
+  displayEligibility(result, rule, name) {
+    const { age, gap } = result;
+
+    this.animateNumber(this.elements.ageYears, age.years);
+    this.animateNumber(this.elements.ageMonths, age.months);
+    this.animateNumber(this.elements.ageDays, age.days);
+    this.animateNumber(this.elements.totalDays, age.totalDays);
+    this.renderUnitLabels(age);
+    this.state.shownResult = age;
+
+    this.elements.eligibilityRule.textContent = this.describeRule(
+      name,
+      rule,
+      result.cutoffDate
+    );
+
+    const isExact = !gap.years && !gap.months && !gap.days;
+    let gapKey = result.reason;
+    if (!gapKey) {
+      gapKey = result.threshold === "min" ? "aboveMin" : "belowMax";
+      if (isExact && result.threshold === "min") gapKey = "justEligible";
+    }
+    this.elements.eligibilityGap.textContent = I18n.t(`eligibility.${gapKey}`, {
+      gap: this.formatYearsMonthsDays(gap),
+    });
+    this.elements.eligibilityGap.classList.toggle("pass", result.eligible);
+    this.elements.eligibilityGap.classList.toggle("fail", !result.eligible);
+
+    const from =
+      result.eligibleFrom && this.formatTextDate(result.eligibleFrom);
+    const until =
+      result.eligibleUntil && this.formatTextDate(result.eligibleUntil);
+    let windowKey = "eligibility.never";
+    if (from && until) windowKey = "eligibility.windowRange";
+    else if (from) windowKey = "eligibility.windowFrom";
+    else if (until) windowKey = "eligibility.windowUntil";
+    this.elements.eligibilityWindow.textContent = I18n.t(windowKey, {
+      from,
+      until,
+    });
+
+    this.elements.modalTitle.textContent = I18n.t(
+      result.eligible ? "eligibility.eligible" : "eligibility.notEligible"
+    );
+
+    this.showModal();
+  }
+
+  /**
+   * Birth dates that fit a known age: the date itself when only one fits,
+   * otherwise the range. Numbers the range leaves open show the values at
+   * either end of it, youngest first
+   */
+  displayBirthDates({ earliest, latest, count }, knownOn) {
+    const options = { leapDayPolicy: this.settings.leapDayPolicy };
+    const oldest = DateEngine.calculateExactAge(earliest, knownOn, options);
+    const youngest = DateEngine.calculateExactAge(latest, knownOn, options);
+    const numbers = {
+      years: this.elements.ageYears,
+      months: this.elements.ageMonths,
+      days: this.elements.ageDays,
+      totalDays: this.elements.totalDays,
+    };
+    const shown = {};
+
+    Object.entries(numbers).forEach(([unit, element]) => {
+      const low = Math.min(youngest[unit], oldest[unit]);
+      const high = Math.max(youngest[unit], oldest[unit]);
+      shown[unit] = low === high ? low : [low, high];
+
+      if (low === high) this.animateNumber(element, low);
+      else element.textContent = this.formatRange(shown[unit]);
+    });
+    this.renderUnitLabels(oldest);
+    this.state.shownResult = shown;
+
+    const dateOptions = { year: "numeric", month: "long", day: "numeric" };
+    this.elements.reverseRange.textContent =
+      count === 1
+        ? I18n.t("reverse.bornOn", {
+            date: this.formatHistoricalDate(latest, {
+              ...dateOptions,
+              weekday: "long",
+            }),
+          })
+        : I18n.t("reverse.bornBetween", {
+            from: this.formatHistoricalDate(earliest, dateOptions),
+            until: this.formatHistoricalDate(latest, dateOptions),
+          });
+    this.elements.reverseCount.textContent = I18n.t("reverse.count", {
+      count,
+      date: this.formatHistoricalDate(knownOn, dateOptions),
+    });
+
+    this.elements.modalTitle.textContent = I18n.t(
+      count === 1 ? "reverse.exactTitle" : "reverse.title"
+    );
+
+    this.showModal();
+  }
+
+  /**
+   * Result of date arithmetic: the date reached, with its weekday, and the
+   * span from the start date to it in the numbers
+   */
+  displayDateArithmetic(startDate, resultDate, duration, isSubtract) {
+    const [from, to] = isSubtract
+      ? [resultDate, startDate]
+      : [startDate, resultDate];
+    const diff = DateEngine.calculateDifference(from, to);
+
+    this.animateNumber(this.elements.ageYears, diff.years);
+    this.animateNumber(this.elements.ageMonths, diff.months);
+    this.animateNumber(this.elements.ageDays, diff.days);
+    this.animateNumber(this.elements.totalDays, diff.totalDays);
+    this.renderUnitLabels(diff);
+    this.state.shownResult = diff;
+    this.state.arithmeticResult = resultDate;
+
+    const options = { year: "numeric", month: "long", day: "numeric" };
+    this.elements.arithmeticDate.textContent = this.formatHistoricalDate(
+      resultDate,
+      { ...options, weekday: "long" }
+    );
+    const amounts = Object.entries(duration)
+      .filter(([, count]) => count > 0)
+      .map(([unit, count]) => I18n.t(`count.${unit}`, { count }));
+    this.elements.arithmeticSummary.textContent = I18n.t(
+      isSubtract ? "arithmetic.before" : "arithmetic.after",
+      {
+        duration: I18n.formatList(amounts),
+        date: this.formatHistoricalDate(startDate, options),
+      }
+    );
+
+    this.elements.modalTitle.textContent = I18n.t("arithmetic.title");
+
+    this.showModal();
+  }
+
+  // Puts the date reached into the date fields, to go on from it in any
+  // mode
+  useArithmeticResult() {
+    this.fillDate("", this.state.arithmeticResult);
+    this.hideModal();
+  }
+
+  // A number, or a [low, high] range such as "0–11", in the language's digits
+  formatRange(value) {
+    return Array.isArray(value)
+      ? value.map((number) => I18n.formatNumber(number)).join("–")
+      : I18n.formatNumber(value);
+  }
+
+  showFutureDate(age, birthDate) {
+    this.elements.ageYears.textContent = I18n.formatNumber(age.years);
+    this.elements.ageMonths.textContent = I18n.formatNumber(age.months);
+    this.elements.ageDays.textContent = I18n.formatNumber(age.days);
+    this.elements.totalDays.textContent = I18n.formatNumber(age.totalDays);
+    this.renderUnitLabels(age);
+    this.state.shownResult = age;
+
+    // Show special message for future dates
+    const options = { year: "numeric", month: "long", day: "numeric" };
+    this.elements.birthDate.textContent = I18n.t("results.futureDate", {
+      date: I18n.formatDate(birthDate, options),
+    });
+
+    // Update modal title for future dates
+    this.elements.modalTitle.textContent = I18n.t("results.timeUntil");
+
+    this.showModal();
+  }
+
+  renderTime(age) {
+    const pad = (value) =>
+      I18n.formatNumber(value, { minimumIntegerDigits: 2 });
+
+    this.elements.ageHours.textContent = pad(age.hours);
+    this.elements.ageMinutes.textContent = pad(age.minutes);
+    this.elements.ageSeconds.textContent = pad(age.seconds);
+  }
+
+  // Numbers are animated on the first reveal only; each tick writes them
+  // straight through
+  startLiveAge(birthDate) {
+    this.stopLiveAge();
+
+    this.state.liveTimer = setInterval(() => {
+      const age = this.computeAge(birthDate, null, true);
+
+      this.elements.ageYears.textContent = I18n.formatNumber(age.years);
+      this.elements.ageMonths.textContent = I18n.formatNumber(age.months);
+      this.elements.ageDays.textContent = I18n.formatNumber(age.days);
+      this.elements.totalDays.textContent = I18n.formatNumber(age.totalDays);
+      this.renderUnitLabels(age);
+      this.state.shownResult = age;
+      this.renderTime(age);
+      this.renderStatistics(age, birthDate);
+    }, 1000);
+  }
+
+  stopLiveAge() {
+    clearInterval(this.state.liveTimer);
+    this.state.liveTimer = null;
+  }
+
+  animateNumber(element, target) {
+    const start = parseInt(element.textContent) || 0;
+    const duration = 1000;
+    const startTime = performance.now();
+
+    const animate = (currentTime) => {
+      const elapsed = currentTime - startTime;
+      const progress = Math.min(elapsed / duration, 1);
+
+      // Easing function for smooth animation
+      const easeOut = 1 - Math.pow(1 - progress, 3);
+      const current = Math.floor(start + (target - start) * easeOut);
+
+      element.textContent = I18n.formatNumber(current);
+
+      if (progress < 1) {
+        requestAnimationFrame(animate);
+      }
+    };
+
+    requestAnimationFrame(animate);
+  }
+
+  showModal() {
+    this.elements.modal.classList.add("show");
+    document.body.style.overflow = "hidden";
+
+    // Focus management for accessibility
+    setTimeout(() => {
+      this.elements.modalClose.focus();
+    }, 300);
+  }
+
+  hideModal() {
+    this.stopLiveAge();
+    this.elements.modal.classList.remove("show");
+    document.body.style.overflow = "";
+
+    // Return focus to form
+    this.elements.calculateBtn.focus();
+
+    // Reset modal title and age-only notes
+    this.elements.modalTitle.textContent = I18n.t("results.title");
+    this.elements.timeResults.hidden = true;
+    this.elements.leapDayNote.hidden = true;
+    this.elements.calendarBorn.hidden = true;
+    this.elements.calendarAge.hidden = true;
+    this.elements.reckonedAge.hidden = true;
+    this.elements.reckonedAgeNote.hidden = true;
+    this.elements.decimalAge.hidden = true;
+    this.elements.statsPanel.hidden = true;
+    this.elements.milestonesPanel.hidden = true;
+    this.elements.exportActions.hidden = true;
+  }
+
+  showPeople() {
+    // Offer the birth date currently in the form as the next person
+    if (this.validateDateSilently()) {
+      this.elements.personName.value = this.elements.labelInput.value.trim();
+      this.elements.personBirthDate.value = DateEngine.formatISODate(
+        this.readDate()
+      );
+    }
+
+    this.elements.personError.textContent = "";
+    this.elements.peopleModal.classList.add("show");
+    document.body.style.overflow = "hidden";
+    this.renderPeople();
+
+    setTimeout(() => this.elements.personName.focus(), 300);
+  }
+
+  hidePeople() {
+    this.elements.peopleModal.classList.remove("show");
+    document.body.style.overflow = "";
+    this.elements.peopleBtn.focus();
+  }
+
+  // Whether the birth date fields hold a real date, without showing errors
+  validateDateSilently(calendar = this.getCalendar()) {
+    if (calendar !== "gregory" || this.getGregorianSwitch(calendar)) {
+      return Boolean(this.readDate("", calendar));
+    }
+
+    const { year, month, day } = this.readDateFields();
+    return DateEngine.isValidDate(year, month, day);
+  }
+
+  async addPerson() {
+    const name = this.elements.personName.value.trim();
+    const birthDate = DateEngine.parseISODate(
+      this.elements.personBirthDate.value
+    );
+    const range = this.getYearRange("gregory");
+
+    let error = "";
+    if (!name) {
+      error = I18n.t("people.nameRequired");
+    } else if (!birthDate) {
+      error = I18n.t("people.invalidDate");
+    } else if (
+      birthDate.getFullYear() < range.min ||
+      birthDate.getFullYear() > range.max
+    ) {
+      error = this.yearRangeMessage(range);
+    }
+
+    this.elements.personError.textContent = error;
+    if (error) return;
+
+    try {
+      await PeopleStore.add({
+        name,
+        birthDate: DateEngine.formatISODate(birthDate),
+      });
+      this.elements.personName.value = "";
+      this.elements.personBirthDate.value = "";
+      this.renderPeople();
+      if (this.settings.remindersEnabled) this.syncReminders();
+    } catch (error) {
+      console.error("Error saving person:", error);
+      this.elements.personError.textContent = I18n.t("people.saveFailed");
+    }
+  }
+
+  async renderPeople() {
+    let people = [];
+    try {
+      people = PeopleStore.getUpcomingBirthdays(
+        await PeopleStore.list(),
+        DateEngine.toZonedDay(new Date(), this.elements.timeZoneSelect.value),
+        this.settings.leapDayPolicy
+      );
+    } catch (error) {
+      console.error("Error loading people:", error);
+    }
+
+    this.elements.peopleList.replaceChildren(
+      ...people.map((person) => this.createPersonItem(person))
+    );
+    this.elements.peopleEmpty.hidden = people.length > 0;
+  }
+
+  createPersonItem(person) {
+    const { age } = person;
+    const item = document.createElement("li");
+    item.className = `entry-item${person.isBirthdayToday ? " today" : ""}`;
+    item.dataset.id = person.id;
+
+    const main = document.createElement("button");
+    main.type = "button";
+    main.className = "entry-main clickable";
+    main.dataset.action = "open";
+
+    const name = document.createElement("span");
+    name.className = "entry-label";
+    name.textContent = person.name;
+
+    const summary = document.createElement("span");
+    summary.className = "entry-summary";
+    if (age.isFuture) {
+      summary.textContent = I18n.t("people.notBorn");
+    } else if (person.isBirthdayToday) {
+      summary.textContent = I18n.t("people.turnsToday", {
+        age: person.turningAge,
+      });
+    } else if (age.daysUntilBirthday === 1) {
+      summary.textContent = I18n.t("people.turnsTomorrow", {
+        age: person.turningAge,
+      });
+    } else {
+      summary.textContent = I18n.t("people.turnsIn", {
+        age: person.turningAge,
+        count: age.daysUntilBirthday,
+      });
+    }
+
+    const meta = document.createElement("span");
+    meta.className = "entry-meta";
+    const birthDate = DateEngine.parseISODate(person.birthDate);
+    const dateOptions = { year: "numeric", month: "short", day: "numeric" };
+    meta.textContent = age.isFuture
+      ? I18n.t("people.due", {
+          date: I18n.formatDate(birthDate, dateOptions),
+        })
+      : [
+          I18n.t("people.age", { age: age.years }),
+          I18n.t("people.born", {
+            date: I18n.formatDate(birthDate, dateOptions),
+          }),
+          I18n.t("people.next", {
+            date: I18n.formatDate(age.nextBirthday, {
+              weekday: "short",
+              ...dateOptions,
+            }),
+          }),
+        ].join(" · ");
+
+    main.append(name, summary, meta);
+
+    const actions = document.createElement("div");
+    actions.className = "entry-actions";
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.dataset.action = "delete";
+    remove.textContent = I18n.t("people.delete");
+    remove.setAttribute(
+      "aria-label",
+      I18n.t("people.deleteLabel", { name: person.name })
+    );
+    actions.appendChild(remove);
+
+    item.append(main, actions);
+    return item;
+  }
+
+  async handlePersonAction(e) {
+    const target = e.target.closest("[data-action]");
+    if (!target) return;
+
+    const id = Number(target.closest(".entry-item").dataset.id);
+
+    try {
+      if (target.dataset.action === "delete") {
+        await PeopleStore.remove(id);
+        this.renderPeople();
+        return;
+      }
+
+      const person = await PeopleStore.get(id);
+      if (person) {
+        this.hidePeople();
+        this.loadPerson(person);
+      }
+    } catch (error) {
+      console.error("People action failed:", error);
+    }
+  }
+
+  // Reminder notifications open the app at ?person=<id>
+  async openLinkedPerson() {
+    const params = new URLSearchParams(window.location.search);
+    const id = Number(params.get("person"));
+    if (!id) return;
+
+    history.replaceState(null, "", window.location.pathname);
+
+    try {
+      const person = await PeopleStore.get(id);
+      if (person) this.loadPerson(person);
+    } catch (error) {
+      console.error("Error opening linked person:", error);
+    }
+  }
+
+  /**
+   * Batch ages
+   * Rows of name, birth date and an optional "as of" date, pasted from a
+   * spreadsheet or loaded from a CSV file. Dates are read the way typed
+   * dates are and checked with the form's date rules; a row that fails
+   * keeps its error to be shown in its place in the table. Everything
+   * stays on the device
+   */
+  showBatch() {
+    this.elements.batchModal.classList.add("show");
+    document.body.style.overflow = "hidden";
+
+    setTimeout(() => this.elements.batchInput.focus(), 300);
+  }
+
+  hideBatch() {
+    this.elements.batchModal.classList.remove("show");
+    document.body.style.overflow = "";
+    this.elements.batchBtn.focus();
+  }
+
+  async loadBatchFile() {
+    const [file] = this.elements.batchFile.files;
+    if (!file) return;
 
-    if (!day) {
-      this.showError("day", "Day is required");
-      return false;
+    try {
+      this.elements.batchInput.value = await file.text();
+      this.runBatch();
+    } catch (error) {
+      console.error("Error reading batch file:", error);
+    } finally {
+      this.elements.batchFile.value = "";
     }
+  }
 
-    if (day < 1 || day > 31) {
-      this.showError("day", "Day must be between 1 and 31");
-      return false;
-    }
+  runBatch() {
+    const rows = Csv.parse(this.elements.batchInput.value);
+    // Only a first row with no digit in any cell, such as "Name, Birth
+    // date", is a header; a first data row that fails is reported instead
+    const hasHeader =
+      rows.length > 0 && !rows[0].some((cell) => /\p{Nd}/u.test(cell));
+
+    this.state.batchRows = rows
+      .map((cells, index) => ({ cells, line: index + 1 }))
+      .slice(hasHeader ? 1 : 0)
+      .map(({ cells, line }) => this.readBatchRow(cells, line));
+
+    const invalid = this.state.batchRows.filter((row) => row.error).length;
+    this.elements.batchSummary.textContent = I18n.t("batch.summary", {
+      read: I18n.t("batch.rowsRead", { count: this.state.batchRows.length }),
+      invalid: I18n.t("batch.rowsInvalid", { count: invalid }),
+    });
+    this.elements.batchResults.hidden = false;
+    this.renderBatch();
+  }
 
-    // Check if day is valid for the given month
-    const daysInMonth = new Date(year, month, 0).getDate();
-    if (day > daysInMonth) {
-      this.showError(
-        "day",
-        `${this.getMonthName(month)} has only ${daysInMonth} days`
-      );
-      return false;
+  readBatchRow([name = "", birthText = "", asOfText = ""], line) {
+    const row = { line, name, birthText, asOfText, age: null, error: null };
+    const birth = this.readBatchDate(birthText);
+    const asOf = asOfText ? this.readBatchDate(asOfText) : { date: null };
+
+    if (!birthText) {
+      row.error = I18n.t("batch.dateRequired");
+    } else if (birth.error) {
+      row.error = I18n.t("batch.birthError", { error: birth.error });
+    } else if (asOf.error) {
+      row.error = I18n.t("batch.asOfError", { error: asOf.error });
+    } else {
+      row.birthDate = birth.date;
+      row.asOfDate = asOf.date;
+      row.measuredOn = this.getMeasuredOn(asOf.date);
+
+      const age = this.computeAge(birth.date, asOf.date, false);
+      if (age.isFuture) {
+        row.error = I18n.t("batch.notBorn");
+      } else {
+        row.age = age;
+      }
     }
 
-    this.elements.dayInput.classList.add("success");
-    return true;
+    return row;
   }
 
-  validateMonth() {
-    const month = parseInt(this.elements.monthInput.value);
-
-    if (!month) {
-      this.showError("month", "Month is required");
-      return false;
-    }
+  // A Gregorian date cell as a Date, or the error for the first field
+  // that breaks the date rules
+  readBatchDate(text) {
+    const fields = DateEngine.parseDateFields(text, this.getDateTextOptions());
+    if (!fields) return { error: I18n.t("form.dateTextInvalid") };
+
+    const error =
+      this.getYearError(fields, "gregory") ||
+      this.getMonthError(fields, "gregory") ||
+      this.getDayError(fields, "gregory");
+    return error ? { error } : { date: this.dateFromFields(fields, "gregory") };
+  }
 
-    if (month < 1 || month > 12) {
-      this.showError("month", "Month must be between 1 and 12");
-      return false;
-    }
+  // Rows passing the search and status filters, in the chosen order
+  getVisibleBatchRows() {
+    const query = this.elements.batchSearch.value.trim().toLowerCase();
+    const status = this.elements.batchStatusSelect.value;
+    const { key, descending } = this.state.batchSort;
+
+    const sortValue = (row) =>
+      ({
+        line: row.line,
+        name: row.name,
+        birth: row.birthDate,
+        asOf: row.measuredOn,
+        age: row.age && row.age.totalDays,
+        totalDays: row.age && row.age.totalDays,
+      }[key]);
+    const compare = (a, b) => {
+      const [first, second] = [sortValue(a), sortValue(b)];
+      // Rows without a value go last either way
+      const missing = (value) => value === undefined || value === null;
+      if (missing(first) || missing(second)) {
+        return missing(first) - missing(second);
+      }
+      const order =
+        typeof first === "string"
+          ? first.localeCompare(second, I18n.getLocale())
+          : first - second;
+      return descending ? -order : order;
+    };
 
-    this.elements.monthInput.classList.add("success");
-    return true;
+    return this.state.batchRows
+      .filter(
+        (row) =>
+          status === "all" || (status === "invalid") === Boolean(row.error)
+      )
+      .filter(
+        (row) =>
+          !query ||
+          [row.name, row.birthText, row.asOfText].some((text) =>
+            text.toLowerCase().includes(query)
+          )
+      )
+      .sort((a, b) => compare(a, b) || a.line - b.line);
   }
 
-  validateYear() {
-    const year = parseInt(this.elements.yearInput.value);
-    const currentYear = new Date().getFullYear();
+  renderBatch() {
+    const rows = this.getVisibleBatchRows();
+    const { key, descending } = this.state.batchSort;
+
+    this.elements.batchHead.querySelectorAll("th").forEach((header) => {
+      if (header.dataset.sort === key) {
+        header.setAttribute(
+          "aria-sort",
+          descending ? "descending" : "ascending"
+        );
+      } else {
+        header.removeAttribute("aria-sort");
+      }
+    });
 
-    if (!year) {
-      this.showError("year", "Year is required");
-      return false;
-    }
+    this.elements.batchBody.replaceChildren(
+      ...rows.map((row) => this.createBatchRow(row))
+    );
+    this.elements.batchEmpty.hidden = rows.length > 0;
+  }
 
-    if (year < 1900 || year > currentYear + 10) {
-      this.showError(
-        "year",
-        `Year must be between 1900 and ${currentYear + 10}`
-      );
-      return false;
+  createBatchRow(row) {
+    const options = { year: "numeric", month: "short", day: "numeric" };
+    const tableRow = document.createElement("tr");
+    if (row.error) tableRow.className = "invalid";
+
+    const addCell = (text, className = "") => {
+      const cell = document.createElement("td");
+      cell.textContent = text;
+      if (className) cell.className = className;
+      tableRow.appendChild(cell);
+      return cell;
+    };
+
+    addCell(I18n.formatNumber(row.line));
+    addCell(row.name);
+    if (row.error) {
+      addCell(row.birthText);
+      addCell(row.asOfText);
+      addCell(row.error, "batch-error").colSpan = 2;
+      return tableRow;
     }
 
-    this.elements.yearInput.classList.add("success");
-    return true;
+    addCell(this.formatHistoricalDate(row.birthDate, options));
+    addCell(
+      row.asOfDate
+        ? this.formatHistoricalDate(row.asOfDate, options)
+        : I18n.t("batch.today")
+    );
+    addCell(this.formatYearsMonthsDays(row.age));
+    addCell(I18n.formatNumber(row.age.totalDays));
+    return tableRow;
   }
 
-  showError(field, message) {
-    const errorElement = this.elements[`${field}Error`];
-    const inputElement = this.elements[`${field}Input`];
+  // A header click sorts by its column, a second click reverses the order
+  sortBatch(e) {
+    const header = e.target.closest("th[data-sort]");
+    if (!header) return;
 
-    errorElement.textContent = message;
-    errorElement.classList.add("show");
-    inputElement.classList.add("error");
-    inputElement.classList.remove("success");
+    const { key, descending } = this.state.batchSort;
+    this.state.batchSort = {
+      key: header.dataset.sort,
+      descending: header.dataset.sort === key && !descending,
+    };
+    this.renderBatch();
   }
 
-  clearError(field) {
-    const errorElement = this.elements[`${field}Error`];
-    const inputElement = this.elements[`${field}Input`];
-
-    errorElement.classList.remove("show");
-    inputElement.classList.remove("error");
+  // The rows as shown, with the dates as they were written
+  exportBatch() {
+    const header = [
+      "batch.name",
+      "batch.birthDate",
+      "batch.asOf",
+      "batch.years",
+      "batch.months",
+      "batch.days",
+      "batch.totalDays",
+      "batch.error",
+    ].map((key) => I18n.t(key));
+
+    const rows = this.getVisibleBatchRows().map((row) => [
+      row.name,
+      row.birthText,
+      row.asOfText,
+      ...(row.age
+        ? [row.age.years, row.age.months, row.age.days, row.age.totalDays]
+        : ["", "", "", ""]),
+      row.error || "",
+    ]);
+
+    this.downloadBlob(
+      new Blob([Csv.stringify([header, ...rows])], {
+        type: "text/csv;charset=utf-8",
+      }),
+      "ages.csv"
+    );
   }
 
-  async calculateAge() {
-    if (this.state.isCalculating) return;
-
-    // Validate all inputs
-    const isDayValid = this.validateDay();
-    const isMonthValid = this.validateMonth();
-    const isYearValid = this.validateYear();
+  /**
+   * Eligibility rules
+   * Presets are kept in settings and fill the rule editor; a check uses
+   * the rule as it stands in the editor, saved or not
+   */
+  setupEligibility() {
+    this.renderRulePresets();
+    this.selectRule(this.settings.eligibilityRuleId);
+  }
 
-    if (!isDayValid || !isMonthValid || !isYearValid) {
-      this.shake(this.elements.calculateBtn);
-      return;
-    }
+  getRuleName(rule) {
+    return rule.name || I18n.t(rule.nameKey);
+  }
 
-    this.state.isCalculating = true;
-    this.showLoading();
+  getSelectedRule() {
+    return this.settings.eligibilityRules.find(
+      (rule) => rule.id === this.elements.rulePresetSelect.value
+    );
+  }
 
-    try {
-      // Simulate calculation delay for better UX
-      await this.delay(800);
+  // Preset names and month names follow the language
+  renderRulePresets() {
+    const { rulePresetSelect, ruleMonthSelect } = this.elements;
+    const selected = rulePresetSelect.value;
+    const month = ruleMonthSelect.value;
 
-      const day = parseInt(this.elements.dayInput.value);
-      const month = parseInt(this.elements.monthInput.value);
-      const year = parseInt(this.elements.yearInput.value);
+    rulePresetSelect.replaceChildren(
+      ...this.settings.eligibilityRules.map(
+        (rule) => new Option(this.getRuleName(rule), rule.id)
+      )
+    );
+    ruleMonthSelect.replaceChildren(
+      ...DateEngine.MONTH_NAMES.map(
+        (name, index) => new Option(I18n.getMonthName(index + 1), index + 1)
+      )
+    );
+    if (selected) rulePresetSelect.value = selected;
+    if (month) ruleMonthSelect.value = month;
 
-      const birthDate = new Date(year, month - 1, day);
-      const today = new Date();
+    this.elements.ruleDeleteBtn.disabled =
+      this.settings.eligibilityRules.length < 2;
+  }
 
-      // Check if birth date is in the future
-      if (birthDate > today) {
-        this.showFutureDate(birthDate);
-        return;
-      }
+  selectRule(id) {
+    const rules = this.settings.eligibilityRules;
+    const rule = rules.find((item) => item.id === id) || rules[0];
 
-      const age = this.calculateExactAge(birthDate, today);
-      this.displayResults(age, birthDate);
-    } catch (error) {
-      console.error("Calculation error:", error);
-      this.showError("year", "An error occurred during calculation");
-    } finally {
-      this.state.isCalculating = false;
-      this.hideLoading();
+    this.elements.rulePresetSelect.value = rule.id;
+    this.fillRule(rule);
+    if (this.settings.eligibilityRuleId !== rule.id) {
+      this.updateSetting("eligibilityRuleId", rule.id);
     }
   }
 
-  calculateExactAge(birthDate, currentDate) {
-    let years = currentDate.getFullYear() - birthDate.getFullYear();
-    let months = currentDate.getMonth() - birthDate.getMonth();
-    let days = currentDate.getDate() - birthDate.getDate();
+  fillRule(rule) {
+    const { cutoff } = rule;
+    const optional = (value) => (value === null ? "" : value);
+
+    this.elements.ruleNameInput.value = this.getRuleName(rule);
+    this.elements.ruleTypeSelect.value = rule.type;
+    this.elements.ruleMinAgeInput.value = optional(rule.minAge);
+    this.elements.ruleMaxAgeInput.value = optional(rule.maxAge);
+    this.elements.ruleCutoffSelect.value = cutoff.kind;
+    this.elements.ruleMonthSelect.value = cutoff.month || 1;
+    this.elements.ruleDayInput.value = cutoff.day || "";
+    this.elements.ruleDateInput.value = cutoff.date || "";
+    this.elements.ruleError.textContent = "";
+    this.updateRuleFields();
+  }
+
+  // Only the fields the rule type and cutoff use are shown
+  updateRuleFields() {
+    const kind = this.elements.ruleCutoffSelect.value;
 
-    // Adjust for negative days
-    if (days < 0) {
-      months--;
-      const lastMonth = new Date(
-        currentDate.getFullYear(),
-        currentDate.getMonth(),
-        0
-      );
-      days += lastMonth.getDate();
-    }
+    this.elements.ruleMaxField.hidden =
+      this.elements.ruleTypeSelect.value === "turnsBefore";
+    this.elements.ruleMonthField.hidden = kind !== "yearly";
+    this.elements.ruleDayField.hidden = kind !== "yearly";
+    this.elements.ruleDateField.hidden = kind !== "date";
+  }
 
-    // Adjust for negative months
-    if (months < 0) {
-      years--;
-      months += 12;
+  // The rule in the editor, or null after showing what is wrong with it
+  readRule() {
+    const { elements } = this;
+    const age = (input) => (input.value === "" ? null : Number(input.value));
+    const type = elements.ruleTypeSelect.value;
+    const minAge = age(elements.ruleMinAgeInput);
+    const maxAge =
+      type === "turnsBefore" ? null : age(elements.ruleMaxAgeInput);
+    const cutoff = { kind: elements.ruleCutoffSelect.value };
+
+    if (cutoff.kind === "yearly") {
+      cutoff.month = Number(elements.ruleMonthSelect.value);
+      cutoff.day = Number(elements.ruleDayInput.value);
+    } else if (cutoff.kind === "date") {
+      cutoff.date = elements.ruleDateInput.value;
     }
 
-    // Calculate total days
-    const totalDays = Math.floor(
-      (currentDate - birthDate) / (1000 * 60 * 60 * 24)
-    );
+    let error = null;
+    if (
+      [minAge, maxAge].some(
+        (value) =>
+          value !== null &&
+          !(Number.isInteger(value) && value >= 0 && value <= 150)
+      )
+    ) {
+      error = "rule.errorAgeRange";
+    } else if (minAge === null && (type === "turnsBefore" || maxAge === null)) {
+      error =
+        type === "turnsBefore" ? "rule.errorMinRequired" : "rule.errorAge";
+    } else if (minAge !== null && maxAge !== null && maxAge < minAge) {
+      error = "rule.errorMaxBelowMin";
+    } else if (
+      cutoff.kind === "yearly" &&
+      !DateEngine.isValidDate(2000, cutoff.month, cutoff.day)
+    ) {
+      error = "rule.errorCutoff";
+    } else if (
+      cutoff.kind === "date" &&
+      !DateEngine.parseISODate(cutoff.date)
+    ) {
+      error = "rule.errorCutoff";
+    }
 
-    return { years, months, days, totalDays };
+    elements.ruleError.textContent = error ? I18n.t(error) : "";
+    return error ? null : { type, minAge, maxAge, cutoff };
   }
 
-  displayResults(age, birthDate) {
-    // Animate numbers
-    this.animateNumber(this.elements.ageYears, age.years);
-    this.animateNumber(this.elements.ageMonths, age.months);
-    this.animateNumber(this.elements.ageDays, age.days);
-    this.animateNumber(this.elements.totalDays, age.totalDays);
-
-    // Format birth date
-    const options = {
-      year: "numeric",
-      month: "long",
-      day: "numeric",
-      weekday: "long",
+  saveRule(asNew) {
+    const rule = this.readRule();
+    if (!rule) return;
+
+    const preset = this.getSelectedRule();
+    const name =
+      this.elements.ruleNameInput.value.trim() || I18n.t("rule.untitled");
+    // A preset keeps its translated name until it is renamed
+    const keepsKey =
+      !asNew && preset.nameKey && name === I18n.t(preset.nameKey);
+    const saved = {
+      id: asNew ? `rule-${Date.now()}` : preset.id,
+      ...(keepsKey ? { nameKey: preset.nameKey } : { name }),
+      ...rule,
     };
-    this.elements.birthDate.textContent = birthDate.toLocaleDateString(
-      "en-US",
-      options
-    );
 
-    this.showModal();
+    this.updateSetting(
+      "eligibilityRules",
+      asNew
+        ? [...this.settings.eligibilityRules, saved]
+        : this.settings.eligibilityRules.map((item) =>
+            item.id === saved.id ? saved : item
+          )
+    );
+    this.renderRulePresets();
+    this.selectRule(saved.id);
+    this.announceToScreenReader(I18n.t("rule.saved"));
   }
 
-  showFutureDate(birthDate) {
-    const today = new Date();
-    const age = this.calculateExactAge(today, birthDate);
-
-    this.elements.ageYears.textContent = age.years;
-    this.elements.ageMonths.textContent = age.months;
-    this.elements.ageDays.textContent = age.days;
-    this.elements.totalDays.textContent = age.totalDays;
+  deleteRule() {
+    const rules = this.settings.eligibilityRules.filter(
+      (rule) => rule.id !== this.elements.rulePresetSelect.value
+    );
+    if (rules.length === 0) return;
 
-    // Show special message for future dates
-    const options = { year: "numeric", month: "long", day: "numeric" };
-    this.elements.birthDate.textContent = `Future date: ${birthDate.toLocaleDateString(
-      "en-US",
-      options
-    )}`;
+    this.updateSetting("eligibilityRules", rules);
+    this.renderRulePresets();
+    this.selectRule(rules[0].id);
+  }
 
-    // Update modal title for future dates
-    document.querySelector(".modal-title").textContent = "Time Until Date";
+  // "Voting age: at least 18 years on 19 October 2026"
+  describeRule(name, rule, cutoffDate) {
+    const params = {
+      name,
+      date: this.formatTextDate(cutoffDate),
+      min: String(rule.minAge),
+      max: I18n.t("count.years", { count: rule.maxAge }),
+    };
 
-    this.showModal();
+    if (rule.type === "turnsBefore") {
+      return I18n.t("rule.describeTurns", {
+        ...params,
+        min: I18n.t("count.years", { count: rule.minAge }),
+      });
+    }
+    if (rule.minAge !== null && rule.maxAge !== null) {
+      return I18n.t("rule.describeRange", params);
+    }
+    return rule.minAge !== null
+      ? I18n.t("rule.describeMin", {
+          ...params,
+          min: I18n.t("count.years", { count: rule.minAge }),
+        })
+      : I18n.t("rule.describeMax", params);
   }
 
-  animateNumber(element, target) {
-    const start = parseInt(element.textContent) || 0;
-    const duration = 1000;
-    const startTime = performance.now();
+  /**
+   * Deep links
+   * A calculation travels as URL parameters: `date` and `asOf` (the
+   * reference or end date) as Gregorian ISO dates, `time`, `mode`,
+   * `calendar`, `inclusive`, `label` and the time zones. An eligibility
+   * check adds its rule as it stands in the editor: `rule` (the name),
+   * `ruleType`, `minAge`, `maxAge` and `cutoff`, with `cutoffMonth` and
+   * `cutoffDay` or `cutoffDate`. A reverse calculation adds the known age
+   * as `years`, `months` and `days`; date arithmetic adds the duration the
+   * same way, with `weeks`, and its `direction` and `monthEnd`. Text shared
+   * to the app arrives as `title`, `text` and `url` and is searched for a
+   * date
+   */
+  getShareUrl() {
+    const params = new URLSearchParams();
+    const label = this.elements.labelInput.value.trim();
+    const calendar = this.getCalendar();
+
+    if (label) params.set("label", label);
+    params.set("mode", this.state.mode);
+    params.set("date", DateEngine.formatISODate(this.readDate()));
+    if (calendar !== "gregory") params.set("calendar", calendar);
+    if (this.state.mode === "age" && this.hasBirthTime()) {
+      const minute = this.elements.minuteInput.value || "0";
+      params.set(
+        "time",
+        `${this.elements.hourInput.value}:${minute.padStart(2, "0")}`
+      );
+      params.set("birthTz", this.elements.birthTimeZoneSelect.value);
+      params.set("tz", this.elements.timeZoneSelect.value);
+    }
+    if (this.needsSecondDate()) {
+      params.set("asOf", DateEngine.formatISODate(this.readDate("asOf")));
+    }
+    if (
+      this.state.mode === "difference" &&
+      this.elements.inclusiveToggle.checked
+    ) {
+      params.set("inclusive", "1");
+    }
+    if (this.state.mode === "eligibility") {
+      const { elements } = this;
+      const cutoff = elements.ruleCutoffSelect.value;
+
+      params.set("rule", elements.ruleNameInput.value.trim());
+      params.set("ruleType", elements.ruleTypeSelect.value);
+      if (elements.ruleMinAgeInput.value !== "") {
+        params.set("minAge", elements.ruleMinAgeInput.value);
+      }
+      if (
+        elements.ruleTypeSelect.value !== "turnsBefore" &&
+        elements.ruleMaxAgeInput.value !== ""
+      ) {
+        params.set("maxAge", elements.ruleMaxAgeInput.value);
+      }
+      params.set("cutoff", cutoff);
+      if (cutoff === "yearly") {
+        params.set("cutoffMonth", elements.ruleMonthSelect.value);
+        params.set("cutoffDay", elements.ruleDayInput.value);
+      } else if (cutoff === "date") {
+        params.set("cutoffDate", elements.ruleDateInput.value);
+      }
+    }
+    if (this.state.mode === "reverse") {
+      ["Years", "Months", "Days"].forEach((unit) => {
+        const { value } = this.elements[`known${unit}Input`];
+        if (value !== "") params.set(unit.toLowerCase(), value);
+      });
+    }
+    if (this.state.mode === "arithmetic") {
+      ["Years", "Months", "Weeks", "Days"].forEach((unit) => {
+        const { value } = this.elements[`duration${unit}Input`];
+        if (value !== "") params.set(unit.toLowerCase(), value);
+      });
+      params.set("direction", this.elements.durationDirectionSelect.value);
+      params.set("monthEnd", this.elements.monthEndSelect.value);
+    }
 
-    const animate = (currentTime) => {
-      const elapsed = currentTime - startTime;
-      const progress = Math.min(elapsed / duration, 1);
+    return `${window.location.origin}${window.location.pathname}?${params}`;
+  }
 
-      // Easing function for smooth animation
-      const easeOut = 1 - Math.pow(1 - progress, 3);
-      const current = Math.floor(start + (target - start) * easeOut);
+  openSharedLink() {
+    const params = new URLSearchParams(window.location.search);
+    const date = DateEngine.parseISODate(params.get("date") || "");
+    const sharedText = ["title", "text", "url"]
+      .map((name) => params.get(name))
+      .filter(Boolean)
+      .join(" ");
+    if (!date && !sharedText) return;
 
-      element.textContent = current.toLocaleString();
+    history.replaceState(null, "", window.location.pathname);
 
-      if (progress < 1) {
-        requestAnimationFrame(animate);
-      }
-    };
+    if (!date) {
+      this.openSharedText(sharedText);
+      return;
+    }
 
-    requestAnimationFrame(animate);
+    // Any mode on the mode switch can arrive in a link
+    const modes = [...this.elements.modeButtons].map(
+      (button) => button.dataset.mode
+    );
+    const mode = modes.includes(params.get("mode"))
+      ? params.get("mode")
+      : "age";
+    const asOf = DateEngine.parseISODate(params.get("asOf") || "");
+    const [hour = "", minute = ""] = (params.get("time") || "").split(":");
+    // Known ages and durations share their parameter names
+    const amount = (unit, forMode) =>
+      (mode === forMode && params.get(unit)) || "";
+
+    this.applyFormData({
+      label: params.get("label") || "",
+      calendar: params.get("calendar") || "gregory",
+      hour,
+      minute,
+      birthTimeZone:
+        params.get("birthTz") || this.elements.birthTimeZoneSelect.value,
+      timeZone: params.get("tz") || this.elements.timeZoneSelect.value,
+      mode,
+      inclusive: params.get("inclusive") === "1",
+      asOfEnabled: mode === "age" && Boolean(asOf),
+      knownYears: amount("years", "reverse"),
+      knownMonths: amount("months", "reverse"),
+      knownDays: amount("days", "reverse"),
+      durationYears: amount("years", "arithmetic"),
+      durationMonths: amount("months", "arithmetic"),
+      durationWeeks: amount("weeks", "arithmetic"),
+      durationDays: amount("days", "arithmetic"),
+      durationDirection:
+        params.get("direction") === "subtract" ? "subtract" : "add",
+      monthEnd: DateEngine.MONTH_END_POLICIES.includes(params.get("monthEnd"))
+        ? params.get("monthEnd")
+        : DateEngine.DEFAULT_MONTH_END_POLICY,
+    });
+    this.fillDate("", date);
+    if (asOf) this.fillDate("asOf", asOf);
+    // The shared rule goes in the editor like an unsaved edit; the presets
+    // stay as they are
+    if (mode === "eligibility") {
+      this.fillRule({
+        name: params.get("rule") || I18n.t("rule.untitled"),
+        type:
+          params.get("ruleType") === "turnsBefore" ? "turnsBefore" : "onDate",
+        minAge: params.get("minAge"),
+        maxAge: params.get("maxAge"),
+        cutoff: {
+          kind: ["yearly", "date"].includes(params.get("cutoff"))
+            ? params.get("cutoff")
+            : "today",
+          month: params.get("cutoffMonth"),
+          day: params.get("cutoffDay"),
+          date: params.get("cutoffDate"),
+        },
+      });
+    }
+    this.saveToStorage();
+    this.calculateAge();
   }
 
-  showModal() {
-    this.elements.modal.classList.add("show");
-    document.body.style.overflow = "hidden";
+  // The date found in shared text goes through the typed-date field, which
+  // explains how it was read or that none was found
+  openSharedText(text) {
+    const found = DateEngine.findDateInText(text, this.getDateTextOptions());
 
-    // Focus management for accessibility
-    setTimeout(() => {
-      this.elements.modalClose.focus();
-    }, 300);
+    this.setMode("age");
+    this.elements.dateTextInput.value = found ? found.text : text;
+    this.applyDateText(true);
+    if (!found) return;
+
+    this.saveToStorage();
+    this.calculateAge();
   }
 
-  hideModal() {
-    this.elements.modal.classList.remove("show");
-    document.body.style.overflow = "";
+  // Web Share where the browser has it, the clipboard otherwise
+  async shareResult() {
+    const url = this.getShareUrl();
 
-    // Return focus to form
-    this.elements.calculateBtn.focus();
+    try {
+      if (navigator.share) {
+        await navigator.share({ title: I18n.t("app.title"), url });
+        return;
+      }
+      await navigator.clipboard.writeText(url);
+      this.elements.shareBtn.textContent = I18n.t("share.copied");
+      this.announceToScreenReader(I18n.t("share.copied"));
+      setTimeout(() => {
+        this.elements.shareBtn.textContent = I18n.t("share.copyLink");
+      }, 2000);
+    } catch (error) {
+      // Closing the share sheet rejects too
+      if (error.name !== "AbortError") {
+        console.error("Error sharing link:", error);
+      }
+    }
+  }
 
-    // Reset modal title
-    document.querySelector(".modal-title").textContent = "Your Age";
+  // Put a saved person in the form as a plain age calculation and run it
+  loadPerson(person) {
+    const birthDate = DateEngine.parseISODate(person.birthDate);
+    if (!birthDate) return;
+
+    this.applyFormData({
+      label: person.name,
+      birthTimeZone: this.elements.birthTimeZoneSelect.value,
+      timeZone: this.elements.timeZoneSelect.value,
+      mode: "age",
+    });
+    // Written in the calendar of its time when the reform setting asks
+    this.fillDate("", birthDate);
+    this.saveToStorage();
+    this.calculateAge();
   }
 
   clearForm() {
-    this.elements.dayInput.value = "";
-    this.elements.monthInput.value = "";
-    this.elements.yearInput.value = "";
-
-    // Clear all errors and success states
-    ["day", "month", "year"].forEach((field) => {
-      this.clearError(field);
+    this.elements.labelInput.value = "";
+    this.elements.dateTextInput.value = "";
+    this.applyDateText();
+    this.elements.calendarHint.textContent = "";
+    // Clear all values, errors and success states
+    ["", "asOf"].forEach((prefix) => {
+      ["day", "month", "year"].forEach((part) => {
+        const input = this.dateInput(prefix, part);
+        input.value = "";
+        input.classList.remove("success");
+        this.clearError(this.fieldKey(prefix, part));
+      });
+    });
+    [
+      "hour",
+      "minute",
+      "knownYears",
+      "knownMonths",
+      "knownDays",
+      "durationYears",
+      "durationMonths",
+      "durationWeeks",
+      "durationDays",
+    ].forEach((field) => {
+      this.elements[`${field}Input`].value = "";
       this.elements[`${field}Input`].classList.remove("success");
+      this.clearError(field);
     });
+    this.setAsOfVisible(false);
+    this.elements.inclusiveToggle.checked = false;
 
     // Clear storage
     localStorage.removeItem("age-calculator-data");
 
     // Focus first input
-    this.elements.dayInput.focus();
+    this.firstDateInput("").focus();
 
     // Add clear animation
     this.elements.form.style.transform = "scale(0.98)";
@@ -466,13 +3300,277 @@ class AgeCalculator {
       : "light";
   }
 
-  saveToStorage() {
-    const data = {
+  // Preferences that outlive the form data, stored apart from it
+  loadSettings() {
+    const defaults = {
+      language: I18n.detectLanguage(
+        navigator.languages || [navigator.language]
+      ),
+      leapDayPolicy: DateEngine.DEFAULT_LEAP_DAY_POLICY,
+      dateOrder: "auto",
+      ageReckoning: DateEngine.DEFAULT_AGE_RECKONING,
+      dayCountConvention: DateEngine.DEFAULT_DAY_COUNT_CONVENTION,
+      decimalAgeRounding: DateEngine.DEFAULT_DECIMAL_AGE_ROUNDING,
+      minYear: 1900,
+      yearsAhead: 10,
+      calendarReform: "proleptic",
+      gregorianSwitch: DateEngine.DEFAULT_GREGORIAN_SWITCH,
+      remindersEnabled: Reminders.DEFAULT_PREFERENCES.enabled,
+      reminderDaysBefore: Reminders.DEFAULT_PREFERENCES.daysBefore,
+      reminderMilestones: Reminders.DEFAULT_PREFERENCES.milestones,
+      eligibilityRules: Eligibility.DEFAULT_RULES,
+      eligibilityRuleId: Eligibility.DEFAULT_RULES[0].id,
+    };
+
+    try {
+      const stored = JSON.parse(
+        localStorage.getItem("age-calculator-settings")
+      );
+      return { ...defaults, ...stored };
+    } catch (error) {
+      console.error("Error loading settings:", error);
+      return defaults;
+    }
+  }
+
+  setupLanguage() {
+    I18n.LANGUAGES.forEach(({ code, name }) => {
+      const option = new Option(name, code);
+      option.lang = code;
+      this.elements.languageSelect.add(option);
+    });
+
+    this.applyLanguage();
+  }
+
+  /**
+   * Switch the whole UI to the language in settings: static text from the
+   * catalogs, the text direction, and the labels the app fills in itself
+   */
+  applyLanguage() {
+    const language = I18n.setLanguage(
+      this.settings.language,
+      navigator.languages || [navigator.language]
+    );
+    this.elements.languageSelect.value = language;
+    I18n.applyToDocument(document);
+
+    [...this.elements.reminderDaysSelect.options].forEach((option) => {
+      const days = Number(option.value);
+      if (days > 0 && days < 7) {
+        option.textContent = I18n.t("settings.remindDaysBefore", {
+          count: days,
+        });
+      }
+    });
+    this.elements.reminderMilestonesLabel.textContent = I18n.t(
+      "settings.milestones",
+      { days: Reminders.MILESTONE_INTERVAL }
+    );
+
+    this.applyDateOrder();
+    this.renderRulePresets();
+    const rule = this.getSelectedRule();
+    if (rule && rule.nameKey) {
+      this.elements.ruleNameInput.value = I18n.t(rule.nameKey);
+    }
+    this.renderUnitLabels({});
+    this.setMode(this.state.mode);
+  }
+
+  setupSettings() {
+    this.elements.leapDayPolicySelect.value = this.settings.leapDayPolicy;
+    this.elements.dateOrderSelect.value = this.settings.dateOrder;
+    this.elements.dayCountSelect.value = this.settings.dayCountConvention;
+    this.elements.decimalRoundingSelect.value =
+      this.settings.decimalAgeRounding;
+    this.elements.minYearInput.max = new Date().getFullYear();
+    this.elements.minYearInput.value = this.settings.minYear;
+    this.elements.yearsAheadInput.value = this.settings.yearsAhead;
+    this.elements.calendarReformSelect.value = this.settings.calendarReform;
+    this.elements.gregorianSwitchSelect.value = this.settings.gregorianSwitch;
+    this.elements.gregorianSwitchSelect.disabled =
+      this.settings.calendarReform !== "julian";
+
+    // Lunar New Year comes from the Chinese calendar
+    if (!DateEngine.supportsCalendar("chinese")) {
+      this.elements.ageReckoningSelect
+        .querySelector('[value="east-asian-lunar"]')
+        .remove();
+    }
+    this.elements.ageReckoningSelect.value = this.settings.ageReckoning;
+    if (!this.elements.ageReckoningSelect.value) {
+      this.updateSetting("ageReckoning", DateEngine.DEFAULT_AGE_RECKONING);
+      this.elements.ageReckoningSelect.value = this.settings.ageReckoning;
+    }
+    this.elements.reminderDaysSelect.value = this.settings.reminderDaysBefore;
+    this.elements.reminderMilestonesToggle.checked =
+      this.settings.reminderMilestones;
+    this.elements.remindersToggle.checked = this.settings.remindersEnabled;
+
+    // Permission can be revoked from the browser while the app is closed
+    if (
+      this.settings.remindersEnabled &&
+      (!this.supportsReminders() || Notification.permission !== "granted")
+    ) {
+      this.setRemindersEnabled(false);
+      return;
+    }
+
+    // Opening the app is one of the moments reminders are checked
+    if (this.settings.remindersEnabled) this.syncReminders();
+  }
+
+  updateSetting(key, value) {
+    this.settings[key] = value;
+    localStorage.setItem(
+      "age-calculator-settings",
+      JSON.stringify(this.settings)
+    );
+  }
+
+  supportsReminders() {
+    return "Notification" in window && "serviceWorker" in navigator;
+  }
+
+  async setRemindersEnabled(enabled) {
+    let status = "";
+
+    if (enabled && !this.supportsReminders()) {
+      status = I18n.t("settings.remindersUnsupported");
+      enabled = false;
+    } else if (enabled) {
+      const permission = await Notification.requestPermission();
+      if (permission !== "granted") {
+        status = I18n.t("settings.remindersBlocked");
+        enabled = false;
+      }
+    }
+
+    this.elements.remindersToggle.checked = enabled;
+    this.elements.remindersStatus.textContent = status;
+    this.updateSetting("remindersEnabled", enabled);
+    this.syncReminders();
+  }
+
+  /**
+   * Hand the reminder preferences to the service worker, which cannot read
+   * localStorage, then schedule periodic checks and run one now
+   */
+  async syncReminders() {
+    const { remindersEnabled, reminderDaysBefore, reminderMilestones } =
+      this.settings;
+
+    try {
+      await Reminders.savePreferences({
+        enabled: remindersEnabled,
+        daysBefore: reminderDaysBefore,
+        milestones: reminderMilestones,
+        timeZone: this.elements.timeZoneSelect.value,
+        leapDayPolicy: this.settings.leapDayPolicy,
+        language: this.settings.language,
+      });
+    } catch (error) {
+      console.error("Error saving reminder preferences:", error);
+      return;
+    }
+
+    if (!("serviceWorker" in navigator)) return;
+
+    try {
+      const registration = await navigator.serviceWorker.ready;
+
+      if (registration.periodicSync) {
+        if (remindersEnabled) {
+          await registration.periodicSync.register("birthday-reminders", {
+            minInterval: 12 * 60 * 60 * 1000,
+          });
+        } else {
+          await registration.periodicSync.unregister("birthday-reminders");
+        }
+      }
+
+      if (remindersEnabled && registration.active) {
+        registration.active.postMessage({ type: "CHECK_REMINDERS" });
+      }
+    } catch (error) {
+      // Periodic sync needs an installed app in most browsers; the check on
+      // app open still runs
+      console.log("Reminder scheduling failed:", error);
+    }
+  }
+
+  // Everything needed to restore the form and repeat its calculation
+  getFormData() {
+    return {
+      label: this.elements.labelInput.value,
+      calendar: this.elements.calendarSelect.value,
       day: this.elements.dayInput.value,
       month: this.elements.monthInput.value,
       year: this.elements.yearInput.value,
-      timestamp: Date.now(),
+      hour: this.elements.hourInput.value,
+      minute: this.elements.minuteInput.value,
+      birthTimeZone: this.elements.birthTimeZoneSelect.value,
+      timeZone: this.elements.timeZoneSelect.value,
+      mode: this.state.mode,
+      inclusive: this.elements.inclusiveToggle.checked,
+      asOfEnabled: this.isAsOfEnabled(),
+      asOfDay: this.elements.asOfDayInput.value,
+      asOfMonth: this.elements.asOfMonthInput.value,
+      asOfYear: this.elements.asOfYearInput.value,
+      knownYears: this.elements.knownYearsInput.value,
+      knownMonths: this.elements.knownMonthsInput.value,
+      knownDays: this.elements.knownDaysInput.value,
+      durationDirection: this.elements.durationDirectionSelect.value,
+      monthEnd: this.elements.monthEndSelect.value,
+      durationYears: this.elements.durationYearsInput.value,
+      durationMonths: this.elements.durationMonthsInput.value,
+      durationWeeks: this.elements.durationWeeksInput.value,
+      durationDays: this.elements.durationDaysInput.value,
     };
+  }
+
+  applyFormData(data) {
+    this.elements.labelInput.value = data.label || "";
+    this.elements.calendarSelect.value = data.calendar || "gregory";
+    if (!this.elements.calendarSelect.value) {
+      this.elements.calendarSelect.value = "gregory";
+    }
+    this.elements.dayInput.value = data.day || "";
+    this.elements.monthInput.value = data.month || "";
+    this.elements.yearInput.value = data.year || "";
+    this.elements.hourInput.value = data.hour || "";
+    this.elements.minuteInput.value = data.minute || "";
+    this.elements.asOfDayInput.value = data.asOfDay || "";
+    this.elements.asOfMonthInput.value = data.asOfMonth || "";
+    this.elements.asOfYearInput.value = data.asOfYear || "";
+    this.elements.knownYearsInput.value = data.knownYears || "";
+    this.elements.knownMonthsInput.value = data.knownMonths || "";
+    this.elements.knownDaysInput.value = data.knownDays || "";
+    this.elements.durationDirectionSelect.value =
+      data.durationDirection || "add";
+    this.elements.monthEndSelect.value =
+      data.monthEnd || DateEngine.DEFAULT_MONTH_END_POLICY;
+    this.elements.durationYearsInput.value = data.durationYears || "";
+    this.elements.durationMonthsInput.value = data.durationMonths || "";
+    this.elements.durationWeeksInput.value = data.durationWeeks || "";
+    this.elements.durationDaysInput.value = data.durationDays || "";
+    this.elements.inclusiveToggle.checked = Boolean(data.inclusive);
+    if (data.birthTimeZone) {
+      this.elements.birthTimeZoneSelect.value = data.birthTimeZone;
+    }
+    if (data.timeZone) {
+      this.elements.timeZoneSelect.value = data.timeZone;
+    }
+    this.setAsOfVisible(Boolean(data.asOfEnabled));
+    this.setMode(data.mode || "age");
+    // Only history entries of eligibility checks carry their rule
+    if (data.rule) this.fillRule(data.rule);
+    this.applyCalendar();
+  }
+
+  saveToStorage() {
+    const data = { ...this.getFormData(), timestamp: Date.now() };
     localStorage.setItem("age-calculator-data", JSON.stringify(data));
   }
 
@@ -486,9 +3584,7 @@ class AgeCalculator {
 
       // Only load if less than 30 days old
       if (daysDiff < 30) {
-        this.elements.dayInput.value = data.day || "";
-        this.elements.monthInput.value = data.month || "";
-        this.elements.yearInput.value = data.year || "";
+        this.applyFormData(data);
       }
     } catch (error) {
       console.error("Error loading stored data:", error);
@@ -522,6 +3618,18 @@ class AgeCalculator {
 
     // Register service worker
     if ("serviceWorker" in navigator) {
+      // A clicked reminder in an already open window
+      navigator.serviceWorker.addEventListener("message", async (event) => {
+        if (event.data && event.data.type === "OPEN_PERSON") {
+          const person = await PeopleStore.get(event.data.personId);
+          if (person) {
+            this.hideHistory();
+            this.hidePeople();
+            this.loadPerson(person);
+          }
+        }
+      });
+
       navigator.serviceWorker
         .register("sw.js")
         .then((registration) => {
@@ -585,6 +3693,30 @@ class AgeCalculator {
       return;
     }
 
+    if (
+      e.key === "Escape" &&
+      this.elements.historyModal.classList.contains("show")
+    ) {
+      this.hideHistory();
+      return;
+    }
+
+    if (
+      e.key === "Escape" &&
+      this.elements.peopleModal.classList.contains("show")
+    ) {
+      this.hidePeople();
+      return;
+    }
+
+    if (
+      e.key === "Escape" &&
+      this.elements.batchModal.classList.contains("show")
+    ) {
+      this.hideBatch();
+      return;
+    }
+
     // Ctrl/Cmd + Enter to calculate
     if ((e.ctrlKey || e.metaKey) && e.key === "Enter") {
       e.preventDefault();
@@ -606,11 +3738,10 @@ class AgeCalculator {
   }
 
   handleTabNavigation(e) {
+    // Every visible input of the current mode, in document order
     const inputs = [
-      this.elements.dayInput,
-      this.elements.monthInput,
-      this.elements.yearInput,
-    ];
+      ...this.elements.form.querySelectorAll(".date-input"),
+    ].filter((input) => !input.closest("[hidden]"));
     const currentIndex = inputs.findIndex(
       (input) => input === document.activeElement
     );
@@ -668,29 +3799,6 @@ class AgeCalculator {
     this.elements.calculateBtn.classList.remove("loading");
     this.elements.loadingSpinner.style.display = "none";
   }
-
-  getMonthName(monthNumber) {
-    const months = [
-      "January",
-      "February",
-      "March",
-      "April",
-      "May",
-      "June",
-      "July",
-      "August",
-      "September",
-      "October",
-      "November",
-      "December",
-    ];
-    return months[monthNumber - 1];
-  }
-
-  // Initialize leap year checking
-  isLeapYear(year) {
-    return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
-  }
 }
 
 // Initialize the app when DOM is loaded
@@ -0,0 +1,99 @@
+/**
+ * CSV
+ * Reads and writes delimited text (RFC 4180): CSV files and rows pasted
+ * from a spreadsheet, which arrive tab-separated. Fields may be quoted,
+ * with "" for a quote and line breaks kept inside quotes
+ */
+
+const Csv = (() => {
+  const DELIMITERS = ["\t", ";", ","];
+  // Text a spreadsheet would run as a formula
+  const FORMULA_START = /^[=+\-@\t\r]/;
+
+  // The delimiter used most outside quotes on the first line; commas when
+  // there is only one column
+  function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, "");
+    const counts = DELIMITERS.map(
+      (delimiter) => firstLine.split(delimiter).length - 1
+    );
+    const best = counts.indexOf(Math.max(...counts));
+    return counts[best] > 0 ? DELIMITERS[best] : ",";
+  }
+
+  /**
+   * Rows of trimmed fields, blank lines skipped. A byte order mark from a
+   * spreadsheet export is dropped
+   */
+  function parse(text, { delimiter = detectDelimiter(text) } = {}) {
+    const input = text.replace(/^\uFEFF/, "");
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+
+    const endField = () => {
+      row.push(field.trim());
+      field = "";
+    };
+    const endRow = () => {
+      endField();
+      if (row.some((value) => value !== "")) rows.push(row);
+      row = [];
+    };
+
+    for (let index = 0; index < input.length; index++) {
+      const char = input[index];
+
+      if (quoted) {
+        if (char !== '"') {
+          field += char;
+        } else if (input[index + 1] === '"') {
+          field += '"';
+          index++;
+        } else {
+          quoted = false;
+        }
+      } else if (char === '"' && field.trim() === "") {
+        field = "";
+        quoted = true;
+      } else if (char === delimiter) {
+        endField();
+      } else if (char === "\n") {
+        endRow();
+      } else if (char !== "\r") {
+        field += char;
+      }
+    }
+    endRow();
+
+    return rows;
+  }
+
+  // A field as CSV text. Text that would open as a formula, such as a
+  // pasted name "=HYPERLINK(...)", gets a leading apostrophe to stay text;
+  // numbers are written as they are
+  function quote(value) {
+    let text = value === null || value === undefined ? "" : String(value);
+    if (typeof value === "string" && FORMULA_START.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // CSV text for rows of values, with the CRLF line endings of RFC 4180
+  function stringify(rows) {
+    return `${rows.map((row) => row.map(quote).join(",")).join("\r\n")}\r\n`;
+  }
+
+  return Object.freeze({
+    detectDelimiter,
+    parse,
+    stringify,
+  });
+})();
+
+// Allow require() from Node and bundlers; browsers and workers get the global
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = Csv;
+}
@@ -0,0 +1,1590 @@
+/**
+ * Date Engine
+ * Pure date arithmetic used by the Age Calculator
+ * Has no DOM or storage access, so it can be loaded in a page, a worker
+ * (importScripts) or Node (require)
+ *
+ * Day counting rule: a span counts its start day and not its end day, so
+ * a baby is 0 days old on the day of birth and 1 day old the next day.
+ * calculateDifference can count the end day too (`inclusive`). Every
+ * count (days, weeks, hours) comes from calendar dates rather than
+ * elapsed milliseconds, so days shortened or lengthened by a DST change
+ * still count as exactly one day
+ */
+
+const DateEngine = (() => {
+  const MS_PER_SECOND = 1000;
+  const MS_PER_MINUTE = MS_PER_SECOND * 60;
+  const MS_PER_HOUR = MS_PER_MINUTE * 60;
+  const MS_PER_DAY = MS_PER_HOUR * 24;
+
+  const MONTH_NAMES = [
+    "January",
+    "February",
+    "March",
+    "April",
+    "May",
+    "June",
+    "July",
+    "August",
+    "September",
+    "October",
+    "November",
+    "December",
+  ];
+
+  /**
+   * Leap-day birthday policies: in common years someone born on 29 February
+   * celebrates on 28 February ("feb28") or on 1 March ("mar1"). "mar1" is
+   * the default because it is what JavaScript's own date rollover produces
+   */
+  const LEAP_DAY_POLICIES = ["feb28", "mar1"];
+  const DEFAULT_LEAP_DAY_POLICY = "mar1";
+
+  // Days addDuration lands on when the day is missing from the month
+  // reached; "anniversary" matches how ages are counted
+  const MONTH_END_POLICIES = ["anniversary", "clamp", "overflow"];
+  const DEFAULT_MONTH_END_POLICY = "anniversary";
+
+  // Orders in which a locale writes day, month and year
+  const DATE_FIELD_ORDERS = ["DMY", "MDY", "YMD"];
+
+  // Intl.DateTimeFormat instances are costly to build, so keep one per zone
+  const zoneFormatters = new Map();
+
+  // Month-name lookups for parseDateText, one per locale
+  const monthLookups = new Map();
+
+  // Calendars a date can be entered and shown in, besides the Gregorian
+  const CALENDARS = ["islamic-umalqura", "hebrew", "persian", "chinese"];
+
+  // Ways of counting age: completed years, or one of the traditional counts
+  // of calculateReckonedAge
+  const AGE_RECKONINGS = [
+    "international",
+    "east-asian",
+    "east-asian-lunar",
+    "korean-year",
+  ];
+  const DEFAULT_AGE_RECKONING = "international";
+
+  // Day-count conventions for calculateDecimalAge
+  const DAY_COUNT_CONVENTIONS = ["act/365", "act/365.25", "act/act", "30/360"];
+  const DEFAULT_DAY_COUNT_CONVENTION = "act/365.25";
+
+  // Roundings for roundDecimalAge
+  const DECIMAL_AGE_ROUNDINGS = ["truncate", "round", "nearest-birthday"];
+  const DEFAULT_DECIMAL_AGE_ROUNDING = "truncate";
+
+  // Formatters reading a date's fields in a calendar, one per calendar
+  const calendarFormatters = new Map();
+
+  // First Gregorian day in Rome; other countries switched later
+  const DEFAULT_GREGORIAN_SWITCH = "1582-10-15";
+
+  // Julian day number of 1970-01-01, the engine's day 0
+  const EPOCH_JULIAN_DAY = 2440588;
+
+  // Western zodiac signs by the month and day each one starts
+  const ZODIAC_SIGNS = [
+    { sign: "capricorn", month: 1, day: 1 },
+    { sign: "aquarius", month: 1, day: 20 },
+    { sign: "pisces", month: 2, day: 19 },
+    { sign: "aries", month: 3, day: 21 },
+    { sign: "taurus", month: 4, day: 20 },
+    { sign: "gemini", month: 5, day: 21 },
+    { sign: "cancer", month: 6, day: 21 },
+    { sign: "leo", month: 7, day: 23 },
+    { sign: "virgo", month: 8, day: 23 },
+    { sign: "libra", month: 9, day: 23 },
+    { sign: "scorpio", month: 10, day: 23 },
+    { sign: "sagittarius", month: 11, day: 22 },
+    { sign: "capricorn", month: 12, day: 22 },
+  ];
+
+  // Chinese zodiac animals, starting from a year of the Rat (1984)
+  const CHINESE_ZODIAC = [
+    "rat",
+    "ox",
+    "tiger",
+    "rabbit",
+    "dragon",
+    "snake",
+    "horse",
+    "goat",
+    "monkey",
+    "rooster",
+    "dog",
+    "pig",
+  ];
+
+  const BIRTHSTONES = [
+    "garnet",
+    "amethyst",
+    "aquamarine",
+    "diamond",
+    "emerald",
+    "pearl",
+    "ruby",
+    "peridot",
+    "sapphire",
+    "opal",
+    "topaz",
+    "turquoise",
+  ];
+
+  // Round-number ages listed by getMilestones, by unit
+  const MILESTONES = {
+    days: [1000, 5000, 10000, 15000, 20000, 25000, 30000, 35000],
+    weeks: [100, 500, 1000, 1500, 2000, 2500, 3000, 3500, 4000, 4500, 5000],
+    months: [100, 250, 500, 750, 1000],
+    hours: [100000, 250000, 500000, 750000],
+    seconds: [1e9, 2e9, 3e9],
+  };
+
+  // Orbital periods in Earth days
+  const PLANET_ORBITS = {
+    mercury: 87.969,
+    venus: 224.701,
+    mars: 686.98,
+    jupiter: 4332.59,
+    saturn: 10759.22,
+    uranus: 30688.5,
+    neptune: 60195,
+  };
+
+  function isLeapYear(year) {
+    return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+  }
+
+  // Month is 1-based (1 = January)
+  function daysInMonth(year, month) {
+    if (month === 2) return isLeapYear(year) ? 29 : 28;
+    return [4, 6, 9, 11].includes(month) ? 30 : 31;
+  }
+
+  // English names by default; any other locale comes from Intl, read in
+  // UTC so the host's zone cannot shift the sample date into another month
+  function getMonthName(monthNumber, locale = "en") {
+    if (locale === "en") return MONTH_NAMES[monthNumber - 1];
+
+    return new Intl.DateTimeFormat(locale, {
+      month: "long",
+      timeZone: "UTC",
+    }).format(Date.UTC(2000, monthNumber - 1, 1));
+  }
+
+  /**
+   * Local midnight on a date, 1-based month. Unlike new Date(y, m, d) this
+   * keeps years 0-99 as they are; out-of-range months and days roll over
+   */
+  function toLocalDate(year, month, day) {
+    const date = new Date(2000, 0, 1);
+    date.setFullYear(year, month - 1, day);
+    return date;
+  }
+
+  function isValidDate(year, month, day) {
+    return (
+      Number.isInteger(year) &&
+      Number.isInteger(month) &&
+      Number.isInteger(day) &&
+      month >= 1 &&
+      month <= 12 &&
+      day >= 1 &&
+      day <= daysInMonth(year, month)
+    );
+  }
+
+  function isLeapDay(date) {
+    return date.getMonth() === 1 && date.getDate() === 29;
+  }
+
+  /**
+   * The date `months` calendar months after date, as an anniversary
+   * A day missing from the target month rolls over to the 1st of the next
+   * month (31 April -> 1 May, like JavaScript dates but without overshooting),
+   * except 29 February under the "feb28" policy, which stays in February
+   */
+  function getMonthAnniversary(
+    date,
+    months,
+    leapDayPolicy = DEFAULT_LEAP_DAY_POLICY
+  ) {
+    const index = date.getFullYear() * 12 + date.getMonth() + months;
+    const year = Math.floor(index / 12);
+    const month = index - year * 12 + 1;
+    const lastDay = daysInMonth(year, month);
+
+    if (date.getDate() <= lastDay) {
+      return toLocalDate(year, month, date.getDate());
+    }
+
+    if (leapDayPolicy === "feb28" && isLeapDay(date)) {
+      return toLocalDate(year, month, lastDay);
+    }
+
+    return toLocalDate(year, month + 1, 1);
+  }
+
+  /**
+   * Completed years, months and days between two dates
+   * A month is complete once its anniversary day is reached; the remaining
+   * days are counted from that anniversary. Expects birthDate <= currentDate
+   */
+  function calculateExactAge(
+    birthDate,
+    currentDate,
+    { leapDayPolicy = DEFAULT_LEAP_DAY_POLICY } = {}
+  ) {
+    let totalMonths =
+      (currentDate.getFullYear() - birthDate.getFullYear()) * 12 +
+      (currentDate.getMonth() - birthDate.getMonth());
+
+    // Under "feb28" a 29 February birthday is reached on 28 February in
+    // common years
+    const anniversaryDay =
+      leapDayPolicy === "feb28" && isLeapDay(birthDate)
+        ? Math.min(
+            birthDate.getDate(),
+            daysInMonth(currentDate.getFullYear(), currentDate.getMonth() + 1)
+          )
+        : birthDate.getDate();
+
+    if (totalMonths > 0 && currentDate.getDate() < anniversaryDay) {
+      totalMonths--;
+    }
+
+    const anniversary = getMonthAnniversary(
+      birthDate,
+      totalMonths,
+      leapDayPolicy
+    );
+
+    return {
+      years: Math.floor(totalMonths / 12),
+      months: totalMonths % 12,
+      days: daysBetween(anniversary, currentDate),
+      totalDays: daysBetween(birthDate, currentDate),
+    };
+  }
+
+  /**
+   * Completed years, months, days, hours, minutes and seconds between two
+   * zoned dates, compared by wall-clock time
+   * Expects birthDate <= currentDate
+   */
+  function calculatePreciseAge(birthDate, currentDate, options = {}) {
+    const birthTime = timeOfDay(birthDate);
+    const currentTime = timeOfDay(currentDate);
+
+    // Borrow a day when the birth time has not come round yet today
+    const borrow = currentTime < birthTime ? 1 : 0;
+    const age = calculateExactAge(
+      getZonedDay(birthDate),
+      addDays(getZonedDay(currentDate), -borrow),
+      options
+    );
+
+    let remainder = currentTime - birthTime + borrow * MS_PER_DAY;
+    const hours = Math.floor(remainder / MS_PER_HOUR);
+    remainder -= hours * MS_PER_HOUR;
+    const minutes = Math.floor(remainder / MS_PER_MINUTE);
+    remainder -= minutes * MS_PER_MINUTE;
+    const seconds = Math.floor(remainder / MS_PER_SECOND);
+
+    return { ...age, hours, minutes, seconds };
+  }
+
+  /**
+   * The day the birthday is celebrated in a given year
+   */
+  function getBirthdayInYear(
+    birthDate,
+    year,
+    leapDayPolicy = DEFAULT_LEAP_DAY_POLICY
+  ) {
+    return getMonthAnniversary(
+      birthDate,
+      (year - birthDate.getFullYear()) * 12,
+      leapDayPolicy
+    );
+  }
+
+  /**
+   * Next occurrence of the birthday on or after asOfDate
+   */
+  function getNextBirthday(
+    birthDate,
+    asOfDate,
+    leapDayPolicy = DEFAULT_LEAP_DAY_POLICY
+  ) {
+    const year = asOfDate.getFullYear();
+    let next = getBirthdayInYear(birthDate, year, leapDayPolicy);
+
+    if (startOfDay(next) < startOfDay(asOfDate)) {
+      next = getBirthdayInYear(birthDate, year + 1, leapDayPolicy);
+    }
+
+    return next;
+  }
+
+  /**
+   * Full age summary for a birth date measured on asOfDate (default: now)
+   * With `withTime` both dates are zoned dates, the time of day on both is
+   * taken into account and the result also carries hours, minutes and
+   * seconds. `leapDayPolicy` decides when a 29 February birthday falls in
+   * common years
+   */
+  function calculateAge(
+    birthDate,
+    asOfDate = new Date(),
+    { withTime = false, leapDayPolicy = DEFAULT_LEAP_DAY_POLICY } = {}
+  ) {
+    const isFuture = birthDate > asOfDate;
+    const breakdown = withTime ? calculatePreciseAge : calculateExactAge;
+    const age = isFuture
+      ? breakdown(asOfDate, birthDate, { leapDayPolicy })
+      : breakdown(birthDate, asOfDate, { leapDayPolicy });
+    // Birthdays go by calendar days
+    const birthDay = withTime ? getZonedDay(birthDate) : birthDate;
+    const asOfDay = withTime ? getZonedDay(asOfDate) : asOfDate;
+
+    const result = {
+      ...age,
+      isFuture,
+      totalMonths: age.years * 12 + age.months,
+      totalWeeks: Math.floor(age.totalDays / 7),
+      totalHours: age.totalDays * 24 + (age.hours || 0),
+      nextBirthday: null,
+      daysUntilBirthday: null,
+      // The policy only matters, and is only reported, for leap-day births
+      leapDayPolicy: isLeapDay(birthDay) ? leapDayPolicy : null,
+    };
+
+    if (!isFuture) {
+      result.nextBirthday = getNextBirthday(birthDay, asOfDay, leapDayPolicy);
+      result.daysUntilBirthday = daysBetween(asOfDay, result.nextBirthday);
+    }
+
+    return result;
+  }
+
+  /**
+   * Signed difference between any two dates
+   * Numbers are negative when endDate is before startDate. By default the
+   * start date is counted and the end date is not; with `inclusive` both
+   * are counted, which adds one day to the span
+   */
+  function calculateDifference(startDate, endDate, { inclusive = false } = {}) {
+    const sign = startOfDay(endDate) < startOfDay(startDate) ? -1 : 1;
+    const [from, to] = sign < 0 ? [endDate, startDate] : [startDate, endDate];
+    const diff = calculateExactAge(
+      startOfDay(from),
+      inclusive ? addDays(startOfDay(to), 1) : startOfDay(to)
+    );
+
+    // Avoid -0 so zero parts never render as "-0"
+    const signed = (value) => (value === 0 ? 0 : value * sign);
+
+    return {
+      sign,
+      inclusive,
+      years: signed(diff.years),
+      months: signed(diff.months),
+      days: signed(diff.days),
+      weeks: signed(Math.floor(diff.totalDays / 7)),
+      weekDays: signed(diff.totalDays % 7),
+      totalDays: signed(diff.totalDays),
+    };
+  }
+
+  /**
+   * Birth dates that make someone `age` old on referenceDate, by the same
+   * rules as calculateExactAge and the same leap-day policy. `age` is
+   * { years, months, days }; months and days may be null to accept any.
+   * Gives { earliest, latest, count }, or null when no date fits. An age
+   * to the day can still fit a few dates: 29, 30 and 31 January 2023 were
+   * all one month old on 1 March 2023
+   */
+  function findBirthDates(
+    age,
+    referenceDate,
+    { leapDayPolicy = DEFAULT_LEAP_DAY_POLICY } = {}
+  ) {
+    const reference = startOfDay(referenceDate);
+    const given = (value, fallback) =>
+      value === null || value === undefined ? fallback : value;
+    // Births between the oldest and youngest ages the parts allow, with a
+    // few days to spare either side for month-end rollover
+    const candidate = (months, days) =>
+      toLocalDate(
+        reference.getFullYear(),
+        reference.getMonth() + 1 - age.years * 12 - months,
+        reference.getDate() - days
+      );
+    const from = addDays(
+      candidate(given(age.months, 11), given(age.days, 31)),
+      -4
+    );
+    const until = addDays(
+      candidate(given(age.months, 0), given(age.days, 0)),
+      4
+    );
+
+    let earliest = null;
+    let latest = null;
+    let count = 0;
+    for (
+      let birth = from;
+      birth <= until && birth <= reference;
+      birth = addDays(birth, 1)
+    ) {
+      const found = calculateExactAge(birth, reference, { leapDayPolicy });
+      if (
+        found.years === age.years &&
+        given(age.months, found.months) === found.months &&
+        given(age.days, found.days) === found.days
+      ) {
+        earliest = earliest || birth;
+        latest = birth;
+        count++;
+      }
+    }
+
+    return count ? { earliest, latest, count } : null;
+  }
+
+  function addDays(date, days) {
+    return toLocalDate(
+      date.getFullYear(),
+      date.getMonth() + 1,
+      date.getDate() + days
+    );
+  }
+
+  /**
+   * Date moved by a duration { years, months, weeks, days }, with negative
+   * amounts going back. Years and months move first, as calendar months,
+   * then weeks and days. When the day is missing from the month reached,
+   * `monthEnd` decides: "anniversary" as ages count it (31 January + 1
+   * month is 1 March, and a leap day follows `leapDayPolicy`), "clamp"
+   * keeps to the last day of the month (28 February) and "overflow"
+   * carries the extra days on like JavaScript dates (3 March)
+   */
+  function addDuration(
+    date,
+    { years = 0, months = 0, weeks = 0, days = 0 },
+    {
+      monthEnd = DEFAULT_MONTH_END_POLICY,
+      leapDayPolicy = DEFAULT_LEAP_DAY_POLICY,
+    } = {}
+  ) {
+    const totalMonths = years * 12 + months;
+    let moved;
+
+    if (monthEnd === "anniversary") {
+      moved = getMonthAnniversary(date, totalMonths, leapDayPolicy);
+    } else {
+      const index = date.getFullYear() * 12 + date.getMonth() + totalMonths;
+      const year = Math.floor(index / 12);
+      const month = index - year * 12 + 1;
+      moved = toLocalDate(
+        year,
+        month,
+        monthEnd === "clamp"
+          ? Math.min(date.getDate(), daysInMonth(year, month))
+          : date.getDate()
+      );
+    }
+
+    return addDays(moved, weeks * 7 + days);
+  }
+
+  /**
+   * Time zones
+   * The engine measures ages on wall-clock dates. A "zoned date" is a
+   * Date whose UTC fields carry the wall-clock time of an instant in some
+   * IANA time zone. It never goes through the host's local setters, so the
+   * arithmetic is independent of the zone the code happens to run in, and
+   * a wall time the host clock skips at its own DST change is kept
+   */
+  function getLocalTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+  }
+
+  function getTimeZones() {
+    const zones =
+      typeof Intl.supportedValuesOf === "function"
+        ? Intl.supportedValuesOf("timeZone")
+        : [];
+    const extra = ["UTC", getLocalTimeZone()].filter(
+      (zone) => !zones.includes(zone)
+    );
+
+    return [...zones, ...extra].sort();
+  }
+
+  function getZoneFields(instant, timeZone) {
+    if (!zoneFormatters.has(timeZone)) {
+      zoneFormatters.set(
+        timeZone,
+        new Intl.DateTimeFormat("en-US", {
+          timeZone,
+          hourCycle: "h23",
+          year: "numeric",
+          month: "numeric",
+          day: "numeric",
+          hour: "numeric",
+          minute: "numeric",
+          second: "numeric",
+        })
+      );
+    }
+
+    const fields = {};
+    zoneFormatters
+      .get(timeZone)
+      .formatToParts(instant)
+      .forEach(({ type, value }) => {
+        if (type !== "literal") fields[type] = parseInt(value);
+      });
+
+    return fields;
+  }
+
+  // Date.UTC that keeps years 0-99 as they are, like toLocalDate
+  function toUTCTime(year, monthIndex, day, hours, minutes, seconds) {
+    const date = new Date(Date.UTC(2000, 0, 1, hours, minutes, seconds));
+    date.setUTCFullYear(year, monthIndex, day);
+    return date.getTime();
+  }
+
+  // Zoned date for a wall-clock date and time; month is 1-12
+  function createZonedDate(
+    year,
+    month,
+    day,
+    hours = 0,
+    minutes = 0,
+    seconds = 0
+  ) {
+    return new Date(toUTCTime(year, month - 1, day, hours, minutes, seconds));
+  }
+
+  // Wall-clock time of an instant in timeZone, as a zoned date
+  function toZonedDate(instant, timeZone) {
+    const f = getZoneFields(instant, timeZone);
+    return createZonedDate(f.year, f.month, f.day, f.hour, f.minute, f.second);
+  }
+
+  // Calendar day of a zoned date, as a local date like the rest of the
+  // engine takes
+  function getZonedDay(zonedDate) {
+    return toLocalDate(
+      zonedDate.getUTCFullYear(),
+      zonedDate.getUTCMonth() + 1,
+      zonedDate.getUTCDate()
+    );
+  }
+
+  // Calendar day of an instant in timeZone, as a local date
+  function toZonedDay(instant, timeZone) {
+    return getZonedDay(toZonedDate(instant, timeZone));
+  }
+
+  /**
+   * Instant at which the wall-clock time of a zoned date occurs in timeZone
+   * A time repeated when the clocks go back is taken at its first
+   * occurrence. A time skipped when they go forward is moved on by the
+   * length of the gap, so 02:30 on a spring-forward day is 03:30
+   */
+  function fromZonedDate(zonedDate, timeZone) {
+    const wallTime = zonedDate.getTime();
+    // The offsets a day either side span any DST change near the wall time
+    const before = getTimeZoneOffset(new Date(wallTime - MS_PER_DAY), timeZone);
+    const after = getTimeZoneOffset(new Date(wallTime + MS_PER_DAY), timeZone);
+    const matches = [wallTime - before, wallTime - after].filter(
+      (instant) =>
+        instant + getTimeZoneOffset(new Date(instant), timeZone) === wallTime
+    );
+
+    return new Date(matches.length ? Math.min(...matches) : wallTime - before);
+  }
+
+  // Offset of timeZone from UTC at an instant, in milliseconds
+  function getTimeZoneOffset(instant, timeZone) {
+    const f = getZoneFields(instant, timeZone);
+    const wallTime = toUTCTime(
+      f.year,
+      f.month - 1,
+      f.day,
+      f.hour,
+      f.minute,
+      f.second
+    );
+
+    return wallTime - Math.floor(instant.getTime() / 1000) * 1000;
+  }
+
+  /**
+   * Days since 1970-01-01 for a calendar date (proleptic Gregorian)
+   * Worked out from the date fields alone, so neither DST nor the host
+   * time zone can shift the count
+   */
+  function toEpochDay(year, month, day) {
+    const y = month <= 2 ? year - 1 : year;
+    const era = Math.floor(y / 400);
+    const yearOfEra = y - era * 400;
+    const dayOfYear = Math.floor((153 * ((month + 9) % 12) + 2) / 5) + day - 1;
+    const dayOfEra =
+      yearOfEra * 365 +
+      Math.floor(yearOfEra / 4) -
+      Math.floor(yearOfEra / 100) +
+      dayOfYear;
+
+    return era * 146097 + dayOfEra - 719468;
+  }
+
+  // Whole calendar days from startDate to endDate (negative if earlier)
+  function daysBetween(startDate, endDate) {
+    const epochDay = (date) =>
+      toEpochDay(date.getFullYear(), date.getMonth() + 1, date.getDate());
+
+    return epochDay(endDate) - epochDay(startDate);
+  }
+
+  // "YYYY-MM-DD" from a date's local fields
+  function formatISODate(date) {
+    return [
+      String(date.getFullYear()).padStart(4, "0"),
+      String(date.getMonth() + 1).padStart(2, "0"),
+      String(date.getDate()).padStart(2, "0"),
+    ].join("-");
+  }
+
+  // Local Date for a "YYYY-MM-DD" string, or null when it is not a real date
+  function parseISODate(text) {
+    const match = /^(-?\d{4,})-(\d{2})-(\d{2})$/.exec(String(text).trim());
+    if (!match) return null;
+
+    const [year, month, day] = match.slice(1).map(Number);
+    return isValidDate(year, month, day) ? toLocalDate(year, month, day) : null;
+  }
+
+  /**
+   * "DMY", "MDY" or "YMD": the order in which `locale` writes a numeric
+   * date, e.g. "MDY" for "en-US" and "DMY" for "en-GB"
+   */
+  function getDateFieldOrder(locale) {
+    const order = new Intl.DateTimeFormat(locale, {
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+    })
+      .formatToParts(new Date(2000, 0, 31))
+      .filter((part) => ["day", "month", "year"].includes(part.type))
+      .map((part) => part.type[0].toUpperCase())
+      .join("");
+
+    return DATE_FIELD_ORDERS.includes(order) ? order : "DMY";
+  }
+
+  // Lowercase, without accents, with Arabic-Indic digits as ASCII digits
+  function normalizeDateText(text) {
+    return String(text)
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .replace(/[\u0660-\u0669\u06f0-\u06f9]/g, (digit) =>
+        String(digit.charCodeAt(0) & 0xf)
+      )
+      .toLowerCase()
+      .trim();
+  }
+
+  // Month number by normalized name: English plus `locale`, long and short
+  function getMonthLookup(locale) {
+    if (!monthLookups.has(locale)) {
+      const lookup = new Map();
+      const add = (name, month) => {
+        const key = normalizeDateText(name).replace(/\.$/, "");
+        if (key && !lookup.has(key)) lookup.set(key, month);
+      };
+
+      for (let month = 1; month <= 12; month++) {
+        const sample = Date.UTC(2000, month - 1, 1);
+        ["en", locale].forEach((code) => {
+          ["long", "short"].forEach((style) => {
+            add(
+              new Intl.DateTimeFormat(code, {
+                month: style,
+                timeZone: "UTC",
+              }).format(sample),
+              month
+            );
+          });
+        });
+      }
+
+      monthLookups.set(locale, lookup);
+    }
+
+    return monthLookups.get(locale);
+  }
+
+  // Full names and unambiguous prefixes of three letters or more ("sept")
+  function findMonth(token, locale) {
+    const lookup = getMonthLookup(locale);
+    if (lookup.has(token)) return lookup.get(token);
+    if (token.length < 3) return null;
+
+    const months = new Set();
+    lookup.forEach((month, name) => {
+      if (name.startsWith(token)) months.add(month);
+    });
+    return months.size === 1 ? [...months][0] : null;
+  }
+
+  function createDate(year, month, day) {
+    return isValidDate(year, month, day) ? toLocalDate(year, month, day) : null;
+  }
+
+  /**
+   * The numbers of a date written as text, before any check that they
+   * make a real date: `fields` as [year, month, day], or `yearLast` as
+   * [first, second, year] for numeric dates whose day and month order is
+   * unknown. Null when the text does not look like a date
+   */
+  function scanDateText(text, locale) {
+    const input = normalizeDateText(text);
+
+    let match =
+      /^(\d{4})[-/.\s](\d{1,2})[-/.\s](\d{1,2})$/.exec(input) ||
+      /^(\d{4})(\d{2})(\d{2})$/.exec(input);
+    if (match) return { fields: match.slice(1).map(Number) };
+
+    match = /^(\d{1,2})[-/.\s](\d{1,2})[-/.\s](\d{4})$/.exec(input);
+    if (match) return { yearLast: match.slice(1).map(Number) };
+
+    // Words: one month name and two numbers, in any order
+    let month = null;
+    const numbers = [];
+    const tokens = input.split(/[\s,./-]+/).filter(Boolean);
+
+    for (const token of tokens) {
+      const number = /^(\d+)(?:st|nd|rd|th|er|e)?$/.exec(token);
+      if (number) {
+        numbers.push(number[1]);
+      } else if (month === null && findMonth(token, locale)) {
+        month = findMonth(token, locale);
+      } else if (token.length > 3) {
+        // Short words such as "de", "of" or "the" are filler
+        return null;
+      }
+    }
+
+    if (month === null || numbers.length !== 2) return null;
+
+    const yearIndex = numbers.findIndex((number) => number.length === 4);
+    const dayText = numbers[1 - yearIndex];
+    if (yearIndex === -1 || dayText.length > 2) return null;
+
+    return { fields: [Number(numbers[yearIndex]), month, Number(dayText)] };
+  }
+
+  /**
+   * Read a date typed or pasted as free text: ISO or compact year-first
+   * ("1990-03-12", "19900312"), numeric with the year last ("03/12/1990",
+   * "12.03.1990") or with a month name ("12 March 1990", "March 12th,
+   * 1990", "12 de marzo de 1990"). Month names are matched in English and
+   * in `locale`. Numeric dates whose first two numbers could each be the
+   * month are read in `order` ("MDY" reads month first, anything else day
+   * first) and returned with `ambiguous` set and the other reading as
+   * `alternative`. Years need four digits. Returns null when no real date
+   * can be read
+   */
+  function parseDateText(text, { order = "DMY", locale = "en" } = {}) {
+    const scanned = scanDateText(text, locale);
+    const single = (date) =>
+      date && { date, ambiguous: false, alternative: null };
+
+    if (!scanned) return null;
+    if (scanned.fields) return single(createDate(...scanned.fields));
+
+    const [first, second, year] = scanned.yearLast;
+    const dayFirst = createDate(year, second, first);
+    const monthFirst = createDate(year, first, second);
+
+    if (!dayFirst || !monthFirst || first === second) {
+      return single(dayFirst || monthFirst);
+    }
+
+    const [date, alternative] =
+      order === "MDY" ? [monthFirst, dayFirst] : [dayFirst, monthFirst];
+    return { date, ambiguous: true, alternative };
+  }
+
+  /**
+   * The { year, month, day } of a date written as text, read as
+   * parseDateText reads it but without checking the fields make a real
+   * date, so callers can say what is wrong with them. Numeric dates are
+   * read in `order` unless only the other reading has a month. Returns
+   * null when the text does not look like a date
+   */
+  function parseDateFields(text, { order = "DMY", locale = "en" } = {}) {
+    const scanned = scanDateText(text, locale);
+    if (!scanned) return null;
+    if (scanned.fields) {
+      const [year, month, day] = scanned.fields;
+      return { year, month, day };
+    }
+
+    const [first, second, year] = scanned.yearLast;
+    const monthFirst =
+      order === "MDY" ? first <= 12 || second > 12 : first <= 12 && second > 12;
+    return monthFirst
+      ? { year, month: first, day: second }
+      : { year, month: second, day: first };
+  }
+
+  /**
+   * The first date written in a longer text, such as a shared message.
+   * Runs of up to five words are read with parseDateText, longest first;
+   * the result also carries the `text` the date was read from, without
+   * the words around it that the reading skipped ("on", "in")
+   */
+  function findDateInText(text, options) {
+    const words = String(text).split(/\s+/).filter(Boolean);
+    const read = (from, to) => {
+      const span = words
+        .slice(from, to)
+        .join(" ")
+        .replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, "");
+      const parsed = span && parseDateText(span, options);
+      return parsed && { ...parsed, text: span };
+    };
+
+    for (let start = 0; start < words.length; start++) {
+      const longest = Math.min(5, words.length - start);
+      for (let length = longest; length > 0; length--) {
+        let [from, to] = [start, start + length];
+        let found = read(from, to);
+        if (!found) continue;
+
+        const reads = (shorter) =>
+          shorter && shorter.date.getTime() === found.date.getTime();
+        while (to - from > 1 && reads(read(from + 1, to))) {
+          found = read(++from, to);
+        }
+        while (to - from > 1 && reads(read(from, to - 1))) {
+          found = read(from, --to);
+        }
+        return found;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Other calendars
+   * Conversions go through the calendars built into Intl.DateTimeFormat,
+   * which can only turn a Gregorian date into a calendar date. The other
+   * direction is found by searching for the calendar year, then walking
+   * its months. Months are numbered in year order from 1, so a Hebrew
+   * leap year has 13 months and a Chinese leap month takes the number
+   * after the month it repeats
+   */
+  function supportsCalendar(calendar) {
+    try {
+      return (
+        new Intl.DateTimeFormat("en", { calendar }).resolvedOptions()
+          .calendar === calendar
+      );
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Year, month label and day of a local date in `calendar`, e.g.
+  // { year: 5784, label: "Adar II", day: 5 }
+  function getCalendarFields(date, calendar) {
+    if (!calendarFormatters.has(calendar)) {
+      calendarFormatters.set(
+        calendar,
+        new Intl.DateTimeFormat("en", {
+          calendar,
+          numberingSystem: "latn",
+          year: "numeric",
+          month: "numeric",
+          day: "numeric",
+        })
+      );
+    }
+
+    const fields = {};
+    calendarFormatters
+      .get(calendar)
+      .formatToParts(date)
+      .forEach(({ type, value }) => {
+        fields[type] = value;
+      });
+
+    return {
+      year: Number(fields.relatedYear || fields.year),
+      label: fields.month,
+      day: Number(fields.day),
+    };
+  }
+
+  function startOfCalendarMonth(date, calendar) {
+    return addDays(date, 1 - getCalendarFields(date, calendar).day);
+  }
+
+  // No month in these calendars is longer than 31 days, so 32 days after
+  // the first of a month always lands in the next one
+  function nextCalendarMonth(monthStart, calendar) {
+    return startOfCalendarMonth(addDays(monthStart, 32), calendar);
+  }
+
+  // Some local date inside the given calendar year, or null
+  function findCalendarYear(year, calendar) {
+    const reference = new Date(2000, 0, 1);
+    const yearLength = calendar.startsWith("islamic") ? 354.37 : 365.2425;
+    let date = addDays(
+      reference,
+      Math.round(
+        (year - getCalendarFields(reference, calendar).year) * yearLength
+      )
+    );
+
+    // Steps shorter than any year never overshoot the target year
+    for (let step = 0; step < 20 && !isNaN(date); step++) {
+      const found = getCalendarFields(date, calendar).year;
+      if (found === year) return date;
+      date = addDays(date, (year - found) * 330);
+    }
+    return null;
+  }
+
+  /**
+   * First day and label of every month of a calendar year, in order
+   * Empty when the year cannot be represented
+   */
+  function getCalendarMonths(year, calendar) {
+    if (!Number.isInteger(year)) return [];
+
+    const date = findCalendarYear(year, calendar);
+    if (!date) return [];
+
+    let start = startOfCalendarMonth(date, calendar);
+    for (;;) {
+      const previous = startOfCalendarMonth(addDays(start, -1), calendar);
+      if (getCalendarFields(previous, calendar).year !== year) break;
+      start = previous;
+    }
+
+    const months = [];
+    while (getCalendarFields(start, calendar).year === year) {
+      months.push({ start, label: getCalendarFields(start, calendar).label });
+      start = nextCalendarMonth(start, calendar);
+    }
+    return months;
+  }
+
+  function getCalendarMonthCount(year, calendar) {
+    return getCalendarMonths(year, calendar).length;
+  }
+
+  function getCalendarMonthLength(year, month, calendar) {
+    const months = getCalendarMonths(year, calendar);
+    if (month < 1 || month > months.length) return 0;
+
+    const start = months[month - 1].start;
+    return daysBetween(start, nextCalendarMonth(start, calendar));
+  }
+
+  // { year, month, day, label } of a local date in `calendar`
+  function toCalendarDate(date, calendar) {
+    const fields = getCalendarFields(date, calendar);
+    const months = getCalendarMonths(fields.year, calendar);
+    const month = months.filter(({ start }) => start <= date).length;
+
+    return { year: fields.year, month, day: fields.day, label: fields.label };
+  }
+
+  // Local Date for a date in `calendar`, or null when it does not exist
+  function fromCalendarDate(year, month, day, calendar) {
+    const months = getCalendarMonths(year, calendar);
+    if (!Number.isInteger(month) || month < 1 || month > months.length) {
+      return null;
+    }
+
+    const date = addDays(months[month - 1].start, day - 1);
+    const fields = getCalendarFields(date, calendar);
+    return Number.isInteger(day) && day >= 1 && fields.day === day
+      ? date
+      : null;
+  }
+
+  /**
+   * The birthday of `birthDate` in calendar year `year`. A birth month
+   * missing from that year (a leap month) is matched by its base month,
+   * e.g. Adar I and Adar II fall back to Adar, and the last month with
+   * that base wins, so Adar becomes Adar II in a leap year. A day past
+   * the end of a shorter month moves to that month's last day
+   */
+  function getCalendarBirthday(birthDate, year, calendar) {
+    const birth = getCalendarFields(birthDate, calendar);
+    const months = getCalendarMonths(year, calendar);
+    const base = (label) => label.replace(/(bis| I+)$/, "");
+
+    const month =
+      months.find(({ label }) => label === birth.label) ||
+      months.filter(({ label }) => base(label) === base(birth.label)).pop();
+    if (!month) return null;
+
+    const length = daysBetween(
+      month.start,
+      nextCalendarMonth(month.start, calendar)
+    );
+    return addDays(month.start, Math.min(birth.day, length) - 1);
+  }
+
+  /**
+   * Age in whole years, months and days of `calendar`, with the next
+   * birthday in that calendar. Years count calendar birthdays, months
+   * count the same day of each following calendar month
+   */
+  function calculateCalendarAge(birthDate, currentDate, calendar) {
+    const birth = startOfDay(birthDate);
+    const current = startOfDay(currentDate);
+    const birthFields = getCalendarFields(birth, calendar);
+
+    let years = getCalendarFields(current, calendar).year - birthFields.year;
+    let birthday = getCalendarBirthday(
+      birth,
+      birthFields.year + years,
+      calendar
+    );
+    if (!birthday || birthday > current) {
+      years--;
+      birthday = getCalendarBirthday(birth, birthFields.year + years, calendar);
+    }
+
+    let months = 0;
+    let anchor = birthday;
+    let monthStart = startOfCalendarMonth(birthday, calendar);
+    for (;;) {
+      const nextStart = nextCalendarMonth(monthStart, calendar);
+      const length = daysBetween(
+        nextStart,
+        nextCalendarMonth(nextStart, calendar)
+      );
+      const candidate = addDays(
+        nextStart,
+        Math.min(birthFields.day, length) - 1
+      );
+      if (candidate > current) break;
+
+      months++;
+      anchor = candidate;
+      monthStart = nextStart;
+    }
+
+    return {
+      years,
+      months,
+      days: daysBetween(anchor, current),
+      nextBirthday: getCalendarBirthday(
+        birth,
+        birthFields.year + years + 1,
+        calendar
+      ),
+    };
+  }
+
+  /**
+   * Age by a traditional count. "east-asian" is 1 on the day of birth and
+   * adds a year every 1 January; "east-asian-lunar" adds it at Lunar New
+   * Year, the start of the Chinese calendar year; "korean-year" is the
+   * current year minus the birth year. "international" is completed years,
+   * reached on a 29 February birthday as `leapDayPolicy` says
+   */
+  function calculateReckonedAge(
+    birthDate,
+    currentDate,
+    reckoning,
+    { leapDayPolicy = DEFAULT_LEAP_DAY_POLICY } = {}
+  ) {
+    const lunarYear = (date) => getCalendarFields(date, "chinese").year;
+
+    switch (reckoning) {
+      case "east-asian":
+        return currentDate.getFullYear() - birthDate.getFullYear() + 1;
+      case "east-asian-lunar":
+        return lunarYear(currentDate) - lunarYear(birthDate) + 1;
+      case "korean-year":
+        return currentDate.getFullYear() - birthDate.getFullYear();
+      default:
+        return calculateExactAge(birthDate, currentDate, { leapDayPolicy })
+          .years;
+    }
+  }
+
+  /**
+   * Age as a decimal number of years, by a day-count convention.
+   * "act/365" and "act/365.25" divide the days lived by a fixed year;
+   * "act/act" adds to the completed years of calculateExactAge the share
+   * of the current birthday year already lived; "30/360" counts every
+   * month as 30 days (US bond basis). Times of day are ignored
+   */
+  function calculateDecimalAge(
+    birthDate,
+    currentDate,
+    {
+      convention = DEFAULT_DAY_COUNT_CONVENTION,
+      leapDayPolicy = DEFAULT_LEAP_DAY_POLICY,
+    } = {}
+  ) {
+    const birth = startOfDay(birthDate);
+    const current = startOfDay(currentDate);
+
+    switch (convention) {
+      case "act/365":
+        return daysBetween(birth, current) / 365;
+      case "act/act": {
+        const { years } = calculateExactAge(birth, current, { leapDayPolicy });
+        const birthYear = birth.getFullYear();
+        const last = getBirthdayInYear(birth, birthYear + years, leapDayPolicy);
+        const next = getBirthdayInYear(
+          birth,
+          birthYear + years + 1,
+          leapDayPolicy
+        );
+        return years + daysBetween(last, current) / daysBetween(last, next);
+      }
+      case "30/360": {
+        const startDay = Math.min(birth.getDate(), 30);
+        const endDay =
+          current.getDate() === 31 && startDay === 30 ? 30 : current.getDate();
+        return (
+          ((current.getFullYear() - birth.getFullYear()) * 360 +
+            (current.getMonth() - birth.getMonth()) * 30 +
+            (endDay - startDay)) /
+          360
+        );
+      }
+      default:
+        return daysBetween(birth, current) / 365.25;
+    }
+  }
+
+  /**
+   * A decimal age cut ("truncate") or rounded ("round") to `digits`
+   * places. "nearest-birthday" depends on the dates rather than the
+   * decimal age, so it is getNearestBirthdayAge's job
+   */
+  function roundDecimalAge(
+    age,
+    rounding = DEFAULT_DECIMAL_AGE_ROUNDING,
+    digits = 3
+  ) {
+    const factor = 10 ** digits;
+
+    switch (rounding) {
+      case "round":
+        return Math.round(age * factor) / factor;
+      default:
+        // Nudged so a product like 0.3 * 1000 = 299.99999... stays whole
+        return Math.floor(age * factor + 1e-9) / factor;
+    }
+  }
+
+  /**
+   * Whole age at the closer of the last and next birthdays, as insurers
+   * quote it; halfway between the two counts as the next one
+   */
+  function getNearestBirthdayAge(
+    birthDate,
+    currentDate,
+    { leapDayPolicy = DEFAULT_LEAP_DAY_POLICY } = {}
+  ) {
+    const birth = startOfDay(birthDate);
+    const current = startOfDay(currentDate);
+    const { years } = calculateExactAge(birth, current, { leapDayPolicy });
+    const birthday = (age) =>
+      getBirthdayInYear(birth, birth.getFullYear() + age, leapDayPolicy);
+
+    return daysBetween(birthday(years), current) <
+      daysBetween(current, birthday(years + 1))
+      ? years
+      : years + 1;
+  }
+
+  /**
+   * Statistics
+   * Everything is derived from a calculateAge result, so the statistics
+   * always agree with the age they are shown next to
+   */
+  function getZodiacSign(date) {
+    const month = date.getMonth() + 1;
+    const day = date.getDate();
+    return ZODIAC_SIGNS.filter(
+      (entry) =>
+        entry.month < month || (entry.month === month && entry.day <= day)
+    ).pop().sign;
+  }
+
+  // The animal changes at Lunar New Year; without the Chinese calendar the
+  // Gregorian year is used
+  function getChineseZodiac(date) {
+    const year = supportsCalendar("chinese")
+      ? getCalendarFields(date, "chinese").year
+      : date.getFullYear();
+    return CHINESE_ZODIAC[(((year - 1984) % 12) + 12) % 12];
+  }
+
+  // 29 Februaries from startDate up to, not including, endDate
+  function countLeapDays(startDate, endDate) {
+    let count = 0;
+    for (
+      let year = startDate.getFullYear();
+      year <= endDate.getFullYear();
+      year++
+    ) {
+      if (!isLeapYear(year)) continue;
+      const leapDay = toLocalDate(year, 2, 29);
+      if (leapDay >= startOfDay(startDate) && leapDay < endDate) count++;
+    }
+    return count;
+  }
+
+  /**
+   * Age in every unit, birthdays and leap days lived through, and facts
+   * about the birth date, for a birth date and its calculateAge result.
+   * Planet ages are counted in that planet's years
+   */
+  function getAgeStatistics(birthDate, age) {
+    const totalMinutes = age.totalHours * 60 + (age.minutes || 0);
+    const measuredOn = addDays(startOfDay(birthDate), age.totalDays);
+
+    return {
+      totalWeeks: age.totalWeeks,
+      totalDays: age.totalDays,
+      totalHours: age.totalHours,
+      totalMinutes,
+      totalSeconds: totalMinutes * 60 + (age.seconds || 0),
+      birthdays: age.years,
+      leapDays: countLeapDays(birthDate, measuredOn),
+      weekday: birthDate.getDay(),
+      zodiacSign: getZodiacSign(birthDate),
+      chineseZodiac: getChineseZodiac(birthDate),
+      birthstone: BIRTHSTONES[birthDate.getMonth()],
+      planetAges: Object.entries(PLANET_ORBITS).map(([planet, orbit]) => ({
+        planet,
+        years: age.totalDays / orbit,
+      })),
+    };
+  }
+
+  /**
+   * Milestones
+   * The moment a round-number age is reached. Like the other counts, days,
+   * weeks and hours step over calendar days; seconds past the last whole
+   * day move the wall clock on from the birth time. Month counts of a
+   * 29 February birth follow `leapDayPolicy`
+   */
+  function getMilestoneDate(
+    birthDate,
+    unit,
+    count,
+    leapDayPolicy = DEFAULT_LEAP_DAY_POLICY
+  ) {
+    switch (unit) {
+      case "weeks":
+        return addDays(birthDate, count * 7);
+      case "months":
+        return getMonthAnniversary(birthDate, count, leapDayPolicy);
+      case "hours":
+      case "seconds": {
+        const perDay = unit === "hours" ? 24 : 86400;
+        const date = addDays(birthDate, Math.floor(count / perDay));
+        date.setHours(
+          birthDate.getHours() + (unit === "hours" ? count % perDay : 0),
+          birthDate.getMinutes(),
+          birthDate.getSeconds() + (unit === "seconds" ? count % perDay : 0)
+        );
+        return date;
+      }
+      default:
+        return addDays(birthDate, count);
+    }
+  }
+
+  // Dates that read the same both ways when written YYYYMMDD, one a year
+  // at most: the year reversed gives the month and day
+  function getPalindromeDates(startDate, endDate) {
+    const dates = [];
+    for (
+      let year = startDate.getFullYear();
+      year <= endDate.getFullYear();
+      year++
+    ) {
+      const reversed = String(year).padStart(4, "0").split("").reverse();
+      const month = Number(reversed.slice(0, 2).join(""));
+      const day = Number(reversed.slice(2).join(""));
+      if (!isValidDate(year, month, day)) continue;
+
+      const date = toLocalDate(year, month, day);
+      if (date >= startOfDay(startDate) && date <= endDate) dates.push(date);
+    }
+    return dates;
+  }
+
+  /**
+   * Notable moments of a life, past and upcoming, in date order: the
+   * round-number ages of MILESTONES, the half-birthdays either side of
+   * asOfDate and palindrome dates, up to the birthday at `untilAge`.
+   * `daysUntil` counts from asOfDate and is negative for past moments;
+   * a half-birthday's `count` is the age in whole years
+   */
+  function getMilestones(
+    birthDate,
+    asOfDate = new Date(),
+    { leapDayPolicy = DEFAULT_LEAP_DAY_POLICY, untilAge = 100 } = {}
+  ) {
+    const endDate = getBirthdayInYear(
+      birthDate,
+      birthDate.getFullYear() + untilAge,
+      leapDayPolicy
+    );
+    const milestones = [];
+    const add = (kind, count, date) => {
+      if (date <= endDate) {
+        milestones.push({
+          kind,
+          count,
+          date,
+          daysUntil: daysBetween(asOfDate, date),
+        });
+      }
+    };
+
+    Object.entries(MILESTONES).forEach(([unit, counts]) => {
+      counts.forEach((count) =>
+        add(
+          unit,
+          count,
+          getMilestoneDate(birthDate, unit, count, leapDayPolicy)
+        )
+      );
+    });
+
+    // The last half-birthday on or before asOfDate, and the next one
+    const { years, months } = calculateExactAge(
+      startOfDay(birthDate),
+      startOfDay(asOfDate),
+      { leapDayPolicy }
+    );
+    const lastHalf = months >= 6 ? years : years - 1;
+    [lastHalf, lastHalf + 1]
+      .filter((age) => age >= 0)
+      .forEach((age) =>
+        add(
+          "half-birthday",
+          age,
+          getMonthAnniversary(birthDate, age * 12 + 6, leapDayPolicy)
+        )
+      );
+
+    getPalindromeDates(birthDate, endDate).forEach((date) =>
+      add("palindrome", null, date)
+    );
+
+    return milestones.sort((a, b) => a.date - b.date);
+  }
+
+  /**
+   * Julian calendar
+   * JavaScript dates are proleptic Gregorian. Before a country's switch to
+   * the Gregorian calendar, dates were written in the Julian calendar;
+   * `switchDate` is the first Gregorian day, and the days just before it
+   * that were skipped by the switch do not exist
+   */
+  function isJulianLeapYear(year) {
+    return year % 4 === 0;
+  }
+
+  function daysInJulianMonth(year, month) {
+    if (month === 2) return isJulianLeapYear(year) ? 29 : 28;
+    return daysInMonth(2001, month);
+  }
+
+  // Days since 1970-01-01 of a Julian calendar date
+  function julianToEpochDay(year, month, day) {
+    const shift = Math.floor((14 - month) / 12);
+    const y = year + 4800 - shift;
+    const m = month + 12 * shift - 3;
+    const julianDay =
+      day + Math.floor((153 * m + 2) / 5) + 365 * y + Math.floor(y / 4) - 32083;
+
+    return julianDay - EPOCH_JULIAN_DAY;
+  }
+
+  function epochDayToJulian(epochDay) {
+    const c = epochDay + EPOCH_JULIAN_DAY + 32082;
+    const d = Math.floor((4 * c + 3) / 1461);
+    const e = c - Math.floor((1461 * d) / 4);
+    const m = Math.floor((5 * e + 2) / 153);
+
+    return {
+      year: d - 4800 + Math.floor(m / 10),
+      month: m + 3 - 12 * Math.floor(m / 10),
+      day: e - Math.floor((153 * m + 2) / 5) + 1,
+    };
+  }
+
+  // Whether written fields come before the switch, so are Julian
+  function isBeforeSwitch(year, month, day, switchDate) {
+    const written = (year * 100 + month) * 100 + day;
+    const first =
+      (switchDate.getFullYear() * 100 + switchDate.getMonth() + 1) * 100 +
+      switchDate.getDate();
+    return written < first;
+  }
+
+  function daysInHistoricalMonth(year, month, switchDate) {
+    return isBeforeSwitch(year, month, 1, switchDate)
+      ? daysInJulianMonth(year, month)
+      : daysInMonth(year, month);
+  }
+
+  /**
+   * Local Date for a date written as the calendar of its time had it, or
+   * null when it is not a real date or falls in the days skipped by the
+   * switch
+   */
+  function fromHistoricalDate(year, month, day, switchDate) {
+    if (!isBeforeSwitch(year, month, day, switchDate)) {
+      return isValidDate(year, month, day)
+        ? toLocalDate(year, month, day)
+        : null;
+    }
+
+    if (
+      !Number.isInteger(year) ||
+      !Number.isInteger(day) ||
+      month < 1 ||
+      month > 12 ||
+      day < 1 ||
+      day > daysInJulianMonth(year, month)
+    ) {
+      return null;
+    }
+
+    const date = toLocalDate(1970, 1, 1 + julianToEpochDay(year, month, day));
+    return date < startOfDay(switchDate) ? date : null;
+  }
+
+  // { year, month, day, julian } of a date as written in its time
+  function toHistoricalDate(date, switchDate) {
+    if (startOfDay(date) >= startOfDay(switchDate)) {
+      return {
+        year: date.getFullYear(),
+        month: date.getMonth() + 1,
+        day: date.getDate(),
+        julian: false,
+      };
+    }
+
+    const epochDay = daysBetween(toLocalDate(1970, 1, 1), date);
+    return { ...epochDayToJulian(epochDay), julian: true };
+  }
+
+  function startOfDay(date) {
+    return toLocalDate(date.getFullYear(), date.getMonth() + 1, date.getDate());
+  }
+
+  // Milliseconds since midnight on a zoned date's wall clock
+  function timeOfDay(zonedDate) {
+    return (
+      zonedDate.getUTCHours() * MS_PER_HOUR +
+      zonedDate.getUTCMinutes() * MS_PER_MINUTE +
+      zonedDate.getUTCSeconds() * MS_PER_SECOND +
+      zonedDate.getUTCMilliseconds()
+    );
+  }
+
+  return Object.freeze({
+    MONTH_NAMES,
+    LEAP_DAY_POLICIES,
+    DEFAULT_LEAP_DAY_POLICY,
+    MONTH_END_POLICIES,
+    DEFAULT_MONTH_END_POLICY,
+    isLeapYear,
+    isLeapDay,
+    daysInMonth,
+    getMonthName,
+    toLocalDate,
+    isValidDate,
+    calculateExactAge,
+    calculatePreciseAge,
+    getMonthAnniversary,
+    getBirthdayInYear,
+    getNextBirthday,
+    calculateAge,
+    calculateDifference,
+    findBirthDates,
+    addDays,
+    addDuration,
+    toEpochDay,
+    daysBetween,
+    formatISODate,
+    parseISODate,
+    DATE_FIELD_ORDERS,
+    getDateFieldOrder,
+    parseDateText,
+    parseDateFields,
+    findDateInText,
+    CALENDARS,
+    supportsCalendar,
+    toCalendarDate,
+    fromCalendarDate,
+    getCalendarMonthCount,
+    getCalendarMonthLength,
+    getCalendarBirthday,
+    calculateCalendarAge,
+    AGE_RECKONINGS,
+    DEFAULT_AGE_RECKONING,
+    calculateReckonedAge,
+    DAY_COUNT_CONVENTIONS,
+    DEFAULT_DAY_COUNT_CONVENTION,
+    DECIMAL_AGE_ROUNDINGS,
+    DEFAULT_DECIMAL_AGE_ROUNDING,
+    calculateDecimalAge,
+    roundDecimalAge,
+    getNearestBirthdayAge,
+    getAgeStatistics,
+    getMilestones,
+    DEFAULT_GREGORIAN_SWITCH,
+    isJulianLeapYear,
+    daysInJulianMonth,
+    daysInHistoricalMonth,
+    fromHistoricalDate,
+    toHistoricalDate,
+    getLocalTimeZone,
+    getTimeZones,
+    createZonedDate,
+    toZonedDate,
+    getZonedDay,
+    toZonedDay,
+    fromZonedDate,
+    getTimeZoneOffset,
+  });
+})();
+
+// Allow require() from Node and bundlers; browsers and workers get the global
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = DateEngine;
+}
@@ -0,0 +1,93 @@
+/**
+ * App Database
+ * Thin promise wrapper around the app's IndexedDB database
+ * Shared by the page and the service worker (importScripts), so it only
+ * relies on globals both have
+ */
+
+const AppDatabase = (() => {
+  const DB_NAME = "age-calculator";
+  const DB_VERSION = 3;
+
+  let dbPromise = null;
+
+  function open() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = (event) =>
+          upgrade(request.result, event.oldVersion);
+        request.onsuccess = () => {
+          const db = request.result;
+
+          // Step aside when another tab opens a newer version
+          db.onversionchange = () => {
+            db.close();
+            dbPromise = null;
+          };
+          resolve(db);
+        };
+        request.onerror = () => reject(request.error);
+      });
+
+      // Let a later call retry after a failed open
+      dbPromise.catch(() => {
+        dbPromise = null;
+      });
+    }
+
+    return dbPromise;
+  }
+
+  // Schema changes per version, applied in order from the stored version
+  function upgrade(db, oldVersion) {
+    if (oldVersion < 1) {
+      const history = db.createObjectStore("history", {
+        keyPath: "id",
+        autoIncrement: true,
+      });
+      history.createIndex("createdAt", "createdAt");
+    }
+
+    if (oldVersion < 2) {
+      const people = db.createObjectStore("people", {
+        keyPath: "id",
+        autoIncrement: true,
+      });
+      people.createIndex("name", "name");
+    }
+
+    if (oldVersion < 3) {
+      db.createObjectStore("reminders", { keyPath: "key" });
+    }
+  }
+
+  // Run one request in its own transaction and resolve once it commits
+  async function run(storeName, mode, operation) {
+    const db = await open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = operation(transaction.objectStore(storeName));
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  return Object.freeze({
+    open,
+    getAll: (storeName) =>
+      run(storeName, "readonly", (store) => store.getAll()),
+    get: (storeName, key) =>
+      run(storeName, "readonly", (store) => store.get(key)),
+    add: (storeName, value) =>
+      run(storeName, "readwrite", (store) => store.add(value)),
+    put: (storeName, value) =>
+      run(storeName, "readwrite", (store) => store.put(value)),
+    delete: (storeName, key) =>
+      run(storeName, "readwrite", (store) => store.delete(key)),
+  });
+})();
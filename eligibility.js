@@ -0,0 +1,206 @@
+/**
+ * Eligibility
+ * Age rules such as "at least 18 today" or "turns 5 before 1 September",
+ * and the verdict a rule gives for a birth date. Rules look like:
+ *   { id, name, nameKey, type, minAge, maxAge, cutoff }
+ * With type "onDate" the age on the cutoff date must lie within minAge
+ * and maxAge, either of which may be null; with "turnsBefore" minAge must
+ * be reached before the cutoff date. The cutoff is { kind: "today" },
+ * { kind: "yearly", month, day } for the next such day, or
+ * { kind: "date", date } with an ISO date. Preset names are catalog keys
+ * (`nameKey`) until a preset is renamed
+ * Needs DateEngine
+ */
+
+const Eligibility = (() => {
+  const RULE_TYPES = Object.freeze(["onDate", "turnsBefore"]);
+  const CUTOFF_KINDS = Object.freeze(["today", "yearly", "date"]);
+
+  const DEFAULT_RULES = Object.freeze([
+    {
+      id: "school-entry",
+      nameKey: "rule.presetSchool",
+      type: "turnsBefore",
+      minAge: 5,
+      maxAge: null,
+      cutoff: { kind: "yearly", month: 9, day: 1 },
+    },
+    {
+      id: "driving",
+      nameKey: "rule.presetDriving",
+      type: "onDate",
+      minAge: 17,
+      maxAge: null,
+      cutoff: { kind: "today" },
+    },
+    {
+      id: "voting",
+      nameKey: "rule.presetVoting",
+      type: "onDate",
+      minAge: 18,
+      maxAge: null,
+      cutoff: { kind: "today" },
+    },
+    {
+      id: "minor",
+      nameKey: "rule.presetMinor",
+      type: "onDate",
+      minAge: null,
+      maxAge: 17,
+      cutoff: { kind: "today" },
+    },
+    {
+      id: "retirement",
+      nameKey: "rule.presetRetirement",
+      type: "onDate",
+      minAge: 67,
+      maxAge: null,
+      cutoff: { kind: "today" },
+    },
+  ]);
+
+  // A yearly cutoff on 29 February falls on the 28th in common years
+  function getYearlyCutoff({ month, day }, year) {
+    return DateEngine.toLocalDate(
+      year,
+      month,
+      Math.min(day, DateEngine.daysInMonth(year, month))
+    );
+  }
+
+  /**
+   * The date a rule is checked on: today, the next yearly cutoff on or
+   * after today, or the fixed date. Null for a fixed date that is not one
+   */
+  function getCutoffDate(cutoff, today = new Date()) {
+    const day = DateEngine.toLocalDate(
+      today.getFullYear(),
+      today.getMonth() + 1,
+      today.getDate()
+    );
+
+    if (cutoff.kind === "date") return DateEngine.parseISODate(cutoff.date);
+    if (cutoff.kind !== "yearly") return day;
+
+    const thisYear = getYearlyCutoff(cutoff, day.getFullYear());
+    return thisYear >= day
+      ? thisYear
+      : getYearlyCutoff(cutoff, day.getFullYear() + 1);
+  }
+
+  /**
+   * Verdict of `rule` for a birth date:
+   *   eligible       whether the rule passes on the cutoff date
+   *   reason         "tooYoung" or "tooOld" when it does not
+   *   cutoffDate     the date the rule was checked on
+   *   age            the age on the cutoff date (zero if not yet born)
+   *   threshold      "min" or "max", the limit `gap` is measured to
+   *   gap            { years, months, days } between the cutoff date and
+   *                  the day that limit is crossed
+   *   eligibleFrom   the first day the rule passes; for a yearly cutoff,
+   *                  the first cutoff it passes on. Null if never
+   *   eligibleUntil  the last such day, or null without a maximum age
+   */
+  function checkEligibility(
+    birthDate,
+    rule,
+    {
+      today = new Date(),
+      leapDayPolicy = DateEngine.DEFAULT_LEAP_DAY_POLICY,
+    } = {}
+  ) {
+    const cutoffDate = getCutoffDate(rule.cutoff, today);
+    const turnsBefore = rule.type === "turnsBefore";
+    // "Before the cutoff" means reaching the age by the day before it
+    const checkedOn = (date) =>
+      turnsBefore ? DateEngine.addDays(date, -1) : date;
+    const turning = (age) =>
+      DateEngine.getBirthdayInYear(
+        birthDate,
+        birthDate.getFullYear() + age,
+        leapDayPolicy
+      );
+
+    const minAge = rule.minAge;
+    const maxAge = turnsBefore ? null : rule.maxAge;
+    // First day at the minimum age, first day past the maximum age
+    const minDate = minAge === null ? null : turning(minAge);
+    const maxDate = maxAge === null ? null : turning(maxAge + 1);
+    const passes = (date) =>
+      (!minDate || checkedOn(date) >= minDate) &&
+      (!maxDate || checkedOn(date) < maxDate);
+
+    const measured = checkedOn(cutoffDate);
+    const eligible = passes(cutoffDate);
+    let reason = null;
+    let threshold = minDate ? "min" : "max";
+    let gap;
+
+    if (minDate && measured < minDate) {
+      reason = "tooYoung";
+      gap = DateEngine.calculateDifference(measured, minDate);
+    } else if (maxDate && measured >= maxDate) {
+      reason = "tooOld";
+      threshold = "max";
+      gap = DateEngine.calculateDifference(
+        DateEngine.addDays(maxDate, -1),
+        measured
+      );
+    } else if (minDate) {
+      gap = DateEngine.calculateDifference(minDate, measured);
+    } else {
+      gap = DateEngine.calculateDifference(measured, maxDate);
+    }
+
+    let eligibleFrom;
+    let eligibleUntil;
+    if (rule.cutoff.kind === "yearly") {
+      // The cutoffs either side of the limit, in the year it is crossed
+      const cutoffsAround = (date) =>
+        [-1, 0, 1].map((offset) =>
+          getYearlyCutoff(rule.cutoff, date.getFullYear() + offset)
+        );
+      eligibleFrom =
+        cutoffsAround(minDate || birthDate).find(
+          (date) => date >= birthDate && passes(date)
+        ) || null;
+      eligibleUntil = maxDate
+        ? cutoffsAround(maxDate)
+            .reverse()
+            .find((date) => passes(date)) || null
+        : null;
+    } else {
+      eligibleFrom = minDate
+        ? DateEngine.addDays(minDate, turnsBefore ? 1 : 0)
+        : birthDate;
+      eligibleUntil = maxDate ? DateEngine.addDays(maxDate, -1) : null;
+    }
+    if (eligibleFrom && eligibleUntil && eligibleFrom > eligibleUntil) {
+      eligibleFrom = eligibleUntil = null;
+    }
+
+    const isBorn = birthDate <= cutoffDate;
+    const age = isBorn
+      ? DateEngine.calculateAge(birthDate, cutoffDate, { leapDayPolicy })
+      : { years: 0, months: 0, days: 0, totalDays: 0 };
+
+    return {
+      eligible,
+      reason,
+      cutoffDate,
+      age,
+      threshold,
+      gap,
+      eligibleFrom,
+      eligibleUntil,
+    };
+  }
+
+  return Object.freeze({
+    RULE_TYPES,
+    CUTOFF_KINDS,
+    DEFAULT_RULES,
+    getCutoffDate,
+    checkEligibility,
+  });
+})();
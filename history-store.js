@@ -0,0 +1,96 @@
+/**
+ * History Store
+ * Past calculations kept in IndexedDB so they survive reloads and work
+ * offline. Entries look like:
+ *   { id, label, mode, inputs, dates: { start, end }, result, pinned,
+ *     createdAt, updatedAt }
+ * where `inputs` is the form state needed to re-run the calculation
+ */
+
+const HistoryStore = (() => {
+  const STORE_NAME = "history";
+
+  // Unpinned entries beyond this are dropped, oldest first
+  const MAX_ENTRIES = 200;
+
+  function matches(entry, query) {
+    const haystack = [
+      entry.label,
+      entry.mode,
+      entry.dates && entry.dates.start,
+      entry.dates && entry.dates.end,
+    ]
+      .filter(Boolean)
+      .join(" ")
+      .toLowerCase();
+
+    return query
+      .toLowerCase()
+      .split(/\s+/)
+      .filter(Boolean)
+      .every((term) => haystack.includes(term));
+  }
+
+  // Pinned entries first, then newest first
+  function compareEntries(a, b) {
+    if (a.pinned !== b.pinned) return a.pinned ? -1 : 1;
+    return b.createdAt - a.createdAt;
+  }
+
+  async function list(query = "") {
+    const entries = await AppDatabase.getAll(STORE_NAME);
+    return entries
+      .filter((entry) => matches(entry, query))
+      .sort(compareEntries);
+  }
+
+  function add(entry) {
+    const now = Date.now();
+
+    return AppDatabase.add(STORE_NAME, {
+      label: "",
+      pinned: false,
+      ...entry,
+      createdAt: now,
+      updatedAt: now,
+    });
+  }
+
+  async function update(id, changes) {
+    const entry = await AppDatabase.get(STORE_NAME, id);
+    if (!entry) return;
+
+    await AppDatabase.put(STORE_NAME, {
+      ...entry,
+      ...changes,
+      updatedAt: Date.now(),
+    });
+  }
+
+  function remove(id) {
+    return AppDatabase.delete(STORE_NAME, id);
+  }
+
+  /**
+   * Drop entries that cannot be re-run and trim unpinned ones to
+   * MAX_ENTRIES. Run from the service worker's background sync
+   */
+  async function compact() {
+    const entries = (await AppDatabase.getAll(STORE_NAME)).sort(compareEntries);
+    const stale = [];
+    let kept = 0;
+
+    entries.forEach((entry) => {
+      if (!entry.inputs || !entry.mode) {
+        stale.push(entry.id);
+      } else if (!entry.pinned && ++kept > MAX_ENTRIES) {
+        stale.push(entry.id);
+      }
+    });
+
+    await Promise.all(stale.map((id) => remove(id)));
+    return stale.length;
+  }
+
+  return Object.freeze({ list, add, update, remove, compact });
+})();
@@ -0,0 +1,205 @@
+/**
+ * I18n
+ * Message catalogs, the active language and Intl-based formatting
+ * Catalogs register themselves from locales/<code>.js. Messages are looked
+ * up by key, may contain {name} placeholders, and plural messages are
+ * objects keyed by Intl.PluralRules category. Shared with the service
+ * worker, so only the document helpers touch the DOM
+ */
+
+const I18n = (() => {
+  const LANGUAGES = Object.freeze([
+    { code: "en", name: "English", dir: "ltr" },
+    { code: "es", name: "Español", dir: "ltr" },
+    { code: "fr", name: "Français", dir: "ltr" },
+    { code: "de", name: "Deutsch", dir: "ltr" },
+    { code: "ar", name: "العربية", dir: "rtl" },
+    { code: "he", name: "עברית", dir: "rtl" },
+  ]);
+  const DEFAULT_LANGUAGE = "en";
+
+  // Attributes translated from data-i18n-<attribute>
+  const ATTRIBUTES = ["placeholder", "aria-label", "title", "content"];
+
+  const catalogs = {};
+  const formatters = new Map();
+  let language = DEFAULT_LANGUAGE;
+  let locale = DEFAULT_LANGUAGE;
+  let pluralRules = new Intl.PluralRules(language);
+
+  function addCatalog(code, messages) {
+    catalogs[code] = messages;
+  }
+
+  function isSupported(code) {
+    return LANGUAGES.some((entry) => entry.code === code);
+  }
+
+  function baseLanguage(tag) {
+    return String(tag).toLowerCase().split("-")[0];
+  }
+
+  // First supported language among the user's preferred ones
+  function detectLanguage(preferred = []) {
+    const tag = preferred.find((item) => isSupported(baseLanguage(item)));
+    return tag ? baseLanguage(tag) : DEFAULT_LANGUAGE;
+  }
+
+  /**
+   * Switch to `code`. Formatting uses the first of the user's `preferred`
+   * locales in that language, so "en-GB" users get British dates with the
+   * English catalog
+   */
+  function setLanguage(code, preferred = []) {
+    language = isSupported(code) ? code : DEFAULT_LANGUAGE;
+    locale =
+      preferred.find((tag) => baseLanguage(tag) === language) || language;
+    pluralRules = new Intl.PluralRules(locale);
+    return language;
+  }
+
+  function getLanguage() {
+    return language;
+  }
+
+  // Full locale used for formatting, e.g. "en-GB"
+  function getLocale() {
+    return locale;
+  }
+
+  function getDirection(code = language) {
+    const entry = LANGUAGES.find((item) => item.code === code);
+    return entry ? entry.dir : "ltr";
+  }
+
+  function lookup(key) {
+    const messages = catalogs[language] || {};
+    return key in messages
+      ? messages[key]
+      : (catalogs[DEFAULT_LANGUAGE] || {})[key];
+  }
+
+  /**
+   * Message for `key` in the active language, falling back to English and
+   * then to the key itself. Plural messages pick their form from
+   * `params.count`; numbers in `params` are formatted for the language, so
+   * pass years and other codes as strings. Unknown placeholders are kept
+   */
+  function t(key, params = {}) {
+    let message = lookup(key);
+    if (message === undefined) return key;
+
+    if (typeof message === "object") {
+      message = message[pluralRules.select(params.count)] || message.other;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (match, name) => {
+      if (!(name in params)) return match;
+      const value = params[name];
+      return typeof value === "number" ? formatNumber(value) : String(value);
+    });
+  }
+
+  // Intl formatters are costly to build and the live age formats every
+  // second, so they are kept per locale and options
+  function getFormatter(Formatter, options) {
+    const key = `${Formatter.name}|${locale}|${JSON.stringify(options)}`;
+    if (!formatters.has(key)) {
+      formatters.set(key, new Formatter(locale, options));
+    }
+    return formatters.get(key);
+  }
+
+  function formatNumber(value, options = {}) {
+    return getFormatter(Intl.NumberFormat, options).format(value);
+  }
+
+  function formatDate(date, options = {}) {
+    return getFormatter(Intl.DateTimeFormat, options).format(date);
+  }
+
+  // "1 year, 2 months and 3 days", joined the way the language joins lists
+  function formatList(items) {
+    return getFormatter(Intl.ListFormat, { type: "conjunction" }).format(items);
+  }
+
+  /**
+   * Format a year, month and day that need not be a Gregorian date, such
+   * as the Julian 29 February 1700. The day is formatted in a leap year
+   * and the real year put in its place; weekdays are left out
+   */
+  function formatDateFields(
+    { year, month, day, hours = 0, minutes = 0 },
+    options = {}
+  ) {
+    const withoutWeekday = { ...options };
+    delete withoutWeekday.weekday;
+    const sample = new Date(2000, month - 1, day, hours, minutes);
+
+    return getFormatter(Intl.DateTimeFormat, withoutWeekday)
+      .formatToParts(sample)
+      .map((part) =>
+        part.type === "year"
+          ? formatNumber(year, { useGrouping: false })
+          : part.value
+      )
+      .join("");
+  }
+
+  function getMonthName(monthNumber) {
+    return DateEngine.getMonthName(monthNumber, language);
+  }
+
+  /**
+   * Replace an element's text with its data-i18n message. Child elements
+   * marked data-i18n-slot="name" are kept and moved to the message's
+   * {name} placeholder, so references to them stay valid
+   */
+  function translateElement(element) {
+    const slots = new Map();
+    [...element.children].forEach((child) => {
+      if (child.dataset.i18nSlot) slots.set(child.dataset.i18nSlot, child);
+    });
+
+    const parts = t(element.dataset.i18n).split(/\{(\w+)\}/);
+    element.replaceChildren(
+      ...parts.map((part, index) =>
+        index % 2 === 1 ? slots.get(part) || `{${part}}` : part
+      )
+    );
+  }
+
+  // Translate the page and set its language and text direction
+  function applyToDocument(doc) {
+    doc.documentElement.lang = language;
+    doc.documentElement.dir = getDirection();
+
+    doc.querySelectorAll("[data-i18n]").forEach(translateElement);
+    ATTRIBUTES.forEach((attribute) => {
+      doc.querySelectorAll(`[data-i18n-${attribute}]`).forEach((element) => {
+        element.setAttribute(
+          attribute,
+          t(element.getAttribute(`data-i18n-${attribute}`))
+        );
+      });
+    });
+  }
+
+  return Object.freeze({
+    LANGUAGES,
+    DEFAULT_LANGUAGE,
+    addCatalog,
+    detectLanguage,
+    setLanguage,
+    getLanguage,
+    getLocale,
+    getDirection,
+    t,
+    formatNumber,
+    formatDate,
+    formatList,
+    formatDateFields,
+    getMonthName,
+    applyToDocument,
+  });
+})();
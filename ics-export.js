@@ -0,0 +1,118 @@
+/**
+ * ICS Export
+ * iCalendar (RFC 5545) files of all-day events: a yearly birthday and
+ * one-off milestones. Events look like:
+ *   { uid, date, summary, description, rule }
+ * Only builds the text; the page turns it into a download
+ * Needs DateEngine
+ */
+
+const IcsExport = (() => {
+  const PRODUCT_ID = "-//Age Calculator//Birthday Export//EN";
+  const UID_DOMAIN = "age-calculator";
+
+  // Content lines are folded after this many octets
+  const MAX_LINE_OCTETS = 75;
+
+  const encoder = new TextEncoder();
+
+  function escapeText(text) {
+    return String(text)
+      .replace(/[\\;,]/g, (char) => `\\${char}`)
+      .replace(/\r?\n/g, "\\n");
+  }
+
+  // Continuation lines start with a space; UTF-8 characters are never split
+  function foldLine(line) {
+    const lines = [];
+    let current = "";
+    let octets = 0;
+
+    for (const char of line) {
+      const size = encoder.encode(char).length;
+      if (octets + size > MAX_LINE_OCTETS) {
+        lines.push(current);
+        current = " ";
+        octets = 1;
+      }
+      current += char;
+      octets += size;
+    }
+    lines.push(current);
+
+    return lines.join("\r\n");
+  }
+
+  function formatDate(date) {
+    return DateEngine.formatISODate(date).replace(/-/g, "");
+  }
+
+  // UTC date-time, e.g. 20260101T120000Z
+  function formatTimestamp(instant) {
+    return instant.toISOString().replace(/\.\d+/, "").replace(/[-:]/g, "");
+  }
+
+  // Stable identifiers, so importing a later export updates the events
+  function createUid(...parts) {
+    return `${parts
+      .filter((part) => part !== null && part !== "")
+      .map((part) => encodeURIComponent(part))
+      .join("-")}@${UID_DOMAIN}`;
+  }
+
+  /**
+   * Yearly recurrence of a birthday. In common years a 29 February
+   * birthday follows the leap-day policy: the 60th day of the year is
+   * 1 March ("mar1"), the last day of February is 28 February ("feb28")
+   */
+  function getBirthdayRule(
+    birthDate,
+    leapDayPolicy = DateEngine.DEFAULT_LEAP_DAY_POLICY
+  ) {
+    if (!DateEngine.isLeapDay(birthDate)) return "FREQ=YEARLY";
+    return leapDayPolicy === "feb28"
+      ? "FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=-1"
+      : "FREQ=YEARLY;BYYEARDAY=60";
+  }
+
+  function createEvent({ uid, date, summary, description, rule }, stamp) {
+    return [
+      "BEGIN:VEVENT",
+      `UID:${uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${formatDate(date)}`,
+      `DTEND;VALUE=DATE:${formatDate(DateEngine.addDays(date, 1))}`,
+      rule && `RRULE:${rule}`,
+      `SUMMARY:${escapeText(summary)}`,
+      description && `DESCRIPTION:${escapeText(description)}`,
+      "TRANSP:TRANSPARENT",
+      "END:VEVENT",
+    ].filter(Boolean);
+  }
+
+  /**
+   * Calendar text holding `events`, with the CRLF line endings the
+   * standard requires. `name` is shown by clients that support it
+   */
+  function createCalendar(events, { name = "", now = new Date() } = {}) {
+    const stamp = formatTimestamp(now);
+    const lines = [
+      "BEGIN:VCALENDAR",
+      "VERSION:2.0",
+      `PRODID:${PRODUCT_ID}`,
+      "CALSCALE:GREGORIAN",
+      "METHOD:PUBLISH",
+      name && `X-WR-CALNAME:${escapeText(name)}`,
+      ...events.flatMap((event) => createEvent(event, stamp)),
+      "END:VCALENDAR",
+    ].filter(Boolean);
+
+    return `${lines.map(foldLine).join("\r\n")}\r\n`;
+  }
+
+  return Object.freeze({
+    createUid,
+    getBirthdayRule,
+    createCalendar,
+  });
+})();
@@ -0,0 +1,566 @@
+/**
+ * Arabic messages (right-to-left)
+ * Plural messages use all six Arabic plural categories
+ */
+
+I18n.addCatalog("ar", {
+  "app.documentTitle": "حاسبة العمر",
+  "app.description":
+    "احسب عمرك بدقة بالسنوات والأشهر والأيام باستخدام حاسبة العمر الحديثة",
+  "app.title": "حاسبة العمر",
+  "app.language": "اللغة",
+  "app.themeToggle": "تبديل الوضع الداكن",
+  "app.info": "طريقة العمل",
+  "app.infoText":
+    "أدخل تاريخ ميلادك لحساب عمرك بدقة بالسنوات والأشهر والأيام. يراعي التطبيق السنوات الكبيسة ويتحقق من صحة جميع التواريخ. انتقل إلى الفرق بين تاريخين لقياس المدة بين أي تاريخين. يشمل عدّ الأيام تاريخ البداية دون تاريخ النهاية.",
+
+  "mode.label": "وضع الحساب",
+  "mode.age": "العمر",
+  "mode.difference": "الفرق بين تاريخين",
+  "mode.eligibility": "الأهلية",
+  "mode.reverse": "تاريخ الميلاد من العمر",
+  "mode.arithmetic": "الجمع والطرح",
+
+  "form.label": "الاسم أو التسمية (اختياري)",
+  "form.labelPlaceholder": "مثلًا: جدتي",
+  "form.calendar": "التقويم",
+  "form.calendarDate": "التاريخ الميلادي: {date}",
+  "form.startDate": "تاريخ البداية",
+  "form.day": "اليوم",
+  "form.month": "الشهر",
+  "form.year": "السنة",
+  "form.hour": "الساعة",
+  "form.minute": "الدقيقة",
+  "form.dayPlaceholder": "يوم",
+  "form.monthPlaceholder": "شهر",
+  "form.yearPlaceholder": "سنة",
+  "form.hourPlaceholder": "ساعة",
+  "form.minutePlaceholder": "دقيقة",
+  "form.birthTime": "وقت الميلاد (اختياري)",
+  "form.timeZones": "المناطق الزمنية",
+  "form.birthTimeZone": "المنطقة الزمنية للميلاد",
+  "form.currentTimeZone": "المنطقة الزمنية الحالية",
+  "form.asOfToggle": "احسب العمر في تاريخ محدد",
+  "form.asOf": "العمر في",
+  "form.endDate": "تاريخ النهاية",
+  "form.knownOn": "التاريخ الذي عُرف فيه العمر",
+  "form.knownAge": "العمر المعروف",
+  "form.knownYears": "السنوات",
+  "form.knownMonths": "الأشهر (اختياري)",
+  "form.knownDays": "الأيام (اختياري)",
+  "form.duration": "المدة",
+  "form.direction": "جمع أو طرح",
+  "form.directionAdd": "جمع",
+  "form.directionSubtract": "طرح",
+  "form.monthEnd": "يوم غير موجود في الشهر",
+  "form.monthEndAnniversary":
+    "اليوم التالي كما تُحسب الأعمار (31 يناير + شهر = 1 مارس)",
+  "form.monthEndClamp": "آخر يوم في الشهر (31 يناير + شهر = 28 فبراير)",
+  "form.monthEndOverflow": "ترحيل الأيام الزائدة (31 يناير + شهر = 3 مارس)",
+  "form.durationYears": "السنوات",
+  "form.durationMonths": "الأشهر",
+  "form.durationWeeks": "الأسابيع",
+  "form.durationDays": "الأيام",
+  "form.inclusive": "تضمين تاريخ النهاية (إضافة يوم واحد)",
+  "form.calculate": "احسب",
+  "form.calculateLabel": "احسب العمر",
+  "form.clear": "مسح الكل",
+  "form.history": "السجل",
+  "form.people": "الأشخاص",
+  "form.batch": "دفعة",
+  "form.dateText": "اكتب تاريخًا أو الصقه (اختياري)",
+  "form.dateTextPlaceholder": "مثلًا 1990-03-12 أو 12 مارس 1990",
+  "form.dateTextRead": "قُرئ على أنه {date}",
+  "form.dateTextAmbiguous": "تاريخ ملتبس، قُرئ على أنه {date}",
+  "form.dateTextUse": "استخدم {date} بدلًا من ذلك",
+  "form.dateTextInvalid": "تعذّرت قراءة تاريخ من هذا النص",
+
+  "calendar.gregory": "ميلادي",
+  "calendar.islamic-umalqura": "هجري (أم القرى)",
+  "calendar.hebrew": "عبري",
+  "calendar.persian": "فارسي",
+  "calendar.chinese": "صيني",
+
+  "reckoning.east-asian": "العمر في شرق آسيا",
+  "reckoning.east-asianNote":
+    "يبدأ العد من 1 عند الولادة وتُضاف سنة في كل 1 يناير",
+  "reckoning.east-asian-lunar": "العمر في شرق آسيا (رأس السنة القمرية)",
+  "reckoning.east-asian-lunarNote":
+    "يبدأ العد من 1 عند الولادة وتُضاف سنة في كل رأس سنة قمرية",
+  "reckoning.korean-year": "العمر الكوري بالسنوات",
+  "reckoning.korean-yearNote":
+    "السنة الحالية ناقص سنة الولادة، ويُستخدم في بعض حدود السن القانونية في كوريا",
+
+  "settings.title": "الإعدادات",
+  "settings.leapDay": "أعياد ميلاد 29 فبراير",
+  "settings.leapDayFeb28": "في 28 فبراير في السنوات البسيطة",
+  "settings.leapDayMar1": "في 1 مارس في السنوات البسيطة",
+  "settings.dateOrder": "ترتيب حقول التاريخ",
+  "settings.dateOrderAuto": "تلقائي (حسب اللغة)",
+  "settings.dateOrderDMY": "يوم، شهر، سنة",
+  "settings.dateOrderMDY": "شهر، يوم، سنة",
+  "settings.dateOrderYMD": "سنة، شهر، يوم",
+  "settings.ageReckoning": "طريقة حساب العمر",
+  "settings.reckoningInternational": "دولية (السنوات المكتملة)",
+  "settings.dayCount": "اصطلاح العمر العشري",
+  "settings.decimalRounding": "تقريب العمر العشري",
+  "settings.roundingTruncate": "اقتطاع",
+  "settings.roundingRound": "تقريب",
+  "settings.roundingNearest": "العمر عند أقرب عيد ميلاد",
+  "settings.minYear": "أقدم سنة",
+  "settings.yearsAhead": "السنوات المسموح بها مستقبلًا",
+  "settings.calendarReform": "التواريخ قبل الإصلاح الغريغوري",
+  "settings.reformProleptic": "غريغوري استباقي",
+  "settings.reformJulian": "يولياني حتى التحول",
+  "settings.gregorianSwitch": "التحول إلى التقويم الغريغوري",
+  "settings.switch1582": "15 أكتوبر 1582 (أوروبا الكاثوليكية)",
+  "settings.switch1700":
+    "1 مارس 1700 (ألمانيا البروتستانتية، الدنمارك، النرويج)",
+  "settings.switch1752": "14 سبتمبر 1752 (بريطانيا العظمى ومستعمراتها)",
+  "settings.switch1918": "14 فبراير 1918 (روسيا)",
+  "settings.switch1923": "1 مارس 1923 (اليونان)",
+  "settings.remindMe": "ذكّرني",
+  "settings.remindOnDay": "في اليوم نفسه",
+  "settings.remindDaysBefore": {
+    zero: "قبل {count} يوم",
+    one: "قبل يوم واحد",
+    two: "قبل يومين",
+    few: "قبل {count} أيام",
+    many: "قبل {count} يومًا",
+    other: "قبل {count} يوم",
+  },
+  "settings.remindWeekBefore": "قبل أسبوع",
+  "settings.reminders": "تذكيرات أعياد الميلاد للأشخاص المحفوظين",
+  "settings.milestones": "ذكّرني أيضًا عند كل {days} يوم من العمر",
+  "settings.remindersUnsupported": "هذا المتصفح لا يدعم التذكيرات",
+  "settings.remindersBlocked": "اسمح بالإشعارات لهذا الموقع لتلقي التذكيرات",
+
+  "error.dayRequired": "اليوم مطلوب",
+  "error.dayRange": "يجب أن يكون اليوم بين 1 و31",
+  "error.daysInMonth": {
+    zero: "شهر {month} فيه {count} يوم فقط",
+    one: "شهر {month} فيه يوم واحد فقط",
+    two: "شهر {month} فيه يومان فقط",
+    few: "شهر {month} فيه {count} أيام فقط",
+    many: "شهر {month} فيه {count} يومًا فقط",
+    other: "شهر {month} فيه {count} يوم فقط",
+  },
+  "error.monthRequired": "الشهر مطلوب",
+  "error.monthRange": "يجب أن يكون الشهر بين 1 و12",
+  "error.calendarMonthRange": "يجب أن يكون الشهر بين 1 و{max}",
+  "error.yearRequired": "السنة مطلوبة",
+  "error.yearRange": "يجب أن تكون السنة بين {min} و{max}",
+  "error.skippedDay": "تم تخطي هذا التاريخ عند بدء التقويم الغريغوري في {date}",
+  "error.hourRequired": "الساعة مطلوبة عند إدخال الدقائق",
+  "error.hourRange": "يجب أن تكون الساعة بين 0 و23",
+  "error.minuteRange": "يجب أن تكون الدقيقة بين 0 و59",
+  "error.asOfBeforeBirth": "تاريخ الميلاد بعد هذا التاريخ",
+  "error.knownYearsRequired": "السنوات مطلوبة",
+  "error.numberRange": "أدخل عددًا صحيحًا من 0 إلى {max}",
+  "error.noBirthDate":
+    "لا يوجد تاريخ ميلاد يعطي هذا العمر بالضبط في ذلك التاريخ",
+  "error.durationRequired": "أدخل مقدارًا واحدًا على الأقل",
+  "error.calculation": "حدث خطأ أثناء الحساب",
+
+  "unit.years": {
+    zero: "سنة",
+    one: "سنة",
+    two: "سنتان",
+    few: "سنوات",
+    many: "سنة",
+    other: "سنة",
+  },
+  "unit.months": {
+    zero: "شهر",
+    one: "شهر",
+    two: "شهران",
+    few: "أشهر",
+    many: "شهرًا",
+    other: "شهر",
+  },
+  "unit.days": {
+    zero: "يوم",
+    one: "يوم",
+    two: "يومان",
+    few: "أيام",
+    many: "يومًا",
+    other: "يوم",
+  },
+  "unit.hours": {
+    zero: "ساعة",
+    one: "ساعة",
+    two: "ساعتان",
+    few: "ساعات",
+    many: "ساعة",
+    other: "ساعة",
+  },
+  "unit.minutes": {
+    zero: "دقيقة",
+    one: "دقيقة",
+    two: "دقيقتان",
+    few: "دقائق",
+    many: "دقيقة",
+    other: "دقيقة",
+  },
+  "unit.seconds": {
+    zero: "ثانية",
+    one: "ثانية",
+    two: "ثانيتان",
+    few: "ثوانٍ",
+    many: "ثانية",
+    other: "ثانية",
+  },
+  "count.years": {
+    zero: "{count} سنة",
+    one: "سنة واحدة",
+    two: "سنتان",
+    few: "{count} سنوات",
+    many: "{count} سنة",
+    other: "{count} سنة",
+  },
+  "count.months": {
+    zero: "{count} شهر",
+    one: "شهر واحد",
+    two: "شهران",
+    few: "{count} أشهر",
+    many: "{count} شهرًا",
+    other: "{count} شهر",
+  },
+  "count.weeks": {
+    zero: "{count} أسبوع",
+    one: "أسبوع واحد",
+    two: "أسبوعان",
+    few: "{count} أسابيع",
+    many: "{count} أسبوعًا",
+    other: "{count} أسبوع",
+  },
+  "count.days": {
+    zero: "{count} يوم",
+    one: "يوم واحد",
+    two: "يومان",
+    few: "{count} أيام",
+    many: "{count} يومًا",
+    other: "{count} يوم",
+  },
+  "count.hours": {
+    zero: "{count} ساعة",
+    one: "ساعة واحدة",
+    two: "ساعتان",
+    few: "{count} ساعات",
+    many: "{count} ساعة",
+    other: "{count} ساعة",
+  },
+  "count.seconds": {
+    zero: "{count} ثانية",
+    one: "ثانية واحدة",
+    two: "ثانيتان",
+    few: "{count} ثوانٍ",
+    many: "{count} ثانية",
+    other: "{count} ثانية",
+  },
+  "count.yearsMonthsDays": "{years} و{months} و{days}",
+  "count.weeksAndDays": "{weeks} و{days}",
+
+  "results.title": "عمرك",
+  "results.close": "إغلاق النتائج",
+  "results.ageOn": "العمر في {date}",
+  "results.difference": "الفرق بين تاريخين",
+  "results.timeUntil": "الوقت المتبقي حتى التاريخ",
+  "results.bornOn": "تاريخ الميلاد: {date}",
+  "results.futureDate": "تاريخ مستقبلي: {date}",
+  "results.leapDayFeb28":
+    "مولود في 29 فبراير: يُحتسب عيد الميلاد في السنوات البسيطة في 28 فبراير",
+  "results.leapDayMar1":
+    "مولود في 29 فبراير: يُحتسب عيد الميلاد في السنوات البسيطة في 1 مارس",
+  "results.calendarBorn": "{calendar}: وُلد في {date}",
+  "results.calendarAge": "{calendar}: {age}، عيد الميلاد القادم في {date}",
+  "results.reckonedAge": "{name}: {age} (العمر الدولي {international})",
+  "results.decimalAge": "العمر العشري: {age}",
+  "results.nearestBirthdayAge": "العمر عند أقرب عيد ميلاد: {age}",
+  "results.julianDate": "{date} (يولياني؛ {gregorian} غريغوري)",
+  "results.zones": "الميلاد في {birth}، والقياس في {current}",
+  "results.range": "من {start} إلى {end}",
+  "results.inclusive": "{date} (شاملًا)",
+  "results.totalDays": "أي ما يقارب {total} يومًا في المجموع!",
+
+  "stats.title": "المزيد من الإحصاءات",
+  "stats.weeks": "العمر بالأسابيع",
+  "stats.days": "العمر بالأيام",
+  "stats.hours": "العمر بالساعات",
+  "stats.minutes": "العمر بالدقائق",
+  "stats.seconds": "العمر بالثواني",
+  "stats.birthdays": "أعياد الميلاد المحتفل بها",
+  "stats.leapDays": "أيام 29 فبراير التي عشتها",
+  "stats.weekday": "يوم الأسبوع عند الولادة",
+  "stats.zodiacSign": "البرج",
+  "stats.chineseZodiac": "الأبراج الصينية",
+  "stats.birthstone": "حجر الميلاد",
+  "stats.planetAge": "العمر على {planet}",
+  "zodiac.aries": "الحمل",
+  "zodiac.taurus": "الثور",
+  "zodiac.gemini": "الجوزاء",
+  "zodiac.cancer": "السرطان",
+  "zodiac.leo": "الأسد",
+  "zodiac.virgo": "العذراء",
+  "zodiac.libra": "الميزان",
+  "zodiac.scorpio": "العقرب",
+  "zodiac.sagittarius": "القوس",
+  "zodiac.capricorn": "الجدي",
+  "zodiac.aquarius": "الدلو",
+  "zodiac.pisces": "الحوت",
+  "chineseZodiac.rat": "الفأر",
+  "chineseZodiac.ox": "الثور",
+  "chineseZodiac.tiger": "النمر",
+  "chineseZodiac.rabbit": "الأرنب",
+  "chineseZodiac.dragon": "التنين",
+  "chineseZodiac.snake": "الأفعى",
+  "chineseZodiac.horse": "الحصان",
+  "chineseZodiac.goat": "الماعز",
+  "chineseZodiac.monkey": "القرد",
+  "chineseZodiac.rooster": "الديك",
+  "chineseZodiac.dog": "الكلب",
+  "chineseZodiac.pig": "الخنزير",
+  "birthstone.garnet": "العقيق الأحمر",
+  "birthstone.amethyst": "الجمشت",
+  "birthstone.aquamarine": "الزبرجد المائي",
+  "birthstone.diamond": "الألماس",
+  "birthstone.emerald": "الزمرد",
+  "birthstone.pearl": "اللؤلؤ",
+  "birthstone.ruby": "الياقوت",
+  "birthstone.peridot": "الزبرجد",
+  "birthstone.sapphire": "الياقوت الأزرق",
+  "birthstone.opal": "الأوبال",
+  "birthstone.topaz": "التوباز",
+  "birthstone.turquoise": "الفيروز",
+  "planet.mercury": "عطارد",
+  "planet.venus": "الزهرة",
+  "planet.mars": "المريخ",
+  "planet.jupiter": "المشتري",
+  "planet.saturn": "زحل",
+  "planet.uranus": "أورانوس",
+  "planet.neptune": "نبتون",
+
+  "milestones.title": "المحطات",
+  "milestones.halfBirthday": "نصف عيد الميلاد ({age}½)",
+  "milestones.palindrome": "تاريخ متناظر ({digits})",
+  "milestones.today": "اليوم! 🎉",
+  "milestones.in": {
+    zero: "بعد {count} يوم",
+    one: "بعد يوم واحد",
+    two: "بعد يومين",
+    few: "بعد {count} أيام",
+    many: "بعد {count} يومًا",
+    other: "بعد {count} يوم",
+  },
+  "milestones.ago": {
+    zero: "قبل {count} يوم",
+    one: "قبل يوم واحد",
+    two: "قبل يومين",
+    few: "قبل {count} أيام",
+    many: "قبل {count} يومًا",
+    other: "قبل {count} يوم",
+  },
+
+  "export.download": "تنزيل التقويم (.ics)",
+  "export.includeMilestones": "تضمين المحطات القادمة",
+  "export.calendarName": "أعياد الميلاد",
+  "export.birthday": "عيد الميلاد",
+  "export.named": "{name}: {event}",
+
+  "share.share": "مشاركة الرابط",
+  "share.copyLink": "نسخ الرابط",
+  "share.copied": "تم نسخ الرابط",
+
+  "card.layout": "تخطيط الصورة",
+  "card.square": "مربع",
+  "card.story": "قصة",
+  "card.banner": "لافتة",
+  "card.export": "تصدير الصورة",
+
+  "history.title": "السجل",
+  "history.close": "إغلاق السجل",
+  "history.search": "ابحث بالتسمية أو التاريخ أو الوضع",
+  "history.searchLabel": "البحث في السجل",
+  "history.empty": "لا توجد حسابات محفوظة بعد",
+  "history.defaultAge": "العمر",
+  "history.defaultDifference": "الفرق بين تاريخين",
+  "history.defaultEligibility": "فحص الأهلية",
+  "history.defaultReverse": "تاريخ الميلاد من العمر",
+  "history.defaultArithmetic": "حساب التواريخ",
+  "history.modeAge": "العمر",
+  "history.modeDifference": "الفرق",
+  "history.modeEligibility": "الأهلية",
+  "history.modeReverse": "عكسي",
+  "history.modeArithmetic": "الجمع والطرح",
+  "history.rerun": "إعادة الحساب",
+  "history.pin": "تثبيت",
+  "history.unpin": "إلغاء التثبيت",
+  "history.delete": "حذف",
+
+  "people.title": "أعياد الميلاد القادمة",
+  "people.close": "إغلاق أعياد الميلاد القادمة",
+  "people.name": "الاسم",
+  "people.birthDate": "تاريخ الميلاد",
+  "people.add": "إضافة",
+  "people.empty":
+    "لا يوجد أشخاص محفوظون بعد. أضف شخصًا أعلاه لترى عيد ميلاده القادم.",
+  "people.nameRequired": "الاسم مطلوب",
+  "people.invalidDate": "أدخل تاريخ ميلاد صحيحًا",
+  "people.saveFailed": "تعذّر حفظ هذا الشخص",
+  "people.notBorn": "لم يولد بعد",
+  "people.turnsToday": "يبلغ {age} اليوم! 🎉",
+  "people.turnsTomorrow": "يبلغ {age} غدًا",
+  "people.turnsIn": {
+    zero: "يبلغ {age} بعد {count} يوم",
+    one: "يبلغ {age} بعد يوم واحد",
+    two: "يبلغ {age} بعد يومين",
+    few: "يبلغ {age} بعد {count} أيام",
+    many: "يبلغ {age} بعد {count} يومًا",
+    other: "يبلغ {age} بعد {count} يوم",
+  },
+  "people.due": "الموعد المتوقع {date}",
+  "people.age": "العمر {age}",
+  "people.born": "الميلاد {date}",
+  "people.next": "القادم {date}",
+  "people.delete": "حذف",
+  "people.deleteLabel": "حذف {name}",
+
+  "batch.title": "الأعمار دفعة واحدة",
+  "batch.close": "إغلاق الأعمار دفعة واحدة",
+  "batch.hint":
+    "شخص واحد في كل صف: الاسم وتاريخ الميلاد وتاريخ اختياري يُحسب العمر فيه. الصق صفوفًا من جدول بيانات أو حمّل ملف CSV.",
+  "batch.placeholder": "Ada Lovelace, 1815-12-10",
+  "batch.input": "الصفوف المراد حسابها",
+  "batch.loadFile": "تحميل ملف CSV",
+  "batch.calculate": "حساب الأعمار",
+  "batch.search": "التصفية حسب الاسم أو التاريخ",
+  "batch.searchLabel": "تصفية الصفوف",
+  "batch.show": "الصفوف المعروضة",
+  "batch.showAll": "كل الصفوف",
+  "batch.showValid": "المحسوبة",
+  "batch.showInvalid": "التي بها أخطاء",
+  "batch.row": "الصف",
+  "batch.name": "الاسم",
+  "batch.birthDate": "تاريخ الميلاد",
+  "batch.asOf": "العمر في",
+  "batch.age": "العمر",
+  "batch.totalDays": "مجموع الأيام",
+  "batch.years": "السنوات",
+  "batch.months": "الأشهر",
+  "batch.days": "الأيام",
+  "batch.error": "الخطأ",
+  "batch.noMatches": "لا توجد صفوف تطابق التصفية",
+  "batch.export": "تصدير CSV",
+  "batch.summary": "{read}، {invalid}",
+  "batch.rowsRead": {
+    zero: "لم يُقرأ أي صف",
+    one: "قُرئ صف واحد",
+    two: "قُرئ صفان",
+    few: "قُرئت {count} صفوف",
+    many: "قُرئ {count} صفًا",
+    other: "قُرئ {count} صف",
+  },
+  "batch.rowsInvalid": {
+    zero: "لا صفوف بها أخطاء",
+    one: "صف واحد به خطأ",
+    two: "صفان بهما أخطاء",
+    few: "{count} صفوف بها أخطاء",
+    many: "{count} صفًا بها أخطاء",
+    other: "{count} صف بها أخطاء",
+  },
+  "batch.birthError": "تاريخ الميلاد: {error}",
+  "batch.asOfError": "تاريخ الحساب: {error}",
+  "batch.notBorn": "وُلد بعد تاريخ الحساب",
+  "batch.dateRequired": "تاريخ الميلاد مطلوب",
+  "batch.today": "اليوم",
+
+  "rule.title": "قاعدة العمر",
+  "rule.preset": "الإعداد المسبق",
+  "rule.name": "اسم القاعدة",
+  "rule.type": "القاعدة",
+  "rule.typeOnDate": "العمر في التاريخ الفاصل",
+  "rule.typeTurnsBefore": "يبلغ الحد الأدنى للعمر قبل التاريخ الفاصل",
+  "rule.cutoff": "التاريخ الفاصل",
+  "rule.cutoffToday": "اليوم",
+  "rule.cutoffYearly": "كل سنة في",
+  "rule.cutoffDate": "في تاريخ محدد",
+  "rule.minAge": "الحد الأدنى للعمر",
+  "rule.maxAge": "الحد الأقصى للعمر",
+  "rule.date": "التاريخ",
+  "rule.save": "حفظ الإعداد",
+  "rule.saveNew": "حفظ كإعداد جديد",
+  "rule.delete": "حذف الإعداد",
+  "rule.saved": "تم حفظ الإعداد",
+  "rule.untitled": "قاعدة مخصصة",
+  "rule.errorAgeRange": "يجب أن تكون الأعمار أعدادًا صحيحة من 0 إلى 150",
+  "rule.errorMinRequired": "أدخل الحد الأدنى للعمر",
+  "rule.errorAge": "أدخل حدًا أدنى أو أقصى للعمر",
+  "rule.errorMaxBelowMin": "لا يمكن أن يكون الحد الأقصى أقل من الحد الأدنى",
+  "rule.errorCutoff": "أدخل تاريخًا فاصلًا صالحًا",
+  "rule.describeTurns": "{name}: يبلغ {min} قبل {date}",
+  "rule.describeRange": "{name}: من {min} إلى {max} في {date}",
+  "rule.describeMin": "{name}: {min} على الأقل في {date}",
+  "rule.describeMax": "{name}: {max} على الأكثر في {date}",
+  "rule.presetSchool": "دخول المدرسة (5 قبل 1 سبتمبر)",
+  "rule.presetDriving": "سن القيادة (17)",
+  "rule.presetVoting": "سن التصويت (18)",
+  "rule.presetMinor": "قاصر (أقل من 18)",
+  "rule.presetRetirement": "سن التقاعد (67)",
+
+  "eligibility.eligible": "مؤهل",
+  "eligibility.notEligible": "غير مؤهل",
+  "eligibility.tooYoung": "أصغر من اللازم بـ {gap}",
+  "eligibility.tooOld": "أكبر من اللازم بـ {gap}",
+  "eligibility.aboveMin": "تجاوز الحد الأدنى بـ {gap}",
+  "eligibility.belowMax": "يتبقى {gap} قبل تجاوز الحد الأقصى",
+  "eligibility.justEligible": "بلغ الحد الأدنى للتو",
+  "eligibility.windowRange": "مؤهل من {from} حتى {until}",
+  "eligibility.windowFrom": "مؤهل ابتداءً من {from}",
+  "eligibility.windowUntil": "مؤهل حتى {until}",
+  "eligibility.never": "غير مؤهل أبدًا وفق هذه القاعدة",
+
+  "reverse.title": "تواريخ الميلاد المحتملة",
+  "reverse.exactTitle": "تاريخ الميلاد",
+  "reverse.bornOn": "وُلد في {date}",
+  "reverse.bornBetween": "وُلد بين {from} و{until}",
+  "reverse.count": {
+    zero: "لا توجد تواريخ ميلاد بهذا العمر في {date}",
+    one: "تاريخ الميلاد الوحيد بهذا العمر في {date}",
+    two: "تاريخا ميلاد محتملان بهذا العمر في {date}",
+    few: "{count} تواريخ ميلاد محتملة بهذا العمر في {date}",
+    many: "{count} تاريخ ميلاد محتملًا بهذا العمر في {date}",
+    other: "{count} تاريخ ميلاد محتمل بهذا العمر في {date}",
+  },
+
+  "arithmetic.title": "التاريخ الناتج",
+  "arithmetic.after": "{duration} بعد {date}",
+  "arithmetic.before": "{duration} قبل {date}",
+  "arithmetic.use": "استخدام هذا التاريخ في النموذج",
+
+  "reminders.birthdayToday": "{name} يبلغ {age} اليوم",
+  "reminders.birthdayTomorrow": "{name} يبلغ {age} غدًا",
+  "reminders.birthdayIn": {
+    zero: "{name} يبلغ {age} بعد {count} يوم",
+    one: "{name} يبلغ {age} بعد يوم واحد",
+    two: "{name} يبلغ {age} بعد يومين",
+    few: "{name} يبلغ {age} بعد {count} أيام",
+    many: "{name} يبلغ {age} بعد {count} يومًا",
+    other: "{name} يبلغ {age} بعد {count} يوم",
+  },
+  "reminders.milestoneToday": "{name} يتم اليوم {days} يوم من العمر",
+  "reminders.milestoneTomorrow": "{name} يتم غدًا {days} يوم من العمر",
+  "reminders.milestoneIn": {
+    zero: "{name} يتم {days} يوم من العمر بعد {count} يوم",
+    one: "{name} يتم {days} يوم من العمر بعد يوم واحد",
+    two: "{name} يتم {days} يوم من العمر بعد يومين",
+    few: "{name} يتم {days} يوم من العمر بعد {count} أيام",
+    many: "{name} يتم {days} يوم من العمر بعد {count} يومًا",
+    other: "{name} يتم {days} يوم من العمر بعد {count} يوم",
+  },
+  "reminders.openToday": "افتح التطبيق لرؤية العمر كاملًا",
+
+  "pwa.title": "تثبيت حاسبة العمر؟",
+  "pwa.text": "استمتع بتجربة سريعة تعمل دون اتصال على جهازك.",
+  "pwa.install": "تثبيت",
+  "pwa.dismiss": "تجاهل",
+});
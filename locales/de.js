@@ -0,0 +1,442 @@
+/**
+ * German messages
+ */
+
+I18n.addCatalog("de", {
+  "app.documentTitle": "Altersrechner",
+  "app.description":
+    "Berechne dein genaues Alter in Jahren, Monaten und Tagen mit unserem modernen Altersrechner",
+  "app.title": "Altersrechner",
+  "app.language": "Sprache",
+  "app.themeToggle": "Dunkelmodus umschalten",
+  "app.info": "So funktioniert es",
+  "app.infoText":
+    "Gib dein Geburtsdatum ein, um dein genaues Alter in Jahren, Monaten und Tagen zu berechnen. Die App berücksichtigt Schaltjahre und prüft alle Datumsangaben. Wechsle zu Datumsdifferenz, um die Zeit zwischen zwei beliebigen Daten zu messen. Tageszählungen schließen das Startdatum ein, das Enddatum jedoch nicht.",
+
+  "mode.label": "Rechenmodus",
+  "mode.age": "Alter",
+  "mode.difference": "Datumsdifferenz",
+  "mode.eligibility": "Berechtigung",
+  "mode.reverse": "Geburtsdatum aus Alter",
+  "mode.arithmetic": "Addieren & Subtrahieren",
+
+  "form.label": "Name oder Bezeichnung (optional)",
+  "form.labelPlaceholder": "z. B. Oma",
+  "form.calendar": "Kalender",
+  "form.calendarDate": "Gregorianisches Datum: {date}",
+  "form.startDate": "Startdatum",
+  "form.day": "Tag",
+  "form.month": "Monat",
+  "form.year": "Jahr",
+  "form.hour": "Stunde",
+  "form.minute": "Minute",
+  "form.dayPlaceholder": "TT",
+  "form.monthPlaceholder": "MM",
+  "form.yearPlaceholder": "JJJJ",
+  "form.hourPlaceholder": "HH",
+  "form.minutePlaceholder": "MIN",
+  "form.birthTime": "Geburtszeit (optional)",
+  "form.timeZones": "Zeitzonen",
+  "form.birthTimeZone": "Zeitzone der Geburt",
+  "form.currentTimeZone": "Aktuelle Zeitzone",
+  "form.asOfToggle": "Alter an einem bestimmten Datum berechnen",
+  "form.asOf": "Alter am",
+  "form.endDate": "Enddatum",
+  "form.knownOn": "Datum, an dem das Alter bekannt war",
+  "form.knownAge": "Bekanntes Alter",
+  "form.knownYears": "Jahre",
+  "form.knownMonths": "Monate (optional)",
+  "form.knownDays": "Tage (optional)",
+  "form.duration": "Dauer",
+  "form.direction": "Addieren oder subtrahieren",
+  "form.directionAdd": "Addieren",
+  "form.directionSubtract": "Subtrahieren",
+  "form.monthEnd": "Tag fehlt im Monat",
+  "form.monthEndAnniversary":
+    "Folgetag, wie beim Alter (31. Jan. + 1 Monat = 1. März)",
+  "form.monthEndClamp":
+    "Letzter Tag des Monats (31. Jan. + 1 Monat = 28. Feb.)",
+  "form.monthEndOverflow":
+    "Überzählige Tage übertragen (31. Jan. + 1 Monat = 3. März)",
+  "form.durationYears": "Jahre",
+  "form.durationMonths": "Monate",
+  "form.durationWeeks": "Wochen",
+  "form.durationDays": "Tage",
+  "form.inclusive": "Enddatum einschließen (1 Tag hinzufügen)",
+  "form.calculate": "Berechnen",
+  "form.calculateLabel": "Alter berechnen",
+  "form.clear": "Alles löschen",
+  "form.history": "Verlauf",
+  "form.people": "Personen",
+  "form.batch": "Stapel",
+  "form.dateText": "Datum eingeben oder einfügen (optional)",
+  "form.dateTextPlaceholder": "z. B. 1990-03-12 oder 12. März 1990",
+  "form.dateTextRead": "Gelesen als {date}",
+  "form.dateTextAmbiguous": "Mehrdeutiges Datum, gelesen als {date}",
+  "form.dateTextUse": "Stattdessen {date} verwenden",
+  "form.dateTextInvalid": "Aus diesem Text konnte kein Datum gelesen werden",
+
+  "calendar.gregory": "Gregorianisch",
+  "calendar.islamic-umalqura": "Hidschri (Umm al-Qura)",
+  "calendar.hebrew": "Hebräisch",
+  "calendar.persian": "Persisch",
+  "calendar.chinese": "Chinesisch",
+
+  "reckoning.east-asian": "Ostasiatisches Alter",
+  "reckoning.east-asianNote":
+    "Ab 1 bei der Geburt gezählt, mit einem Jahr mehr an jedem 1. Januar",
+  "reckoning.east-asian-lunar": "Ostasiatisches Alter (Mondneujahr)",
+  "reckoning.east-asian-lunarNote":
+    "Ab 1 bei der Geburt gezählt, mit einem Jahr mehr an jedem Mondneujahr",
+  "reckoning.korean-year": "Koreanisches Jahresalter",
+  "reckoning.korean-yearNote":
+    "Das aktuelle Jahr minus das Geburtsjahr, genutzt für einige koreanische gesetzliche Altersgrenzen",
+
+  "settings.title": "Einstellungen",
+  "settings.leapDay": "Geburtstage am 29. Februar",
+  "settings.leapDayFeb28": "Am 28. Februar in Gemeinjahren",
+  "settings.leapDayMar1": "Am 1. März in Gemeinjahren",
+  "settings.dateOrder": "Reihenfolge der Datumsfelder",
+  "settings.dateOrderAuto": "Automatisch (nach Sprache)",
+  "settings.dateOrderDMY": "Tag, Monat, Jahr",
+  "settings.dateOrderMDY": "Monat, Tag, Jahr",
+  "settings.dateOrderYMD": "Jahr, Monat, Tag",
+  "settings.ageReckoning": "Altersberechnung",
+  "settings.reckoningInternational": "International (vollendete Jahre)",
+  "settings.dayCount": "Konvention für das Dezimalalter",
+  "settings.decimalRounding": "Rundung des Dezimalalters",
+  "settings.roundingTruncate": "Abschneiden",
+  "settings.roundingRound": "Runden",
+  "settings.roundingNearest": "Alter zum nächstgelegenen Geburtstag",
+  "settings.minYear": "Frühestes Jahr",
+  "settings.yearsAhead": "Erlaubte Jahre in der Zukunft",
+  "settings.calendarReform": "Daten vor der Gregorianischen Reform",
+  "settings.reformProleptic": "Proleptisch gregorianisch",
+  "settings.reformJulian": "Julianisch bis zur Umstellung",
+  "settings.gregorianSwitch": "Umstellung auf den Gregorianischen Kalender",
+  "settings.switch1582": "15. Oktober 1582 (katholisches Europa)",
+  "settings.switch1700":
+    "1. März 1700 (protestantisches Deutschland, Dänemark, Norwegen)",
+  "settings.switch1752": "14. September 1752 (Großbritannien und Kolonien)",
+  "settings.switch1918": "14. Februar 1918 (Russland)",
+  "settings.switch1923": "1. März 1923 (Griechenland)",
+  "settings.remindMe": "Erinnern",
+  "settings.remindOnDay": "Am Tag selbst",
+  "settings.remindDaysBefore": {
+    one: "{count} Tag vorher",
+    other: "{count} Tage vorher",
+  },
+  "settings.remindWeekBefore": "1 Woche vorher",
+  "settings.reminders": "Geburtstagserinnerungen für gespeicherte Personen",
+  "settings.milestones": "Auch an jeden {days}. Lebenstag erinnern",
+  "settings.remindersUnsupported":
+    "Erinnerungen werden von diesem Browser nicht unterstützt",
+  "settings.remindersBlocked":
+    "Erlaube Benachrichtigungen für diese Seite, um Erinnerungen zu erhalten",
+
+  "error.dayRequired": "Tag ist erforderlich",
+  "error.dayRange": "Der Tag muss zwischen 1 und 31 liegen",
+  "error.daysInMonth": {
+    one: "{month} hat nur {count} Tag",
+    other: "{month} hat nur {count} Tage",
+  },
+  "error.monthRequired": "Monat ist erforderlich",
+  "error.monthRange": "Der Monat muss zwischen 1 und 12 liegen",
+  "error.calendarMonthRange": "Der Monat muss zwischen 1 und {max} liegen",
+  "error.yearRequired": "Jahr ist erforderlich",
+  "error.yearRange": "Das Jahr muss zwischen {min} und {max} liegen",
+  "error.skippedDay":
+    "Dieses Datum wurde bei der Umstellung auf den Gregorianischen Kalender am {date} übersprungen",
+  "error.hourRequired": "Bei Minuten ist die Stunde erforderlich",
+  "error.hourRange": "Die Stunde muss zwischen 0 und 23 liegen",
+  "error.minuteRange": "Die Minute muss zwischen 0 und 59 liegen",
+  "error.asOfBeforeBirth": "Das Geburtsdatum liegt nach diesem Datum",
+  "error.knownYearsRequired": "Jahre sind erforderlich",
+  "error.numberRange": "Gib eine ganze Zahl von 0 bis {max} ein",
+  "error.noBirthDate":
+    "Kein Geburtsdatum ergibt an diesem Datum genau dieses Alter",
+  "error.durationRequired": "Gib mindestens eine Menge ein",
+  "error.calculation": "Bei der Berechnung ist ein Fehler aufgetreten",
+
+  "unit.years": { one: "Jahr", other: "Jahre" },
+  "unit.months": { one: "Monat", other: "Monate" },
+  "unit.days": { one: "Tag", other: "Tage" },
+  "unit.hours": { one: "Stunde", other: "Stunden" },
+  "unit.minutes": { one: "Minute", other: "Minuten" },
+  "unit.seconds": { one: "Sekunde", other: "Sekunden" },
+  "count.years": { one: "{count} Jahr", other: "{count} Jahre" },
+  "count.months": { one: "{count} Monat", other: "{count} Monate" },
+  "count.weeks": { one: "{count} Woche", other: "{count} Wochen" },
+  "count.days": { one: "{count} Tag", other: "{count} Tage" },
+  "count.hours": { one: "{count} Stunde", other: "{count} Stunden" },
+  "count.seconds": { one: "{count} Sekunde", other: "{count} Sekunden" },
+  "count.yearsMonthsDays": "{years}, {months} und {days}",
+  "count.weeksAndDays": "{weeks} und {days}",
+
+  "results.title": "Dein Alter",
+  "results.close": "Ergebnisse schließen",
+  "results.ageOn": "Alter am {date}",
+  "results.difference": "Datumsdifferenz",
+  "results.timeUntil": "Zeit bis zum Datum",
+  "results.bornOn": "Geboren am {date}",
+  "results.futureDate": "Zukünftiges Datum: {date}",
+  "results.leapDayFeb28":
+    "Am 29. Februar geboren: In Gemeinjahren zählt der Geburtstag am 28. Februar",
+  "results.leapDayMar1":
+    "Am 29. Februar geboren: In Gemeinjahren zählt der Geburtstag am 1. März",
+  "results.calendarBorn": "{calendar}: geboren am {date}",
+  "results.calendarAge": "{calendar}: {age}, nächster Geburtstag am {date}",
+  "results.reckonedAge":
+    "{name}: {age} (internationales Alter {international})",
+  "results.decimalAge": "Dezimalalter: {age}",
+  "results.nearestBirthdayAge": "Alter zum nächstgelegenen Geburtstag: {age}",
+  "results.julianDate": "{date} (julianisch; {gregorian} gregorianisch)",
+  "results.zones": "Geboren in {birth}, gemessen in {current}",
+  "results.range": "Vom {start} bis {end}",
+  "results.inclusive": "{date} (einschließlich)",
+  "results.totalDays": "Das sind ungefähr {total} Tage insgesamt!",
+
+  "stats.title": "Weitere Statistiken",
+  "stats.weeks": "Alter in Wochen",
+  "stats.days": "Alter in Tagen",
+  "stats.hours": "Alter in Stunden",
+  "stats.minutes": "Alter in Minuten",
+  "stats.seconds": "Alter in Sekunden",
+  "stats.birthdays": "Gefeierte Geburtstage",
+  "stats.leapDays": "Erlebte Schalttage",
+  "stats.weekday": "Wochentag der Geburt",
+  "stats.zodiacSign": "Sternzeichen",
+  "stats.chineseZodiac": "Chinesisches Tierzeichen",
+  "stats.birthstone": "Monatsstein",
+  "stats.planetAge": "Alter auf {planet}",
+  "zodiac.aries": "Widder",
+  "zodiac.taurus": "Stier",
+  "zodiac.gemini": "Zwillinge",
+  "zodiac.cancer": "Krebs",
+  "zodiac.leo": "Löwe",
+  "zodiac.virgo": "Jungfrau",
+  "zodiac.libra": "Waage",
+  "zodiac.scorpio": "Skorpion",
+  "zodiac.sagittarius": "Schütze",
+  "zodiac.capricorn": "Steinbock",
+  "zodiac.aquarius": "Wassermann",
+  "zodiac.pisces": "Fische",
+  "chineseZodiac.rat": "Ratte",
+  "chineseZodiac.ox": "Büffel",
+  "chineseZodiac.tiger": "Tiger",
+  "chineseZodiac.rabbit": "Hase",
+  "chineseZodiac.dragon": "Drache",
+  "chineseZodiac.snake": "Schlange",
+  "chineseZodiac.horse": "Pferd",
+  "chineseZodiac.goat": "Ziege",
+  "chineseZodiac.monkey": "Affe",
+  "chineseZodiac.rooster": "Hahn",
+  "chineseZodiac.dog": "Hund",
+  "chineseZodiac.pig": "Schwein",
+  "birthstone.garnet": "Granat",
+  "birthstone.amethyst": "Amethyst",
+  "birthstone.aquamarine": "Aquamarin",
+  "birthstone.diamond": "Diamant",
+  "birthstone.emerald": "Smaragd",
+  "birthstone.pearl": "Perle",
+  "birthstone.ruby": "Rubin",
+  "birthstone.peridot": "Peridot",
+  "birthstone.sapphire": "Saphir",
+  "birthstone.opal": "Opal",
+  "birthstone.topaz": "Topas",
+  "birthstone.turquoise": "Türkis",
+  "planet.mercury": "Merkur",
+  "planet.venus": "Venus",
+  "planet.mars": "Mars",
+  "planet.jupiter": "Jupiter",
+  "planet.saturn": "Saturn",
+  "planet.uranus": "Uranus",
+  "planet.neptune": "Neptun",
+
+  "milestones.title": "Meilensteine",
+  "milestones.halfBirthday": "Halber Geburtstag ({age}½)",
+  "milestones.palindrome": "Palindrom-Datum ({digits})",
+  "milestones.today": "Heute! 🎉",
+  "milestones.in": { one: "In {count} Tag", other: "In {count} Tagen" },
+  "milestones.ago": { one: "Vor {count} Tag", other: "Vor {count} Tagen" },
+
+  "export.download": "Kalender herunterladen (.ics)",
+  "export.includeMilestones": "Kommende Meilensteine einschließen",
+  "export.calendarName": "Geburtstage",
+  "export.birthday": "Geburtstag",
+  "export.named": "{name}: {event}",
+
+  "share.share": "Link teilen",
+  "share.copyLink": "Link kopieren",
+  "share.copied": "Link kopiert",
+
+  "card.layout": "Bildformat",
+  "card.square": "Quadrat",
+  "card.story": "Story",
+  "card.banner": "Banner",
+  "card.export": "Bild exportieren",
+
+  "history.title": "Verlauf",
+  "history.close": "Verlauf schließen",
+  "history.search": "Nach Bezeichnung, Datum oder Modus suchen",
+  "history.searchLabel": "Verlauf durchsuchen",
+  "history.empty": "Noch keine gespeicherten Berechnungen",
+  "history.defaultAge": "Alter",
+  "history.defaultDifference": "Datumsdifferenz",
+  "history.defaultEligibility": "Berechtigungsprüfung",
+  "history.defaultReverse": "Geburtsdatum aus Alter",
+  "history.defaultArithmetic": "Datumsrechnung",
+  "history.modeAge": "Alter",
+  "history.modeDifference": "Differenz",
+  "history.modeEligibility": "Berechtigung",
+  "history.modeReverse": "Umgekehrt",
+  "history.modeArithmetic": "Addieren & Subtrahieren",
+  "history.rerun": "Erneut berechnen",
+  "history.pin": "Anheften",
+  "history.unpin": "Lösen",
+  "history.delete": "Löschen",
+
+  "people.title": "Kommende Geburtstage",
+  "people.close": "Kommende Geburtstage schließen",
+  "people.name": "Name",
+  "people.birthDate": "Geburtsdatum",
+  "people.add": "Hinzufügen",
+  "people.empty":
+    "Noch keine Personen gespeichert. Füge oben jemanden hinzu, um den nächsten Geburtstag zu sehen.",
+  "people.nameRequired": "Name ist erforderlich",
+  "people.invalidDate": "Gib ein gültiges Geburtsdatum ein",
+  "people.saveFailed": "Diese Person konnte nicht gespeichert werden",
+  "people.notBorn": "Noch nicht geboren",
+  "people.turnsToday": "Wird heute {age}! 🎉",
+  "people.turnsTomorrow": "Wird morgen {age}",
+  "people.turnsIn": {
+    one: "Wird in {count} Tag {age}",
+    other: "Wird in {count} Tagen {age}",
+  },
+  "people.due": "Erwartet am {date}",
+  "people.age": "Alter {age}",
+  "people.born": "Geboren am {date}",
+  "people.next": "Nächster: {date}",
+  "people.delete": "Löschen",
+  "people.deleteLabel": "{name} löschen",
+
+  "batch.title": "Alter im Stapel",
+  "batch.close": "Stapelberechnung schließen",
+  "batch.hint":
+    "Eine Person pro Zeile: Name, Geburtsdatum und optional das Datum, zu dem das Alter berechnet wird. Zeilen aus einer Tabelle einfügen oder eine CSV-Datei laden.",
+  "batch.placeholder": "Ada Lovelace, 1815-12-10",
+  "batch.input": "Zu berechnende Zeilen",
+  "batch.loadFile": "CSV-Datei laden",
+  "batch.calculate": "Alter berechnen",
+  "batch.search": "Nach Name oder Datum filtern",
+  "batch.searchLabel": "Zeilen filtern",
+  "batch.show": "Angezeigte Zeilen",
+  "batch.showAll": "Alle Zeilen",
+  "batch.showValid": "Berechnet",
+  "batch.showInvalid": "Mit Fehlern",
+  "batch.row": "Zeile",
+  "batch.name": "Name",
+  "batch.birthDate": "Geburtsdatum",
+  "batch.asOf": "Alter am",
+  "batch.age": "Alter",
+  "batch.totalDays": "Tage insgesamt",
+  "batch.years": "Jahre",
+  "batch.months": "Monate",
+  "batch.days": "Tage",
+  "batch.error": "Fehler",
+  "batch.noMatches": "Keine Zeile passt zum Filter",
+  "batch.export": "Als CSV exportieren",
+  "batch.summary": "{read}, {invalid}",
+  "batch.rowsRead": {
+    one: "{count} Zeile gelesen",
+    other: "{count} Zeilen gelesen",
+  },
+  "batch.rowsInvalid": {
+    one: "{count} mit Fehler",
+    other: "{count} mit Fehlern",
+  },
+  "batch.birthError": "Geburtsdatum: {error}",
+  "batch.asOfError": "Stichtag: {error}",
+  "batch.notBorn": "Nach dem Stichtag geboren",
+  "batch.dateRequired": "Geburtsdatum ist erforderlich",
+  "batch.today": "Heute",
+
+  "rule.title": "Altersregel",
+  "rule.preset": "Vorlage",
+  "rule.name": "Name der Regel",
+  "rule.type": "Regel",
+  "rule.typeOnDate": "Alter am Stichtag",
+  "rule.typeTurnsBefore": "Erreicht das Mindestalter vor dem Stichtag",
+  "rule.cutoff": "Stichtag",
+  "rule.cutoffToday": "Heute",
+  "rule.cutoffYearly": "Jedes Jahr am",
+  "rule.cutoffDate": "An einem Datum",
+  "rule.minAge": "Mindestalter",
+  "rule.maxAge": "Höchstalter",
+  "rule.date": "Datum",
+  "rule.save": "Vorlage speichern",
+  "rule.saveNew": "Als neue Vorlage speichern",
+  "rule.delete": "Vorlage löschen",
+  "rule.saved": "Vorlage gespeichert",
+  "rule.untitled": "Eigene Regel",
+  "rule.errorAgeRange": "Altersangaben müssen ganze Zahlen von 0 bis 150 sein",
+  "rule.errorMinRequired": "Mindestalter eingeben",
+  "rule.errorAge": "Mindest- oder Höchstalter eingeben",
+  "rule.errorMaxBelowMin":
+    "Das Höchstalter darf nicht unter dem Mindestalter liegen",
+  "rule.errorCutoff": "Gültigen Stichtag eingeben",
+  "rule.describeTurns": "{name}: wird {min} vor dem {date}",
+  "rule.describeRange": "{name}: {min} bis {max} am {date}",
+  "rule.describeMin": "{name}: mindestens {min} am {date}",
+  "rule.describeMax": "{name}: höchstens {max} am {date}",
+  "rule.presetSchool": "Einschulung (5 vor dem 1. September)",
+  "rule.presetDriving": "Führerscheinalter (17)",
+  "rule.presetVoting": "Wahlalter (18)",
+  "rule.presetMinor": "Minderjährig (unter 18)",
+  "rule.presetRetirement": "Rentenalter (67)",
+
+  "eligibility.eligible": "Berechtigt",
+  "eligibility.notEligible": "Nicht berechtigt",
+  "eligibility.tooYoung": "{gap} zu jung",
+  "eligibility.tooOld": "{gap} zu alt",
+  "eligibility.aboveMin": "Mindestalter um {gap} überschritten",
+  "eligibility.belowMax": "Noch {gap} unter dem Höchstalter",
+  "eligibility.justEligible": "Gerade alt genug",
+  "eligibility.windowRange": "Berechtigt vom {from} bis {until}",
+  "eligibility.windowFrom": "Berechtigt ab {from}",
+  "eligibility.windowUntil": "Berechtigt bis {until}",
+  "eligibility.never": "Nach dieser Regel nie berechtigt",
+
+  "reverse.title": "Mögliche Geburtsdaten",
+  "reverse.exactTitle": "Geburtsdatum",
+  "reverse.bornOn": "Geboren am {date}",
+  "reverse.bornBetween": "Geboren zwischen {from} und {until}",
+  "reverse.count": {
+    one: "Das einzige Geburtsdatum mit diesem Alter am {date}",
+    other: "{count} mögliche Geburtsdaten mit diesem Alter am {date}",
+  },
+
+  "arithmetic.title": "Ergebnisdatum",
+  "arithmetic.after": "{duration} nach dem {date}",
+  "arithmetic.before": "{duration} vor dem {date}",
+  "arithmetic.use": "Dieses Datum ins Formular übernehmen",
+
+  "reminders.birthdayToday": "{name} wird heute {age}",
+  "reminders.birthdayTomorrow": "{name} wird morgen {age}",
+  "reminders.birthdayIn": {
+    one: "{name} wird in {count} Tag {age}",
+    other: "{name} wird in {count} Tagen {age}",
+  },
+  "reminders.milestoneToday": "{name} ist heute {days} Tage alt",
+  "reminders.milestoneTomorrow": "{name} wird morgen {days} Tage alt",
+  "reminders.milestoneIn": {
+    one: "{name} wird in {count} Tag {days} Tage alt",
+    other: "{name} wird in {count} Tagen {days} Tage alt",
+  },
+  "reminders.openToday": "Öffne die App, um das genaue Alter zu sehen",
+
+  "pwa.title": "Altersrechner installieren?",
+  "pwa.text": "Schnell und offline auf deinem Gerät nutzen.",
+  "pwa.install": "Installieren",
+  "pwa.dismiss": "Schließen",
+});
@@ -0,0 +1,434 @@
+/**
+ * English messages, also the fallback for keys missing elsewhere
+ */
+
+I18n.addCatalog("en", {
+  "app.documentTitle": "Age Calculator App",
+  "app.description":
+    "Calculate your exact age in years, months, and days with our modern Age Calculator App",
+  "app.title": "Age Calculator",
+  "app.language": "Language",
+  "app.themeToggle": "Toggle dark mode",
+  "app.info": "How it works",
+  "app.infoText":
+    "Enter your birth date to calculate your exact age in years, months, and days. The app handles leap years and all date validations. Switch to Date Difference to measure the time between any two dates. Day counts include the start date but not the end date.",
+
+  "mode.label": "Calculator mode",
+  "mode.age": "Age",
+  "mode.difference": "Date Difference",
+  "mode.eligibility": "Eligibility",
+  "mode.reverse": "Birth Date from Age",
+  "mode.arithmetic": "Add & Subtract",
+
+  "form.label": "Name or label (optional)",
+  "form.labelPlaceholder": "e.g. Grandma",
+  "form.calendar": "Calendar",
+  "form.calendarDate": "Gregorian date: {date}",
+  "form.startDate": "Start date",
+  "form.day": "Day",
+  "form.month": "Month",
+  "form.year": "Year",
+  "form.hour": "Hour",
+  "form.minute": "Minute",
+  "form.dayPlaceholder": "DD",
+  "form.monthPlaceholder": "MM",
+  "form.yearPlaceholder": "YYYY",
+  "form.hourPlaceholder": "HH",
+  "form.minutePlaceholder": "MIN",
+  "form.birthTime": "Time of birth (optional)",
+  "form.timeZones": "Time zones",
+  "form.birthTimeZone": "Birth time zone",
+  "form.currentTimeZone": "Current time zone",
+  "form.asOfToggle": "Calculate age on a specific date",
+  "form.asOf": "Age as of",
+  "form.endDate": "End date",
+  "form.knownOn": "Date the age was known on",
+  "form.knownAge": "Known age",
+  "form.knownYears": "Years",
+  "form.knownMonths": "Months (optional)",
+  "form.knownDays": "Days (optional)",
+  "form.duration": "Duration",
+  "form.direction": "Add or subtract",
+  "form.directionAdd": "Add",
+  "form.directionSubtract": "Subtract",
+  "form.monthEnd": "Day missing from the month",
+  "form.monthEndAnniversary":
+    "Next day, as ages count (31 Jan + 1 month = 1 Mar)",
+  "form.monthEndClamp": "Last day of the month (31 Jan + 1 month = 28 Feb)",
+  "form.monthEndOverflow":
+    "Carry the extra days over (31 Jan + 1 month = 3 Mar)",
+  "form.durationYears": "Years",
+  "form.durationMonths": "Months",
+  "form.durationWeeks": "Weeks",
+  "form.durationDays": "Days",
+  "form.inclusive": "Include the end date (add 1 day)",
+  "form.calculate": "Calculate",
+  "form.calculateLabel": "Calculate age",
+  "form.clear": "Clear All",
+  "form.history": "History",
+  "form.people": "People",
+  "form.batch": "Batch",
+  "form.dateText": "Type or paste a date (optional)",
+  "form.dateTextPlaceholder": "e.g. 1990-03-12 or 12 March 1990",
+  "form.dateTextRead": "Read as {date}",
+  "form.dateTextAmbiguous": "Ambiguous date, read as {date}",
+  "form.dateTextUse": "Use {date} instead",
+  "form.dateTextInvalid": "Could not read a date from this text",
+
+  "calendar.gregory": "Gregorian",
+  "calendar.islamic-umalqura": "Hijri (Umm al-Qura)",
+  "calendar.hebrew": "Hebrew",
+  "calendar.persian": "Persian",
+  "calendar.chinese": "Chinese",
+
+  "reckoning.east-asian": "East Asian age",
+  "reckoning.east-asianNote":
+    "Counted from 1 at birth, adding a year every 1 January",
+  "reckoning.east-asian-lunar": "East Asian age (Lunar New Year)",
+  "reckoning.east-asian-lunarNote":
+    "Counted from 1 at birth, adding a year at every Lunar New Year",
+  "reckoning.korean-year": "Korean year age",
+  "reckoning.korean-yearNote":
+    "The current year minus the birth year, used for some Korean legal age limits",
+
+  "settings.title": "Settings",
+  "settings.leapDay": "29 February birthdays",
+  "settings.leapDayFeb28": "On 28 February in common years",
+  "settings.leapDayMar1": "On 1 March in common years",
+  "settings.dateOrder": "Date field order",
+  "settings.dateOrderAuto": "Automatic (from language)",
+  "settings.dateOrderDMY": "Day, month, year",
+  "settings.dateOrderMDY": "Month, day, year",
+  "settings.dateOrderYMD": "Year, month, day",
+  "settings.ageReckoning": "Age reckoning",
+  "settings.reckoningInternational": "International (completed years)",
+  "settings.dayCount": "Decimal age convention",
+  "settings.decimalRounding": "Decimal age rounding",
+  "settings.roundingTruncate": "Truncate",
+  "settings.roundingRound": "Round",
+  "settings.roundingNearest": "Age at nearest birthday",
+  "settings.minYear": "Earliest year",
+  "settings.yearsAhead": "Years ahead allowed",
+  "settings.calendarReform": "Dates before the Gregorian reform",
+  "settings.reformProleptic": "Proleptic Gregorian",
+  "settings.reformJulian": "Julian until the switch",
+  "settings.gregorianSwitch": "Switch to the Gregorian calendar",
+  "settings.switch1582": "15 October 1582 (Catholic Europe)",
+  "settings.switch1700": "1 March 1700 (Protestant Germany, Denmark, Norway)",
+  "settings.switch1752": "14 September 1752 (Great Britain and colonies)",
+  "settings.switch1918": "14 February 1918 (Russia)",
+  "settings.switch1923": "1 March 1923 (Greece)",
+  "settings.remindMe": "Remind me",
+  "settings.remindOnDay": "On the day",
+  "settings.remindDaysBefore": {
+    one: "{count} day before",
+    other: "{count} days before",
+  },
+  "settings.remindWeekBefore": "1 week before",
+  "settings.reminders": "Birthday reminders for saved people",
+  "settings.milestones": "Also remind me of every {days} days alive",
+  "settings.remindersUnsupported":
+    "Reminders are not supported in this browser",
+  "settings.remindersBlocked":
+    "Allow notifications for this site to get reminders",
+
+  "error.dayRequired": "Day is required",
+  "error.dayRange": "Day must be between 1 and 31",
+  "error.daysInMonth": {
+    one: "{month} has only {count} day",
+    other: "{month} has only {count} days",
+  },
+  "error.monthRequired": "Month is required",
+  "error.monthRange": "Month must be between 1 and 12",
+  "error.calendarMonthRange": "Month must be between 1 and {max}",
+  "error.yearRequired": "Year is required",
+  "error.yearRange": "Year must be between {min} and {max}",
+  "error.skippedDay":
+    "This date was skipped when the Gregorian calendar started on {date}",
+  "error.hourRequired": "Hour is required with minutes",
+  "error.hourRange": "Hour must be between 0 and 23",
+  "error.minuteRange": "Minute must be between 0 and 59",
+  "error.asOfBeforeBirth": "The birth date is after this date",
+  "error.knownYearsRequired": "Years are required",
+  "error.numberRange": "Enter a whole number from 0 to {max}",
+  "error.noBirthDate": "No birth date gives exactly this age on that date",
+  "error.durationRequired": "Enter at least one amount",
+  "error.calculation": "An error occurred during calculation",
+
+  "unit.years": { one: "year", other: "years" },
+  "unit.months": { one: "month", other: "months" },
+  "unit.days": { one: "day", other: "days" },
+  "unit.hours": { one: "hour", other: "hours" },
+  "unit.minutes": { one: "minute", other: "minutes" },
+  "unit.seconds": { one: "second", other: "seconds" },
+  "count.years": { one: "{count} year", other: "{count} years" },
+  "count.months": { one: "{count} month", other: "{count} months" },
+  "count.weeks": { one: "{count} week", other: "{count} weeks" },
+  "count.days": { one: "{count} day", other: "{count} days" },
+  "count.hours": { one: "{count} hour", other: "{count} hours" },
+  "count.seconds": { one: "{count} second", other: "{count} seconds" },
+  "count.yearsMonthsDays": "{years}, {months}, {days}",
+  "count.weeksAndDays": "{weeks} and {days}",
+
+  "results.title": "Your Age",
+  "results.close": "Close results",
+  "results.ageOn": "Age on {date}",
+  "results.difference": "Date Difference",
+  "results.timeUntil": "Time Until Date",
+  "results.bornOn": "Born on {date}",
+  "results.futureDate": "Future date: {date}",
+  "results.leapDayFeb28":
+    "Born on 29 February: birthdays in common years are counted on 28 February",
+  "results.leapDayMar1":
+    "Born on 29 February: birthdays in common years are counted on 1 March",
+  "results.calendarBorn": "{calendar}: born on {date}",
+  "results.calendarAge": "{calendar}: {age}, next birthday on {date}",
+  "results.reckonedAge": "{name}: {age} (international age {international})",
+  "results.decimalAge": "Decimal age: {age}",
+  "results.nearestBirthdayAge": "Age at nearest birthday: {age}",
+  "results.julianDate": "{date} (Julian; {gregorian} Gregorian)",
+  "results.zones": "Born in {birth}, measured in {current}",
+  "results.range": "From {start} to {end}",
+  "results.inclusive": "{date} (inclusive)",
+  "results.totalDays": "That's approximately {total} days total!",
+
+  "stats.title": "More statistics",
+  "stats.weeks": "Age in weeks",
+  "stats.days": "Age in days",
+  "stats.hours": "Age in hours",
+  "stats.minutes": "Age in minutes",
+  "stats.seconds": "Age in seconds",
+  "stats.birthdays": "Birthdays celebrated",
+  "stats.leapDays": "Leap days lived through",
+  "stats.weekday": "Day of the week of birth",
+  "stats.zodiacSign": "Zodiac sign",
+  "stats.chineseZodiac": "Chinese zodiac",
+  "stats.birthstone": "Birthstone",
+  "stats.planetAge": "Age on {planet}",
+  "zodiac.aries": "Aries",
+  "zodiac.taurus": "Taurus",
+  "zodiac.gemini": "Gemini",
+  "zodiac.cancer": "Cancer",
+  "zodiac.leo": "Leo",
+  "zodiac.virgo": "Virgo",
+  "zodiac.libra": "Libra",
+  "zodiac.scorpio": "Scorpio",
+  "zodiac.sagittarius": "Sagittarius",
+  "zodiac.capricorn": "Capricorn",
+  "zodiac.aquarius": "Aquarius",
+  "zodiac.pisces": "Pisces",
+  "chineseZodiac.rat": "Rat",
+  "chineseZodiac.ox": "Ox",
+  "chineseZodiac.tiger": "Tiger",
+  "chineseZodiac.rabbit": "Rabbit",
+  "chineseZodiac.dragon": "Dragon",
+  "chineseZodiac.snake": "Snake",
+  "chineseZodiac.horse": "Horse",
+  "chineseZodiac.goat": "Goat",
+  "chineseZodiac.monkey": "Monkey",
+  "chineseZodiac.rooster": "Rooster",
+  "chineseZodiac.dog": "Dog",
+  "chineseZodiac.pig": "Pig",
+  "birthstone.garnet": "Garnet",
+  "birthstone.amethyst": "Amethyst",
+  "birthstone.aquamarine": "Aquamarine",
+  "birthstone.diamond": "Diamond",
+  "birthstone.emerald": "Emerald",
+  "birthstone.pearl": "Pearl",
+  "birthstone.ruby": "Ruby",
+  "birthstone.peridot": "Peridot",
+  "birthstone.sapphire": "Sapphire",
+  "birthstone.opal": "Opal",
+  "birthstone.topaz": "Topaz",
+  "birthstone.turquoise": "Turquoise",
+  "planet.mercury": "Mercury",
+  "planet.venus": "Venus",
+  "planet.mars": "Mars",
+  "planet.jupiter": "Jupiter",
+  "planet.saturn": "Saturn",
+  "planet.uranus": "Uranus",
+  "planet.neptune": "Neptune",
+
+  "milestones.title": "Milestones",
+  "milestones.halfBirthday": "Half-birthday ({age}½)",
+  "milestones.palindrome": "Palindrome date ({digits})",
+  "milestones.today": "Today! 🎉",
+  "milestones.in": { one: "In {count} day", other: "In {count} days" },
+  "milestones.ago": { one: "{count} day ago", other: "{count} days ago" },
+
+  "export.download": "Download calendar (.ics)",
+  "export.includeMilestones": "Include upcoming milestones",
+  "export.calendarName": "Birthdays",
+  "export.birthday": "Birthday",
+  "export.named": "{name}: {event}",
+
+  "share.share": "Share link",
+  "share.copyLink": "Copy link",
+  "share.copied": "Link copied",
+
+  "card.layout": "Image layout",
+  "card.square": "Square",
+  "card.story": "Story",
+  "card.banner": "Banner",
+  "card.export": "Export image",
+
+  "history.title": "History",
+  "history.close": "Close history",
+  "history.search": "Search by label, date or mode",
+  "history.searchLabel": "Search history",
+  "history.empty": "No saved calculations yet",
+  "history.defaultAge": "Age",
+  "history.defaultDifference": "Date difference",
+  "history.defaultEligibility": "Eligibility check",
+  "history.defaultReverse": "Birth date from age",
+  "history.defaultArithmetic": "Date arithmetic",
+  "history.modeAge": "Age",
+  "history.modeDifference": "Difference",
+  "history.modeEligibility": "Eligibility",
+  "history.modeReverse": "Reverse",
+  "history.modeArithmetic": "Add & subtract",
+  "history.rerun": "Re-run",
+  "history.pin": "Pin",
+  "history.unpin": "Unpin",
+  "history.delete": "Delete",
+
+  "people.title": "Upcoming Birthdays",
+  "people.close": "Close upcoming birthdays",
+  "people.name": "Name",
+  "people.birthDate": "Birth date",
+  "people.add": "Add",
+  "people.empty":
+    "No saved people yet. Add someone above to see their next birthday.",
+  "people.nameRequired": "Name is required",
+  "people.invalidDate": "Enter a valid birth date",
+  "people.saveFailed": "Could not save this person",
+  "people.notBorn": "Not born yet",
+  "people.turnsToday": "Turns {age} today! 🎉",
+  "people.turnsTomorrow": "Turns {age} tomorrow",
+  "people.turnsIn": {
+    one: "Turns {age} in {count} day",
+    other: "Turns {age} in {count} days",
+  },
+  "people.due": "Due {date}",
+  "people.age": "Age {age}",
+  "people.born": "Born {date}",
+  "people.next": "Next {date}",
+  "people.delete": "Delete",
+  "people.deleteLabel": "Delete {name}",
+
+  "batch.title": "Batch Ages",
+  "batch.close": "Close batch ages",
+  "batch.hint":
+    'One person per row: name, birth date and an optional "as of" date. Paste rows from a spreadsheet or load a CSV file.',
+  "batch.placeholder": "Ada Lovelace, 1815-12-10",
+  "batch.input": "Rows to calculate",
+  "batch.loadFile": "Load CSV file",
+  "batch.calculate": "Calculate ages",
+  "batch.search": "Filter by name or date",
+  "batch.searchLabel": "Filter rows",
+  "batch.show": "Rows to show",
+  "batch.showAll": "All rows",
+  "batch.showValid": "Calculated",
+  "batch.showInvalid": "With errors",
+  "batch.row": "Row",
+  "batch.name": "Name",
+  "batch.birthDate": "Birth date",
+  "batch.asOf": "As of",
+  "batch.age": "Age",
+  "batch.totalDays": "Total days",
+  "batch.years": "Years",
+  "batch.months": "Months",
+  "batch.days": "Days",
+  "batch.error": "Error",
+  "batch.noMatches": "No rows match the filter",
+  "batch.export": "Export CSV",
+  "batch.summary": "{read}, {invalid}",
+  "batch.rowsRead": { one: "{count} row read", other: "{count} rows read" },
+  "batch.rowsInvalid": {
+    one: "{count} with an error",
+    other: "{count} with errors",
+  },
+  "batch.birthError": "Birth date: {error}",
+  "batch.asOfError": "As of date: {error}",
+  "batch.notBorn": "Born after the as of date",
+  "batch.dateRequired": "Birth date is required",
+  "batch.today": "Today",
+
+  "rule.title": "Eligibility rule",
+  "rule.preset": "Preset",
+  "rule.name": "Rule name",
+  "rule.type": "Rule",
+  "rule.typeOnDate": "Age on the cutoff date",
+  "rule.typeTurnsBefore": "Turns the minimum age before the cutoff date",
+  "rule.cutoff": "Cutoff date",
+  "rule.cutoffToday": "Today",
+  "rule.cutoffYearly": "Every year on",
+  "rule.cutoffDate": "On a date",
+  "rule.minAge": "Minimum age",
+  "rule.maxAge": "Maximum age",
+  "rule.date": "Date",
+  "rule.save": "Save preset",
+  "rule.saveNew": "Save as new preset",
+  "rule.delete": "Delete preset",
+  "rule.saved": "Preset saved",
+  "rule.untitled": "Custom rule",
+  "rule.errorAgeRange": "Ages must be whole numbers from 0 to 150",
+  "rule.errorMinRequired": "Enter the minimum age",
+  "rule.errorAge": "Enter a minimum or a maximum age",
+  "rule.errorMaxBelowMin": "The maximum age cannot be below the minimum age",
+  "rule.errorCutoff": "Enter a valid cutoff date",
+  "rule.describeTurns": "{name}: turns {min} before {date}",
+  "rule.describeRange": "{name}: {min} to {max} on {date}",
+  "rule.describeMin": "{name}: at least {min} on {date}",
+  "rule.describeMax": "{name}: at most {max} on {date}",
+  "rule.presetSchool": "School entry (5 before 1 September)",
+  "rule.presetDriving": "Driving age (17)",
+  "rule.presetVoting": "Voting age (18)",
+  "rule.presetMinor": "Minor (under 18)",
+  "rule.presetRetirement": "Retirement age (67)",
+
+  "eligibility.eligible": "Eligible",
+  "eligibility.notEligible": "Not eligible",
+  "eligibility.tooYoung": "{gap} too young",
+  "eligibility.tooOld": "{gap} too old",
+  "eligibility.aboveMin": "Old enough by {gap}",
+  "eligibility.belowMax": "{gap} left under the maximum age",
+  "eligibility.justEligible": "Just old enough",
+  "eligibility.windowRange": "Eligible from {from} to {until}",
+  "eligibility.windowFrom": "Eligible from {from}",
+  "eligibility.windowUntil": "Eligible until {until}",
+  "eligibility.never": "Never eligible under this rule",
+
+  "reverse.title": "Possible Birth Dates",
+  "reverse.exactTitle": "Birth Date",
+  "reverse.bornOn": "Born on {date}",
+  "reverse.bornBetween": "Born between {from} and {until}",
+  "reverse.count": {
+    one: "The only birth date with this age on {date}",
+    other: "{count} possible birth dates with this age on {date}",
+  },
+
+  "arithmetic.title": "Resulting Date",
+  "arithmetic.after": "{duration} after {date}",
+  "arithmetic.before": "{duration} before {date}",
+  "arithmetic.use": "Use this date in the form",
+
+  "reminders.birthdayToday": "{name} turns {age} today",
+  "reminders.birthdayTomorrow": "{name} turns {age} tomorrow",
+  "reminders.birthdayIn": {
+    one: "{name} turns {age} in {count} day",
+    other: "{name} turns {age} in {count} days",
+  },
+  "reminders.milestoneToday": "{name} is {days} days old today",
+  "reminders.milestoneTomorrow": "{name} will be {days} days old tomorrow",
+  "reminders.milestoneIn": {
+    one: "{name} will be {days} days old in {count} day",
+    other: "{name} will be {days} days old in {count} days",
+  },
+  "reminders.openToday": "Open to see the full age",
+
+  "pwa.title": "Install Age Calculator?",
+  "pwa.text": "Get a fast, offline experience on your device.",
+  "pwa.install": "Install",
+  "pwa.dismiss": "Dismiss",
+});
@@ -0,0 +1,442 @@
+/**
+ * Spanish messages
+ */
+
+I18n.addCatalog("es", {
+  "app.documentTitle": "Calculadora de edad",
+  "app.description":
+    "Calcula tu edad exacta en años, meses y días con nuestra moderna calculadora de edad",
+  "app.title": "Calculadora de edad",
+  "app.language": "Idioma",
+  "app.themeToggle": "Cambiar modo oscuro",
+  "app.info": "Cómo funciona",
+  "app.infoText":
+    "Introduce tu fecha de nacimiento para calcular tu edad exacta en años, meses y días. La aplicación tiene en cuenta los años bisiestos y valida todas las fechas. Cambia a Diferencia de fechas para medir el tiempo entre dos fechas cualesquiera. Los recuentos de días incluyen la fecha de inicio pero no la de fin.",
+
+  "mode.label": "Modo de cálculo",
+  "mode.age": "Edad",
+  "mode.difference": "Diferencia de fechas",
+  "mode.eligibility": "Requisitos",
+  "mode.reverse": "Fecha de nacimiento por edad",
+  "mode.arithmetic": "Sumar y restar",
+
+  "form.label": "Nombre o etiqueta (opcional)",
+  "form.labelPlaceholder": "p. ej. Abuela",
+  "form.calendar": "Calendario",
+  "form.calendarDate": "Fecha gregoriana: {date}",
+  "form.startDate": "Fecha de inicio",
+  "form.day": "Día",
+  "form.month": "Mes",
+  "form.year": "Año",
+  "form.hour": "Hora",
+  "form.minute": "Minuto",
+  "form.dayPlaceholder": "DD",
+  "form.monthPlaceholder": "MM",
+  "form.yearPlaceholder": "AAAA",
+  "form.hourPlaceholder": "HH",
+  "form.minutePlaceholder": "MIN",
+  "form.birthTime": "Hora de nacimiento (opcional)",
+  "form.timeZones": "Zonas horarias",
+  "form.birthTimeZone": "Zona horaria de nacimiento",
+  "form.currentTimeZone": "Zona horaria actual",
+  "form.asOfToggle": "Calcular la edad en una fecha concreta",
+  "form.asOf": "Edad a fecha de",
+  "form.endDate": "Fecha de fin",
+  "form.knownOn": "Fecha en que se conocía la edad",
+  "form.knownAge": "Edad conocida",
+  "form.knownYears": "Años",
+  "form.knownMonths": "Meses (opcional)",
+  "form.knownDays": "Días (opcional)",
+  "form.duration": "Duración",
+  "form.direction": "Sumar o restar",
+  "form.directionAdd": "Sumar",
+  "form.directionSubtract": "Restar",
+  "form.monthEnd": "Día que falta en el mes",
+  "form.monthEndAnniversary":
+    "Día siguiente, como cuentan las edades (31 ene + 1 mes = 1 mar)",
+  "form.monthEndClamp": "Último día del mes (31 ene + 1 mes = 28 feb)",
+  "form.monthEndOverflow":
+    "Trasladar los días sobrantes (31 ene + 1 mes = 3 mar)",
+  "form.durationYears": "Años",
+  "form.durationMonths": "Meses",
+  "form.durationWeeks": "Semanas",
+  "form.durationDays": "Días",
+  "form.inclusive": "Incluir la fecha de fin (sumar 1 día)",
+  "form.calculate": "Calcular",
+  "form.calculateLabel": "Calcular edad",
+  "form.clear": "Borrar todo",
+  "form.history": "Historial",
+  "form.people": "Personas",
+  "form.batch": "Lote",
+  "form.dateText": "Escribe o pega una fecha (opcional)",
+  "form.dateTextPlaceholder": "p. ej. 1990-03-12 o 12 de marzo de 1990",
+  "form.dateTextRead": "Leída como {date}",
+  "form.dateTextAmbiguous": "Fecha ambigua, leída como {date}",
+  "form.dateTextUse": "Usar {date}",
+  "form.dateTextInvalid": "No se pudo leer una fecha en este texto",
+
+  "calendar.gregory": "Gregoriano",
+  "calendar.islamic-umalqura": "Hégira (Umm al-Qura)",
+  "calendar.hebrew": "Hebreo",
+  "calendar.persian": "Persa",
+  "calendar.chinese": "Chino",
+
+  "reckoning.east-asian": "Edad de Asia oriental",
+  "reckoning.east-asianNote":
+    "Se cuenta desde 1 al nacer y se suma un año cada 1 de enero",
+  "reckoning.east-asian-lunar": "Edad de Asia oriental (Año Nuevo lunar)",
+  "reckoning.east-asian-lunarNote":
+    "Se cuenta desde 1 al nacer y se suma un año en cada Año Nuevo lunar",
+  "reckoning.korean-year": "Edad por años coreana",
+  "reckoning.korean-yearNote":
+    "El año actual menos el año de nacimiento, usada en algunos límites legales de edad en Corea",
+
+  "settings.title": "Ajustes",
+  "settings.leapDay": "Cumpleaños del 29 de febrero",
+  "settings.leapDayFeb28": "El 28 de febrero en años no bisiestos",
+  "settings.leapDayMar1": "El 1 de marzo en años no bisiestos",
+  "settings.dateOrder": "Orden de los campos de fecha",
+  "settings.dateOrderAuto": "Automático (según el idioma)",
+  "settings.dateOrderDMY": "Día, mes, año",
+  "settings.dateOrderMDY": "Mes, día, año",
+  "settings.dateOrderYMD": "Año, mes, día",
+  "settings.ageReckoning": "Cómputo de la edad",
+  "settings.reckoningInternational": "Internacional (años cumplidos)",
+  "settings.dayCount": "Convención de la edad decimal",
+  "settings.decimalRounding": "Redondeo de la edad decimal",
+  "settings.roundingTruncate": "Truncar",
+  "settings.roundingRound": "Redondear",
+  "settings.roundingNearest": "Edad al cumpleaños más cercano",
+  "settings.minYear": "Año más antiguo",
+  "settings.yearsAhead": "Años futuros permitidos",
+  "settings.calendarReform": "Fechas anteriores a la reforma gregoriana",
+  "settings.reformProleptic": "Gregoriano proléptico",
+  "settings.reformJulian": "Juliano hasta el cambio",
+  "settings.gregorianSwitch": "Paso al calendario gregoriano",
+  "settings.switch1582": "15 de octubre de 1582 (Europa católica)",
+  "settings.switch1700":
+    "1 de marzo de 1700 (Alemania protestante, Dinamarca, Noruega)",
+  "settings.switch1752": "14 de septiembre de 1752 (Gran Bretaña y colonias)",
+  "settings.switch1918": "14 de febrero de 1918 (Rusia)",
+  "settings.switch1923": "1 de marzo de 1923 (Grecia)",
+  "settings.remindMe": "Recordarme",
+  "settings.remindOnDay": "El mismo día",
+  "settings.remindDaysBefore": {
+    one: "{count} día antes",
+    other: "{count} días antes",
+  },
+  "settings.remindWeekBefore": "1 semana antes",
+  "settings.reminders": "Recordatorios de cumpleaños de personas guardadas",
+  "settings.milestones": "Recordarme también cada {days} días de vida",
+  "settings.remindersUnsupported": "Este navegador no admite recordatorios",
+  "settings.remindersBlocked":
+    "Permite las notificaciones de este sitio para recibir recordatorios",
+
+  "error.dayRequired": "El día es obligatorio",
+  "error.dayRange": "El día debe estar entre 1 y 31",
+  "error.daysInMonth": {
+    one: "{month} solo tiene {count} día",
+    other: "{month} solo tiene {count} días",
+  },
+  "error.monthRequired": "El mes es obligatorio",
+  "error.monthRange": "El mes debe estar entre 1 y 12",
+  "error.calendarMonthRange": "El mes debe estar entre 1 y {max}",
+  "error.yearRequired": "El año es obligatorio",
+  "error.yearRange": "El año debe estar entre {min} y {max}",
+  "error.skippedDay":
+    "Esta fecha se omitió cuando el calendario gregoriano empezó el {date}",
+  "error.hourRequired": "La hora es obligatoria si hay minutos",
+  "error.hourRange": "La hora debe estar entre 0 y 23",
+  "error.minuteRange": "El minuto debe estar entre 0 y 59",
+  "error.asOfBeforeBirth": "La fecha de nacimiento es posterior a esta fecha",
+  "error.knownYearsRequired": "Los años son obligatorios",
+  "error.numberRange": "Introduce un número entero de 0 a {max}",
+  "error.noBirthDate":
+    "Ninguna fecha de nacimiento da exactamente esta edad en esa fecha",
+  "error.durationRequired": "Introduce al menos una cantidad",
+  "error.calculation": "Se produjo un error durante el cálculo",
+
+  "unit.years": { one: "año", other: "años" },
+  "unit.months": { one: "mes", other: "meses" },
+  "unit.days": { one: "día", other: "días" },
+  "unit.hours": { one: "hora", other: "horas" },
+  "unit.minutes": { one: "minuto", other: "minutos" },
+  "unit.seconds": { one: "segundo", other: "segundos" },
+  "count.years": { one: "{count} año", other: "{count} años" },
+  "count.months": { one: "{count} mes", other: "{count} meses" },
+  "count.weeks": { one: "{count} semana", other: "{count} semanas" },
+  "count.days": { one: "{count} día", other: "{count} días" },
+  "count.hours": { one: "{count} hora", other: "{count} horas" },
+  "count.seconds": { one: "{count} segundo", other: "{count} segundos" },
+  "count.yearsMonthsDays": "{years}, {months} y {days}",
+  "count.weeksAndDays": "{weeks} y {days}",
+
+  "results.title": "Tu edad",
+  "results.close": "Cerrar resultados",
+  "results.ageOn": "Edad el {date}",
+  "results.difference": "Diferencia de fechas",
+  "results.timeUntil": "Tiempo hasta la fecha",
+  "results.bornOn": "Nacido el {date}",
+  "results.futureDate": "Fecha futura: {date}",
+  "results.leapDayFeb28":
+    "Nacido el 29 de febrero: en años no bisiestos el cumpleaños se cuenta el 28 de febrero",
+  "results.leapDayMar1":
+    "Nacido el 29 de febrero: en años no bisiestos el cumpleaños se cuenta el 1 de marzo",
+  "results.calendarBorn": "{calendar}: nacido el {date}",
+  "results.calendarAge": "{calendar}: {age}, próximo cumpleaños el {date}",
+  "results.reckonedAge": "{name}: {age} (edad internacional {international})",
+  "results.decimalAge": "Edad decimal: {age}",
+  "results.nearestBirthdayAge": "Edad al cumpleaños más cercano: {age}",
+  "results.julianDate": "{date} (juliano; {gregorian} gregoriano)",
+  "results.zones": "Nacido en {birth}, medido en {current}",
+  "results.range": "Del {start} al {end}",
+  "results.inclusive": "{date} (incluido)",
+  "results.totalDays": "¡Eso son aproximadamente {total} días en total!",
+
+  "stats.title": "Más estadísticas",
+  "stats.weeks": "Edad en semanas",
+  "stats.days": "Edad en días",
+  "stats.hours": "Edad en horas",
+  "stats.minutes": "Edad en minutos",
+  "stats.seconds": "Edad en segundos",
+  "stats.birthdays": "Cumpleaños celebrados",
+  "stats.leapDays": "Días bisiestos vividos",
+  "stats.weekday": "Día de la semana del nacimiento",
+  "stats.zodiacSign": "Signo del zodiaco",
+  "stats.chineseZodiac": "Zodiaco chino",
+  "stats.birthstone": "Piedra natal",
+  "stats.planetAge": "Edad en {planet}",
+  "zodiac.aries": "Aries",
+  "zodiac.taurus": "Tauro",
+  "zodiac.gemini": "Géminis",
+  "zodiac.cancer": "Cáncer",
+  "zodiac.leo": "Leo",
+  "zodiac.virgo": "Virgo",
+  "zodiac.libra": "Libra",
+  "zodiac.scorpio": "Escorpio",
+  "zodiac.sagittarius": "Sagitario",
+  "zodiac.capricorn": "Capricornio",
+  "zodiac.aquarius": "Acuario",
+  "zodiac.pisces": "Piscis",
+  "chineseZodiac.rat": "Rata",
+  "chineseZodiac.ox": "Buey",
+  "chineseZodiac.tiger": "Tigre",
+  "chineseZodiac.rabbit": "Conejo",
+  "chineseZodiac.dragon": "Dragón",
+  "chineseZodiac.snake": "Serpiente",
+  "chineseZodiac.horse": "Caballo",
+  "chineseZodiac.goat": "Cabra",
+  "chineseZodiac.monkey": "Mono",
+  "chineseZodiac.rooster": "Gallo",
+  "chineseZodiac.dog": "Perro",
+  "chineseZodiac.pig": "Cerdo",
+  "birthstone.garnet": "Granate",
+  "birthstone.amethyst": "Amatista",
+  "birthstone.aquamarine": "Aguamarina",
+  "birthstone.diamond": "Diamante",
+  "birthstone.emerald": "Esmeralda",
+  "birthstone.pearl": "Perla",
+  "birthstone.ruby": "Rubí",
+  "birthstone.peridot": "Peridoto",
+  "birthstone.sapphire": "Zafiro",
+  "birthstone.opal": "Ópalo",
+  "birthstone.topaz": "Topacio",
+  "birthstone.turquoise": "Turquesa",
+  "planet.mercury": "Mercurio",
+  "planet.venus": "Venus",
+  "planet.mars": "Marte",
+  "planet.jupiter": "Júpiter",
+  "planet.saturn": "Saturno",
+  "planet.uranus": "Urano",
+  "planet.neptune": "Neptuno",
+
+  "milestones.title": "Hitos",
+  "milestones.halfBirthday": "Medio cumpleaños ({age}½)",
+  "milestones.palindrome": "Fecha capicúa ({digits})",
+  "milestones.today": "¡Hoy! 🎉",
+  "milestones.in": {
+    one: "Dentro de {count} día",
+    other: "Dentro de {count} días",
+  },
+  "milestones.ago": { one: "Hace {count} día", other: "Hace {count} días" },
+
+  "export.download": "Descargar calendario (.ics)",
+  "export.includeMilestones": "Incluir los próximos hitos",
+  "export.calendarName": "Cumpleaños",
+  "export.birthday": "Cumpleaños",
+  "export.named": "{name}: {event}",
+
+  "share.share": "Compartir enlace",
+  "share.copyLink": "Copiar enlace",
+  "share.copied": "Enlace copiado",
+
+  "card.layout": "Formato de la imagen",
+  "card.square": "Cuadrado",
+  "card.story": "Historia",
+  "card.banner": "Banner",
+  "card.export": "Exportar imagen",
+
+  "history.title": "Historial",
+  "history.close": "Cerrar historial",
+  "history.search": "Buscar por etiqueta, fecha o modo",
+  "history.searchLabel": "Buscar en el historial",
+  "history.empty": "Aún no hay cálculos guardados",
+  "history.defaultAge": "Edad",
+  "history.defaultDifference": "Diferencia de fechas",
+  "history.defaultEligibility": "Comprobación de requisitos",
+  "history.defaultReverse": "Fecha de nacimiento por edad",
+  "history.defaultArithmetic": "Suma y resta de fechas",
+  "history.modeAge": "Edad",
+  "history.modeDifference": "Diferencia",
+  "history.modeEligibility": "Requisitos",
+  "history.modeReverse": "Inversa",
+  "history.modeArithmetic": "Sumar y restar",
+  "history.rerun": "Repetir",
+  "history.pin": "Fijar",
+  "history.unpin": "Desfijar",
+  "history.delete": "Eliminar",
+
+  "people.title": "Próximos cumpleaños",
+  "people.close": "Cerrar próximos cumpleaños",
+  "people.name": "Nombre",
+  "people.birthDate": "Fecha de nacimiento",
+  "people.add": "Añadir",
+  "people.empty":
+    "Aún no hay personas guardadas. Añade a alguien arriba para ver su próximo cumpleaños.",
+  "people.nameRequired": "El nombre es obligatorio",
+  "people.invalidDate": "Introduce una fecha de nacimiento válida",
+  "people.saveFailed": "No se pudo guardar esta persona",
+  "people.notBorn": "Aún no ha nacido",
+  "people.turnsToday": "¡Cumple {age} hoy! 🎉",
+  "people.turnsTomorrow": "Cumple {age} mañana",
+  "people.turnsIn": {
+    one: "Cumple {age} dentro de {count} día",
+    other: "Cumple {age} dentro de {count} días",
+  },
+  "people.due": "Previsto para el {date}",
+  "people.age": "Edad {age}",
+  "people.born": "Nacido el {date}",
+  "people.next": "Próximo: {date}",
+  "people.delete": "Eliminar",
+  "people.deleteLabel": "Eliminar a {name}",
+
+  "batch.title": "Edades por lote",
+  "batch.close": "Cerrar edades por lote",
+  "batch.hint":
+    "Una persona por fila: nombre, fecha de nacimiento y, si se quiere, la fecha a la que calcular la edad. Pega filas de una hoja de cálculo o carga un archivo CSV.",
+  "batch.placeholder": "Ada Lovelace, 1815-12-10",
+  "batch.input": "Filas que calcular",
+  "batch.loadFile": "Cargar archivo CSV",
+  "batch.calculate": "Calcular edades",
+  "batch.search": "Filtrar por nombre o fecha",
+  "batch.searchLabel": "Filtrar filas",
+  "batch.show": "Filas que mostrar",
+  "batch.showAll": "Todas las filas",
+  "batch.showValid": "Calculadas",
+  "batch.showInvalid": "Con errores",
+  "batch.row": "Fila",
+  "batch.name": "Nombre",
+  "batch.birthDate": "Fecha de nacimiento",
+  "batch.asOf": "Edad a fecha de",
+  "batch.age": "Edad",
+  "batch.totalDays": "Días totales",
+  "batch.years": "Años",
+  "batch.months": "Meses",
+  "batch.days": "Días",
+  "batch.error": "Error",
+  "batch.noMatches": "Ninguna fila coincide con el filtro",
+  "batch.export": "Exportar CSV",
+  "batch.summary": "{read}, {invalid}",
+  "batch.rowsRead": {
+    one: "{count} fila leída",
+    other: "{count} filas leídas",
+  },
+  "batch.rowsInvalid": {
+    one: "{count} con error",
+    other: "{count} con errores",
+  },
+  "batch.birthError": "Fecha de nacimiento: {error}",
+  "batch.asOfError": "Fecha de cálculo: {error}",
+  "batch.notBorn": "Nacido después de la fecha de cálculo",
+  "batch.dateRequired": "La fecha de nacimiento es obligatoria",
+  "batch.today": "Hoy",
+
+  "rule.title": "Regla de edad",
+  "rule.preset": "Ajuste predefinido",
+  "rule.name": "Nombre de la regla",
+  "rule.type": "Regla",
+  "rule.typeOnDate": "Edad en la fecha límite",
+  "rule.typeTurnsBefore": "Cumple la edad mínima antes de la fecha límite",
+  "rule.cutoff": "Fecha límite",
+  "rule.cutoffToday": "Hoy",
+  "rule.cutoffYearly": "Cada año el",
+  "rule.cutoffDate": "En una fecha",
+  "rule.minAge": "Edad mínima",
+  "rule.maxAge": "Edad máxima",
+  "rule.date": "Fecha",
+  "rule.save": "Guardar ajuste",
+  "rule.saveNew": "Guardar como nuevo ajuste",
+  "rule.delete": "Eliminar ajuste",
+  "rule.saved": "Ajuste guardado",
+  "rule.untitled": "Regla personalizada",
+  "rule.errorAgeRange": "Las edades deben ser números enteros de 0 a 150",
+  "rule.errorMinRequired": "Introduce la edad mínima",
+  "rule.errorAge": "Introduce una edad mínima o máxima",
+  "rule.errorMaxBelowMin": "La edad máxima no puede ser menor que la mínima",
+  "rule.errorCutoff": "Introduce una fecha límite válida",
+  "rule.describeTurns": "{name}: cumple {min} antes del {date}",
+  "rule.describeRange": "{name}: de {min} a {max} el {date}",
+  "rule.describeMin": "{name}: al menos {min} el {date}",
+  "rule.describeMax": "{name}: como máximo {max} el {date}",
+  "rule.presetSchool": "Escolarización (5 antes del 1 de septiembre)",
+  "rule.presetDriving": "Edad para conducir (17)",
+  "rule.presetVoting": "Edad para votar (18)",
+  "rule.presetMinor": "Menor de edad (menos de 18)",
+  "rule.presetRetirement": "Edad de jubilación (67)",
+
+  "eligibility.eligible": "Cumple el requisito",
+  "eligibility.notEligible": "No cumple el requisito",
+  "eligibility.tooYoung": "Le faltan {gap}",
+  "eligibility.tooOld": "Le sobran {gap}",
+  "eligibility.aboveMin": "Supera la edad mínima en {gap}",
+  "eligibility.belowMax": "Quedan {gap} hasta superar la edad máxima",
+  "eligibility.justEligible": "Justo con la edad mínima",
+  "eligibility.windowRange": "Cumple el requisito del {from} al {until}",
+  "eligibility.windowFrom": "Cumple el requisito desde el {from}",
+  "eligibility.windowUntil": "Cumple el requisito hasta el {until}",
+  "eligibility.never": "Nunca cumple esta regla",
+
+  "reverse.title": "Posibles fechas de nacimiento",
+  "reverse.exactTitle": "Fecha de nacimiento",
+  "reverse.bornOn": "Nació el {date}",
+  "reverse.bornBetween": "Nació entre el {from} y el {until}",
+  "reverse.count": {
+    one: "La única fecha de nacimiento con esta edad el {date}",
+    other: "{count} fechas de nacimiento posibles con esta edad el {date}",
+  },
+
+  "arithmetic.title": "Fecha resultante",
+  "arithmetic.after": "{duration} después del {date}",
+  "arithmetic.before": "{duration} antes del {date}",
+  "arithmetic.use": "Usar esta fecha en el formulario",
+
+  "reminders.birthdayToday": "{name} cumple {age} hoy",
+  "reminders.birthdayTomorrow": "{name} cumple {age} mañana",
+  "reminders.birthdayIn": {
+    one: "{name} cumple {age} dentro de {count} día",
+    other: "{name} cumple {age} dentro de {count} días",
+  },
+  "reminders.milestoneToday": "{name} cumple hoy {days} días de vida",
+  "reminders.milestoneTomorrow": "{name} cumplirá mañana {days} días de vida",
+  "reminders.milestoneIn": {
+    one: "{name} cumplirá {days} días de vida dentro de {count} día",
+    other: "{name} cumplirá {days} días de vida dentro de {count} días",
+  },
+  "reminders.openToday": "Abre la aplicación para ver la edad completa",
+
+  "pwa.title": "¿Instalar la calculadora de edad?",
+  "pwa.text":
+    "Disfruta de una experiencia rápida y sin conexión en tu dispositivo.",
+  "pwa.install": "Instalar",
+  "pwa.dismiss": "Descartar",
+});
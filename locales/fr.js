@@ -0,0 +1,439 @@
+/**
+ * French messages
+ */
+
+I18n.addCatalog("fr", {
+  "app.documentTitle": "Calculateur d'âge",
+  "app.description":
+    "Calculez votre âge exact en années, mois et jours avec notre calculateur d'âge moderne",
+  "app.title": "Calculateur d'âge",
+  "app.language": "Langue",
+  "app.themeToggle": "Basculer le mode sombre",
+  "app.info": "Fonctionnement",
+  "app.infoText":
+    "Saisissez votre date de naissance pour calculer votre âge exact en années, mois et jours. L'application gère les années bissextiles et valide toutes les dates. Passez à Écart entre dates pour mesurer le temps entre deux dates. Les décomptes de jours incluent la date de début mais pas la date de fin.",
+
+  "mode.label": "Mode de calcul",
+  "mode.age": "Âge",
+  "mode.difference": "Écart entre dates",
+  "mode.eligibility": "Éligibilité",
+  "mode.reverse": "Date de naissance d'après l'âge",
+  "mode.arithmetic": "Ajouter et retrancher",
+
+  "form.label": "Nom ou libellé (facultatif)",
+  "form.labelPlaceholder": "p. ex. Mamie",
+  "form.calendar": "Calendrier",
+  "form.calendarDate": "Date grégorienne : {date}",
+  "form.startDate": "Date de début",
+  "form.day": "Jour",
+  "form.month": "Mois",
+  "form.year": "Année",
+  "form.hour": "Heure",
+  "form.minute": "Minute",
+  "form.dayPlaceholder": "JJ",
+  "form.monthPlaceholder": "MM",
+  "form.yearPlaceholder": "AAAA",
+  "form.hourPlaceholder": "HH",
+  "form.minutePlaceholder": "MIN",
+  "form.birthTime": "Heure de naissance (facultatif)",
+  "form.timeZones": "Fuseaux horaires",
+  "form.birthTimeZone": "Fuseau horaire de naissance",
+  "form.currentTimeZone": "Fuseau horaire actuel",
+  "form.asOfToggle": "Calculer l'âge à une date précise",
+  "form.asOf": "Âge au",
+  "form.endDate": "Date de fin",
+  "form.knownOn": "Date à laquelle l'âge était connu",
+  "form.knownAge": "Âge connu",
+  "form.knownYears": "Années",
+  "form.knownMonths": "Mois (facultatif)",
+  "form.knownDays": "Jours (facultatif)",
+  "form.duration": "Durée",
+  "form.direction": "Ajouter ou retrancher",
+  "form.directionAdd": "Ajouter",
+  "form.directionSubtract": "Retrancher",
+  "form.monthEnd": "Jour absent du mois",
+  "form.monthEndAnniversary":
+    "Jour suivant, comme pour les âges (31 janv. + 1 mois = 1er mars)",
+  "form.monthEndClamp": "Dernier jour du mois (31 janv. + 1 mois = 28 févr.)",
+  "form.monthEndOverflow":
+    "Reporter les jours en trop (31 janv. + 1 mois = 3 mars)",
+  "form.durationYears": "Années",
+  "form.durationMonths": "Mois",
+  "form.durationWeeks": "Semaines",
+  "form.durationDays": "Jours",
+  "form.inclusive": "Inclure la date de fin (ajouter 1 jour)",
+  "form.calculate": "Calculer",
+  "form.calculateLabel": "Calculer l'âge",
+  "form.clear": "Tout effacer",
+  "form.history": "Historique",
+  "form.people": "Personnes",
+  "form.batch": "Lot",
+  "form.dateText": "Saisir ou coller une date (facultatif)",
+  "form.dateTextPlaceholder": "p. ex. 1990-03-12 ou 12 mars 1990",
+  "form.dateTextRead": "Lue comme {date}",
+  "form.dateTextAmbiguous": "Date ambiguë, lue comme {date}",
+  "form.dateTextUse": "Utiliser {date} à la place",
+  "form.dateTextInvalid": "Impossible de lire une date dans ce texte",
+
+  "calendar.gregory": "Grégorien",
+  "calendar.islamic-umalqura": "Hégirien (Umm al-Qura)",
+  "calendar.hebrew": "Hébraïque",
+  "calendar.persian": "Persan",
+  "calendar.chinese": "Chinois",
+
+  "reckoning.east-asian": "Âge est-asiatique",
+  "reckoning.east-asianNote":
+    "Compté à partir de 1 à la naissance, avec une année de plus chaque 1er janvier",
+  "reckoning.east-asian-lunar": "Âge est-asiatique (Nouvel An lunaire)",
+  "reckoning.east-asian-lunarNote":
+    "Compté à partir de 1 à la naissance, avec une année de plus à chaque Nouvel An lunaire",
+  "reckoning.korean-year": "Âge coréen par année",
+  "reckoning.korean-yearNote":
+    "L'année en cours moins l'année de naissance, utilisé pour certaines limites d'âge légales en Corée",
+
+  "settings.title": "Paramètres",
+  "settings.leapDay": "Anniversaires du 29 février",
+  "settings.leapDayFeb28": "Le 28 février les années non bissextiles",
+  "settings.leapDayMar1": "Le 1er mars les années non bissextiles",
+  "settings.dateOrder": "Ordre des champs de date",
+  "settings.dateOrderAuto": "Automatique (selon la langue)",
+  "settings.dateOrderDMY": "Jour, mois, année",
+  "settings.dateOrderMDY": "Mois, jour, année",
+  "settings.dateOrderYMD": "Année, mois, jour",
+  "settings.ageReckoning": "Calcul de l'âge",
+  "settings.reckoningInternational": "International (années révolues)",
+  "settings.dayCount": "Convention de l'âge décimal",
+  "settings.decimalRounding": "Arrondi de l'âge décimal",
+  "settings.roundingTruncate": "Tronquer",
+  "settings.roundingRound": "Arrondir",
+  "settings.roundingNearest": "Âge à l'anniversaire le plus proche",
+  "settings.minYear": "Année la plus ancienne",
+  "settings.yearsAhead": "Années futures autorisées",
+  "settings.calendarReform": "Dates antérieures à la réforme grégorienne",
+  "settings.reformProleptic": "Grégorien proleptique",
+  "settings.reformJulian": "Julien jusqu'au changement",
+  "settings.gregorianSwitch": "Passage au calendrier grégorien",
+  "settings.switch1582": "15 octobre 1582 (Europe catholique)",
+  "settings.switch1700":
+    "1er mars 1700 (Allemagne protestante, Danemark, Norvège)",
+  "settings.switch1752": "14 septembre 1752 (Grande-Bretagne et colonies)",
+  "settings.switch1918": "14 février 1918 (Russie)",
+  "settings.switch1923": "1er mars 1923 (Grèce)",
+  "settings.remindMe": "Me rappeler",
+  "settings.remindOnDay": "Le jour même",
+  "settings.remindDaysBefore": {
+    one: "{count} jour avant",
+    other: "{count} jours avant",
+  },
+  "settings.remindWeekBefore": "1 semaine avant",
+  "settings.reminders":
+    "Rappels d'anniversaire pour les personnes enregistrées",
+  "settings.milestones": "Me rappeler aussi chaque palier de {days} jours",
+  "settings.remindersUnsupported":
+    "Les rappels ne sont pas pris en charge par ce navigateur",
+  "settings.remindersBlocked":
+    "Autorisez les notifications de ce site pour recevoir des rappels",
+
+  "error.dayRequired": "Le jour est obligatoire",
+  "error.dayRange": "Le jour doit être compris entre 1 et 31",
+  "error.daysInMonth": {
+    one: "{month} ne compte que {count} jour",
+    other: "{month} ne compte que {count} jours",
+  },
+  "error.monthRequired": "Le mois est obligatoire",
+  "error.monthRange": "Le mois doit être compris entre 1 et 12",
+  "error.calendarMonthRange": "Le mois doit être compris entre 1 et {max}",
+  "error.yearRequired": "L'année est obligatoire",
+  "error.yearRange": "L'année doit être comprise entre {min} et {max}",
+  "error.skippedDay":
+    "Cette date a été sautée lors du passage au calendrier grégorien le {date}",
+  "error.hourRequired": "L'heure est obligatoire avec les minutes",
+  "error.hourRange": "L'heure doit être comprise entre 0 et 23",
+  "error.minuteRange": "Les minutes doivent être comprises entre 0 et 59",
+  "error.asOfBeforeBirth": "La date de naissance est postérieure à cette date",
+  "error.knownYearsRequired": "Les années sont obligatoires",
+  "error.numberRange": "Saisissez un nombre entier de 0 à {max}",
+  "error.noBirthDate":
+    "Aucune date de naissance ne donne exactement cet âge à cette date",
+  "error.durationRequired": "Saisissez au moins une quantité",
+  "error.calculation": "Une erreur s'est produite pendant le calcul",
+
+  "unit.years": { one: "an", other: "ans" },
+  "unit.months": { one: "mois", other: "mois" },
+  "unit.days": { one: "jour", other: "jours" },
+  "unit.hours": { one: "heure", other: "heures" },
+  "unit.minutes": { one: "minute", other: "minutes" },
+  "unit.seconds": { one: "seconde", other: "secondes" },
+  "count.years": { one: "{count} an", other: "{count} ans" },
+  "count.months": { one: "{count} mois", other: "{count} mois" },
+  "count.weeks": { one: "{count} semaine", other: "{count} semaines" },
+  "count.days": { one: "{count} jour", other: "{count} jours" },
+  "count.hours": { one: "{count} heure", other: "{count} heures" },
+  "count.seconds": { one: "{count} seconde", other: "{count} secondes" },
+  "count.yearsMonthsDays": "{years}, {months} et {days}",
+  "count.weeksAndDays": "{weeks} et {days}",
+
+  "results.title": "Votre âge",
+  "results.close": "Fermer les résultats",
+  "results.ageOn": "Âge au {date}",
+  "results.difference": "Écart entre dates",
+  "results.timeUntil": "Temps restant",
+  "results.bornOn": "Né le {date}",
+  "results.futureDate": "Date future : {date}",
+  "results.leapDayFeb28":
+    "Né un 29 février : les années non bissextiles, l'anniversaire est compté le 28 février",
+  "results.leapDayMar1":
+    "Né un 29 février : les années non bissextiles, l'anniversaire est compté le 1er mars",
+  "results.calendarBorn": "{calendar} : né le {date}",
+  "results.calendarAge": "{calendar} : {age}, prochain anniversaire le {date}",
+  "results.reckonedAge": "{name} : {age} (âge international {international})",
+  "results.decimalAge": "Âge décimal : {age}",
+  "results.nearestBirthdayAge": "Âge à l'anniversaire le plus proche : {age}",
+  "results.julianDate": "{date} (julien ; {gregorian} grégorien)",
+  "results.zones": "Né dans le fuseau {birth}, mesuré dans {current}",
+  "results.range": "Du {start} au {end}",
+  "results.inclusive": "{date} (inclus)",
+  "results.totalDays": "Soit environ {total} jours au total !",
+
+  "stats.title": "Plus de statistiques",
+  "stats.weeks": "Âge en semaines",
+  "stats.days": "Âge en jours",
+  "stats.hours": "Âge en heures",
+  "stats.minutes": "Âge en minutes",
+  "stats.seconds": "Âge en secondes",
+  "stats.birthdays": "Anniversaires fêtés",
+  "stats.leapDays": "Jours bissextiles vécus",
+  "stats.weekday": "Jour de la semaine de naissance",
+  "stats.zodiacSign": "Signe du zodiaque",
+  "stats.chineseZodiac": "Zodiaque chinois",
+  "stats.birthstone": "Pierre de naissance",
+  "stats.planetAge": "Âge sur {planet}",
+  "zodiac.aries": "Bélier",
+  "zodiac.taurus": "Taureau",
+  "zodiac.gemini": "Gémeaux",
+  "zodiac.cancer": "Cancer",
+  "zodiac.leo": "Lion",
+  "zodiac.virgo": "Vierge",
+  "zodiac.libra": "Balance",
+  "zodiac.scorpio": "Scorpion",
+  "zodiac.sagittarius": "Sagittaire",
+  "zodiac.capricorn": "Capricorne",
+  "zodiac.aquarius": "Verseau",
+  "zodiac.pisces": "Poissons",
+  "chineseZodiac.rat": "Rat",
+  "chineseZodiac.ox": "Bœuf",
+  "chineseZodiac.tiger": "Tigre",
+  "chineseZodiac.rabbit": "Lapin",
+  "chineseZodiac.dragon": "Dragon",
+  "chineseZodiac.snake": "Serpent",
+  "chineseZodiac.horse": "Cheval",
+  "chineseZodiac.goat": "Chèvre",
+  "chineseZodiac.monkey": "Singe",
+  "chineseZodiac.rooster": "Coq",
+  "chineseZodiac.dog": "Chien",
+  "chineseZodiac.pig": "Cochon",
+  "birthstone.garnet": "Grenat",
+  "birthstone.amethyst": "Améthyste",
+  "birthstone.aquamarine": "Aigue-marine",
+  "birthstone.diamond": "Diamant",
+  "birthstone.emerald": "Émeraude",
+  "birthstone.pearl": "Perle",
+  "birthstone.ruby": "Rubis",
+  "birthstone.peridot": "Péridot",
+  "birthstone.sapphire": "Saphir",
+  "birthstone.opal": "Opale",
+  "birthstone.topaz": "Topaze",
+  "birthstone.turquoise": "Turquoise",
+  "planet.mercury": "Mercure",
+  "planet.venus": "Vénus",
+  "planet.mars": "Mars",
+  "planet.jupiter": "Jupiter",
+  "planet.saturn": "Saturne",
+  "planet.uranus": "Uranus",
+  "planet.neptune": "Neptune",
+
+  "milestones.title": "Étapes",
+  "milestones.halfBirthday": "Demi-anniversaire ({age} ½)",
+  "milestones.palindrome": "Date palindrome ({digits})",
+  "milestones.today": "Aujourd'hui ! 🎉",
+  "milestones.in": { one: "Dans {count} jour", other: "Dans {count} jours" },
+  "milestones.ago": {
+    one: "Il y a {count} jour",
+    other: "Il y a {count} jours",
+  },
+
+  "export.download": "Télécharger le calendrier (.ics)",
+  "export.includeMilestones": "Inclure les prochaines étapes",
+  "export.calendarName": "Anniversaires",
+  "export.birthday": "Anniversaire",
+  "export.named": "{name} : {event}",
+
+  "share.share": "Partager le lien",
+  "share.copyLink": "Copier le lien",
+  "share.copied": "Lien copié",
+
+  "card.layout": "Format de l'image",
+  "card.square": "Carré",
+  "card.story": "Story",
+  "card.banner": "Bannière",
+  "card.export": "Exporter l'image",
+
+  "history.title": "Historique",
+  "history.close": "Fermer l'historique",
+  "history.search": "Rechercher par libellé, date ou mode",
+  "history.searchLabel": "Rechercher dans l'historique",
+  "history.empty": "Aucun calcul enregistré pour l'instant",
+  "history.defaultAge": "Âge",
+  "history.defaultDifference": "Écart entre dates",
+  "history.defaultEligibility": "Vérification d'éligibilité",
+  "history.defaultReverse": "Date de naissance d'après l'âge",
+  "history.defaultArithmetic": "Calcul sur les dates",
+  "history.modeAge": "Âge",
+  "history.modeDifference": "Écart",
+  "history.modeEligibility": "Éligibilité",
+  "history.modeReverse": "Inverse",
+  "history.modeArithmetic": "Ajouter et retrancher",
+  "history.rerun": "Relancer",
+  "history.pin": "Épingler",
+  "history.unpin": "Désépingler",
+  "history.delete": "Supprimer",
+
+  "people.title": "Prochains anniversaires",
+  "people.close": "Fermer les prochains anniversaires",
+  "people.name": "Nom",
+  "people.birthDate": "Date de naissance",
+  "people.add": "Ajouter",
+  "people.empty":
+    "Aucune personne enregistrée. Ajoutez quelqu'un ci-dessus pour voir son prochain anniversaire.",
+  "people.nameRequired": "Le nom est obligatoire",
+  "people.invalidDate": "Saisissez une date de naissance valide",
+  "people.saveFailed": "Impossible d'enregistrer cette personne",
+  "people.notBorn": "Pas encore né",
+  "people.turnsToday": "Fête ses {age} ans aujourd'hui ! 🎉",
+  "people.turnsTomorrow": "Fête ses {age} ans demain",
+  "people.turnsIn": {
+    one: "Fête ses {age} ans dans {count} jour",
+    other: "Fête ses {age} ans dans {count} jours",
+  },
+  "people.due": "Prévu le {date}",
+  "people.age": "{age} ans",
+  "people.born": "Né le {date}",
+  "people.next": "Prochain : {date}",
+  "people.delete": "Supprimer",
+  "people.deleteLabel": "Supprimer {name}",
+
+  "batch.title": "Âges par lot",
+  "batch.close": "Fermer les âges par lot",
+  "batch.hint":
+    "Une personne par ligne : nom, date de naissance et, si besoin, la date à laquelle calculer l'âge. Collez des lignes d'un tableur ou chargez un fichier CSV.",
+  "batch.placeholder": "Ada Lovelace, 1815-12-10",
+  "batch.input": "Lignes à calculer",
+  "batch.loadFile": "Charger un fichier CSV",
+  "batch.calculate": "Calculer les âges",
+  "batch.search": "Filtrer par nom ou date",
+  "batch.searchLabel": "Filtrer les lignes",
+  "batch.show": "Lignes à afficher",
+  "batch.showAll": "Toutes les lignes",
+  "batch.showValid": "Calculées",
+  "batch.showInvalid": "En erreur",
+  "batch.row": "Ligne",
+  "batch.name": "Nom",
+  "batch.birthDate": "Date de naissance",
+  "batch.asOf": "Âge au",
+  "batch.age": "Âge",
+  "batch.totalDays": "Total des jours",
+  "batch.years": "Années",
+  "batch.months": "Mois",
+  "batch.days": "Jours",
+  "batch.error": "Erreur",
+  "batch.noMatches": "Aucune ligne ne correspond au filtre",
+  "batch.export": "Exporter en CSV",
+  "batch.summary": "{read}, {invalid}",
+  "batch.rowsRead": { one: "{count} ligne lue", other: "{count} lignes lues" },
+  "batch.rowsInvalid": { one: "{count} en erreur", other: "{count} en erreur" },
+  "batch.birthError": "Date de naissance : {error}",
+  "batch.asOfError": "Date de calcul : {error}",
+  "batch.notBorn": "Né après la date de calcul",
+  "batch.dateRequired": "La date de naissance est obligatoire",
+  "batch.today": "Aujourd'hui",
+
+  "rule.title": "Règle d'âge",
+  "rule.preset": "Préréglage",
+  "rule.name": "Nom de la règle",
+  "rule.type": "Règle",
+  "rule.typeOnDate": "Âge à la date limite",
+  "rule.typeTurnsBefore": "Atteint l'âge minimum avant la date limite",
+  "rule.cutoff": "Date limite",
+  "rule.cutoffToday": "Aujourd'hui",
+  "rule.cutoffYearly": "Chaque année le",
+  "rule.cutoffDate": "À une date",
+  "rule.minAge": "Âge minimum",
+  "rule.maxAge": "Âge maximum",
+  "rule.date": "Date",
+  "rule.save": "Enregistrer le préréglage",
+  "rule.saveNew": "Enregistrer comme nouveau préréglage",
+  "rule.delete": "Supprimer le préréglage",
+  "rule.saved": "Préréglage enregistré",
+  "rule.untitled": "Règle personnalisée",
+  "rule.errorAgeRange": "Les âges doivent être des nombres entiers de 0 à 150",
+  "rule.errorMinRequired": "Saisissez l'âge minimum",
+  "rule.errorAge": "Saisissez un âge minimum ou maximum",
+  "rule.errorMaxBelowMin":
+    "L'âge maximum ne peut pas être inférieur à l'âge minimum",
+  "rule.errorCutoff": "Saisissez une date limite valide",
+  "rule.describeTurns": "{name} : atteint {min} avant le {date}",
+  "rule.describeRange": "{name} : de {min} à {max} le {date}",
+  "rule.describeMin": "{name} : au moins {min} le {date}",
+  "rule.describeMax": "{name} : au plus {max} le {date}",
+  "rule.presetSchool": "Entrée à l'école (5 ans avant le 1er septembre)",
+  "rule.presetDriving": "Âge du permis (17)",
+  "rule.presetVoting": "Âge du vote (18)",
+  "rule.presetMinor": "Mineur (moins de 18 ans)",
+  "rule.presetRetirement": "Âge de la retraite (67)",
+
+  "eligibility.eligible": "Éligible",
+  "eligibility.notEligible": "Non éligible",
+  "eligibility.tooYoung": "Trop jeune de {gap}",
+  "eligibility.tooOld": "Trop âgé de {gap}",
+  "eligibility.aboveMin": "Au-dessus de l'âge minimum de {gap}",
+  "eligibility.belowMax": "Encore {gap} sous l'âge maximum",
+  "eligibility.justEligible": "Tout juste l'âge requis",
+  "eligibility.windowRange": "Éligible du {from} au {until}",
+  "eligibility.windowFrom": "Éligible à partir du {from}",
+  "eligibility.windowUntil": "Éligible jusqu'au {until}",
+  "eligibility.never": "Jamais éligible selon cette règle",
+
+  "reverse.title": "Dates de naissance possibles",
+  "reverse.exactTitle": "Date de naissance",
+  "reverse.bornOn": "Né(e) le {date}",
+  "reverse.bornBetween": "Né(e) entre le {from} et le {until}",
+  "reverse.count": {
+    one: "La seule date de naissance donnant cet âge le {date}",
+    other: "{count} dates de naissance possibles donnant cet âge le {date}",
+  },
+
+  "arithmetic.title": "Date obtenue",
+  "arithmetic.after": "{duration} après le {date}",
+  "arithmetic.before": "{duration} avant le {date}",
+  "arithmetic.use": "Utiliser cette date dans le formulaire",
+
+  "reminders.birthdayToday": "{name} fête ses {age} ans aujourd'hui",
+  "reminders.birthdayTomorrow": "{name} fête ses {age} ans demain",
+  "reminders.birthdayIn": {
+    one: "{name} fête ses {age} ans dans {count} jour",
+    other: "{name} fête ses {age} ans dans {count} jours",
+  },
+  "reminders.milestoneToday": "{name} a {days} jours aujourd'hui",
+  "reminders.milestoneTomorrow": "{name} aura {days} jours demain",
+  "reminders.milestoneIn": {
+    one: "{name} aura {days} jours dans {count} jour",
+    other: "{name} aura {days} jours dans {count} jours",
+  },
+  "reminders.openToday": "Ouvrez l'application pour voir l'âge complet",
+
+  "pwa.title": "Installer le calculateur d'âge ?",
+  "pwa.text":
+    "Profitez d'une expérience rapide et hors ligne sur votre appareil.",
+  "pwa.install": "Installer",
+  "pwa.dismiss": "Ignorer",
+});
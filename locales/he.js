@@ -0,0 +1,456 @@
+/**
+ * Hebrew messages (right-to-left)
+ */
+
+I18n.addCatalog("he", {
+  "app.documentTitle": "מחשבון גיל",
+  "app.description":
+    "חשבו את הגיל המדויק בשנים, חודשים וימים עם מחשבון הגיל המודרני שלנו",
+  "app.title": "מחשבון גיל",
+  "app.language": "שפה",
+  "app.themeToggle": "החלפת מצב כהה",
+  "app.info": "איך זה עובד",
+  "app.infoText":
+    "הזינו תאריך לידה כדי לחשב את הגיל המדויק בשנים, חודשים וימים. האפליקציה מתחשבת בשנים מעוברות ובודקת את תקינות כל התאריכים. עברו להפרש תאריכים כדי למדוד את הזמן בין שני תאריכים כלשהם. ספירת הימים כוללת את תאריך ההתחלה אך לא את תאריך הסיום.",
+
+  "mode.label": "מצב חישוב",
+  "mode.age": "גיל",
+  "mode.difference": "הפרש תאריכים",
+  "mode.eligibility": "זכאות",
+  "mode.reverse": "תאריך לידה לפי גיל",
+  "mode.arithmetic": "חיבור וחיסור",
+
+  "form.label": "שם או תווית (אופציונלי)",
+  "form.labelPlaceholder": "למשל: סבתא",
+  "form.calendar": "לוח שנה",
+  "form.calendarDate": "תאריך לועזי: {date}",
+  "form.startDate": "תאריך התחלה",
+  "form.day": "יום",
+  "form.month": "חודש",
+  "form.year": "שנה",
+  "form.hour": "שעה",
+  "form.minute": "דקה",
+  "form.dayPlaceholder": "יי",
+  "form.monthPlaceholder": "חח",
+  "form.yearPlaceholder": "שששש",
+  "form.hourPlaceholder": "שש",
+  "form.minutePlaceholder": "דד",
+  "form.birthTime": "שעת לידה (אופציונלי)",
+  "form.timeZones": "אזורי זמן",
+  "form.birthTimeZone": "אזור הזמן של הלידה",
+  "form.currentTimeZone": "אזור הזמן הנוכחי",
+  "form.asOfToggle": "חישוב הגיל בתאריך מסוים",
+  "form.asOf": "הגיל נכון ל",
+  "form.endDate": "תאריך סיום",
+  "form.knownOn": "התאריך שבו הגיל היה ידוע",
+  "form.knownAge": "גיל ידוע",
+  "form.knownYears": "שנים",
+  "form.knownMonths": "חודשים (לא חובה)",
+  "form.knownDays": "ימים (לא חובה)",
+  "form.duration": "משך",
+  "form.direction": "חיבור או חיסור",
+  "form.directionAdd": "חיבור",
+  "form.directionSubtract": "חיסור",
+  "form.monthEnd": "יום שחסר בחודש",
+  "form.monthEndAnniversary":
+    "היום הבא, כמו בספירת גיל (31 בינואר + חודש = 1 במרץ)",
+  "form.monthEndClamp": "היום האחרון בחודש (31 בינואר + חודש = 28 בפברואר)",
+  "form.monthEndOverflow": "העברת הימים העודפים (31 בינואר + חודש = 3 במרץ)",
+  "form.durationYears": "שנים",
+  "form.durationMonths": "חודשים",
+  "form.durationWeeks": "שבועות",
+  "form.durationDays": "ימים",
+  "form.inclusive": "כולל תאריך הסיום (הוספת יום אחד)",
+  "form.calculate": "חישוב",
+  "form.calculateLabel": "חישוב גיל",
+  "form.clear": "ניקוי הכול",
+  "form.history": "היסטוריה",
+  "form.people": "אנשים",
+  "form.batch": "אצווה",
+  "form.dateText": "הקלדה או הדבקה של תאריך (אופציונלי)",
+  "form.dateTextPlaceholder": "למשל 1990-03-12 או 12 במרץ 1990",
+  "form.dateTextRead": "נקרא כ־{date}",
+  "form.dateTextAmbiguous": "תאריך דו־משמעי, נקרא כ־{date}",
+  "form.dateTextUse": "להשתמש ב־{date} במקום",
+  "form.dateTextInvalid": "לא ניתן לקרוא תאריך מהטקסט הזה",
+
+  "calendar.gregory": "גרגוריאני",
+  "calendar.islamic-umalqura": "הג'רי (אום אל־קורא)",
+  "calendar.hebrew": "עברי",
+  "calendar.persian": "פרסי",
+  "calendar.chinese": "סיני",
+
+  "reckoning.east-asian": "גיל מזרח אסייתי",
+  "reckoning.east-asianNote": "נספר מ־1 בלידה ועולה בשנה בכל 1 בינואר",
+  "reckoning.east-asian-lunar": "גיל מזרח אסייתי (ראש השנה הירחי)",
+  "reckoning.east-asian-lunarNote":
+    "נספר מ־1 בלידה ועולה בשנה בכל ראש שנה ירחי",
+  "reckoning.korean-year": "גיל שנתי קוריאני",
+  "reckoning.korean-yearNote":
+    "השנה הנוכחית פחות שנת הלידה, משמש לחלק ממגבלות הגיל החוקיות בקוריאה",
+
+  "settings.title": "הגדרות",
+  "settings.leapDay": "ימי הולדת ב־29 בפברואר",
+  "settings.leapDayFeb28": "ב־28 בפברואר בשנים פשוטות",
+  "settings.leapDayMar1": "ב־1 במרץ בשנים פשוטות",
+  "settings.dateOrder": "סדר שדות התאריך",
+  "settings.dateOrderAuto": "אוטומטי (לפי השפה)",
+  "settings.dateOrderDMY": "יום, חודש, שנה",
+  "settings.dateOrderMDY": "חודש, יום, שנה",
+  "settings.dateOrderYMD": "שנה, חודש, יום",
+  "settings.ageReckoning": "שיטת חישוב הגיל",
+  "settings.reckoningInternational": "בינלאומית (שנים שלמות)",
+  "settings.dayCount": "מוסכמת הגיל העשרוני",
+  "settings.decimalRounding": "עיגול הגיל העשרוני",
+  "settings.roundingTruncate": "קיטוע",
+  "settings.roundingRound": "עיגול",
+  "settings.roundingNearest": "הגיל ביום ההולדת הקרוב",
+  "settings.minYear": "השנה המוקדמת ביותר",
+  "settings.yearsAhead": "שנים קדימה מותרות",
+  "settings.calendarReform": "תאריכים לפני הרפורמה הגרגוריאנית",
+  "settings.reformProleptic": "גרגוריאני פרולפטי",
+  "settings.reformJulian": "יוליאני עד המעבר",
+  "settings.gregorianSwitch": "המעבר ללוח הגרגוריאני",
+  "settings.switch1582": "15 באוקטובר 1582 (אירופה הקתולית)",
+  "settings.switch1700": "1 במרץ 1700 (גרמניה הפרוטסטנטית, דנמרק, נורווגיה)",
+  "settings.switch1752": "14 בספטמבר 1752 (בריטניה הגדולה והמושבות)",
+  "settings.switch1918": "14 בפברואר 1918 (רוסיה)",
+  "settings.switch1923": "1 במרץ 1923 (יוון)",
+  "settings.remindMe": "תזכורת",
+  "settings.remindOnDay": "ביום עצמו",
+  "settings.remindDaysBefore": {
+    one: "יום אחד לפני",
+    two: "יומיים לפני",
+    other: "{count} ימים לפני",
+  },
+  "settings.remindWeekBefore": "שבוע לפני",
+  "settings.reminders": "תזכורות ימי הולדת לאנשים שמורים",
+  "settings.milestones": "תזכורת גם בכל {days} ימי חיים",
+  "settings.remindersUnsupported": "הדפדפן הזה לא תומך בתזכורות",
+  "settings.remindersBlocked": "אפשרו התראות מהאתר הזה כדי לקבל תזכורות",
+
+  "error.dayRequired": "יש להזין יום",
+  "error.dayRange": "היום חייב להיות בין 1 ל־31",
+  "error.daysInMonth": {
+    one: "ב{month} יש רק יום אחד",
+    two: "ב{month} יש רק יומיים",
+    other: "ב{month} יש רק {count} ימים",
+  },
+  "error.monthRequired": "יש להזין חודש",
+  "error.monthRange": "החודש חייב להיות בין 1 ל־12",
+  "error.calendarMonthRange": "החודש חייב להיות בין 1 ל־{max}",
+  "error.yearRequired": "יש להזין שנה",
+  "error.yearRange": "השנה חייבת להיות בין {min} ל־{max}",
+  "error.skippedDay": "התאריך הזה דולג במעבר ללוח הגרגוריאני ב־{date}",
+  "error.hourRequired": "יש להזין שעה כשמוזנות דקות",
+  "error.hourRange": "השעה חייבת להיות בין 0 ל־23",
+  "error.minuteRange": "הדקה חייבת להיות בין 0 ל־59",
+  "error.asOfBeforeBirth": "תאריך הלידה מאוחר מתאריך זה",
+  "error.knownYearsRequired": "יש להזין שנים",
+  "error.numberRange": "יש להזין מספר שלם בין 0 ל־{max}",
+  "error.noBirthDate": "אין תאריך לידה שנותן בדיוק את הגיל הזה בתאריך הזה",
+  "error.durationRequired": "יש להזין לפחות כמות אחת",
+  "error.calculation": "אירעה שגיאה במהלך החישוב",
+
+  "unit.years": { one: "שנה", two: "שנתיים", other: "שנים" },
+  "unit.months": { one: "חודש", two: "חודשיים", other: "חודשים" },
+  "unit.days": { one: "יום", two: "יומיים", other: "ימים" },
+  "unit.hours": { one: "שעה", two: "שעתיים", other: "שעות" },
+  "unit.minutes": { one: "דקה", other: "דקות" },
+  "unit.seconds": { one: "שנייה", other: "שניות" },
+  "count.years": { one: "שנה אחת", two: "שנתיים", other: "{count} שנים" },
+  "count.months": {
+    one: "חודש אחד",
+    two: "חודשיים",
+    other: "{count} חודשים",
+  },
+  "count.weeks": {
+    one: "שבוע אחד",
+    two: "שבועיים",
+    other: "{count} שבועות",
+  },
+  "count.days": { one: "יום אחד", two: "יומיים", other: "{count} ימים" },
+  "count.hours": { one: "שעה אחת", two: "שעתיים", other: "{count} שעות" },
+  "count.seconds": { one: "שנייה אחת", other: "{count} שניות" },
+  "count.yearsMonthsDays": "{years}, {months} ו{days}",
+  "count.weeksAndDays": "{weeks} ו{days}",
+
+  "results.title": "הגיל שלך",
+  "results.close": "סגירת התוצאות",
+  "results.ageOn": "הגיל ב־{date}",
+  "results.difference": "הפרש תאריכים",
+  "results.timeUntil": "הזמן עד התאריך",
+  "results.bornOn": "נולד ב־{date}",
+  "results.futureDate": "תאריך עתידי: {date}",
+  "results.leapDayFeb28":
+    "נולד ב־29 בפברואר: בשנים פשוטות יום ההולדת נספר ב־28 בפברואר",
+  "results.leapDayMar1":
+    "נולד ב־29 בפברואר: בשנים פשוטות יום ההולדת נספר ב־1 במרץ",
+  "results.calendarBorn": "{calendar}: נולד ב־{date}",
+  "results.calendarAge": "{calendar}: {age}, יום ההולדת הבא ב־{date}",
+  "results.reckonedAge": "{name}: {age} (גיל בינלאומי {international})",
+  "results.decimalAge": "גיל עשרוני: {age}",
+  "results.nearestBirthdayAge": "הגיל ביום ההולדת הקרוב: {age}",
+  "results.julianDate": "{date} (יוליאני; {gregorian} גרגוריאני)",
+  "results.zones": "נולד ב־{birth}, נמדד ב־{current}",
+  "results.range": "מ־{start} עד {end}",
+  "results.inclusive": "{date} (כולל)",
+  "results.totalDays": "כלומר בערך {total} ימים בסך הכול!",
+
+  "stats.title": "סטטיסטיקות נוספות",
+  "stats.weeks": "הגיל בשבועות",
+  "stats.days": "הגיל בימים",
+  "stats.hours": "הגיל בשעות",
+  "stats.minutes": "הגיל בדקות",
+  "stats.seconds": "הגיל בשניות",
+  "stats.birthdays": "ימי הולדת שנחגגו",
+  "stats.leapDays": "ימים מעוברים שנחוו",
+  "stats.weekday": "יום הלידה בשבוע",
+  "stats.zodiacSign": "מזל",
+  "stats.chineseZodiac": "המזל הסיני",
+  "stats.birthstone": "אבן המזל",
+  "stats.planetAge": "הגיל על {planet}",
+  "zodiac.aries": "טלה",
+  "zodiac.taurus": "שור",
+  "zodiac.gemini": "תאומים",
+  "zodiac.cancer": "סרטן",
+  "zodiac.leo": "אריה",
+  "zodiac.virgo": "בתולה",
+  "zodiac.libra": "מאזניים",
+  "zodiac.scorpio": "עקרב",
+  "zodiac.sagittarius": "קשת",
+  "zodiac.capricorn": "גדי",
+  "zodiac.aquarius": "דלי",
+  "zodiac.pisces": "דגים",
+  "chineseZodiac.rat": "עכברוש",
+  "chineseZodiac.ox": "שור",
+  "chineseZodiac.tiger": "נמר",
+  "chineseZodiac.rabbit": "ארנב",
+  "chineseZodiac.dragon": "דרקון",
+  "chineseZodiac.snake": "נחש",
+  "chineseZodiac.horse": "סוס",
+  "chineseZodiac.goat": "עז",
+  "chineseZodiac.monkey": "קוף",
+  "chineseZodiac.rooster": "תרנגול",
+  "chineseZodiac.dog": "כלב",
+  "chineseZodiac.pig": "חזיר",
+  "birthstone.garnet": "גרנט",
+  "birthstone.amethyst": "אמטיסט",
+  "birthstone.aquamarine": "אקוומרין",
+  "birthstone.diamond": "יהלום",
+  "birthstone.emerald": "ברקת",
+  "birthstone.pearl": "פנינה",
+  "birthstone.ruby": "אודם",
+  "birthstone.peridot": "פרידוט",
+  "birthstone.sapphire": "ספיר",
+  "birthstone.opal": "אופל",
+  "birthstone.topaz": "טופז",
+  "birthstone.turquoise": "טורקיז",
+  "planet.mercury": "כוכב חמה",
+  "planet.venus": "נוגה",
+  "planet.mars": "מאדים",
+  "planet.jupiter": "צדק",
+  "planet.saturn": "שבתאי",
+  "planet.uranus": "אורנוס",
+  "planet.neptune": "נפטון",
+
+  "milestones.title": "אבני דרך",
+  "milestones.halfBirthday": "חצי יום הולדת ({age}½)",
+  "milestones.palindrome": "תאריך פלינדרום ({digits})",
+  "milestones.today": "היום! 🎉",
+  "milestones.in": {
+    one: "בעוד יום אחד",
+    two: "בעוד יומיים",
+    other: "בעוד {count} ימים",
+  },
+  "milestones.ago": {
+    one: "לפני יום אחד",
+    two: "לפני יומיים",
+    other: "לפני {count} ימים",
+  },
+
+  "export.download": "הורדת לוח שנה (.ics)",
+  "export.includeMilestones": "כולל אבני הדרך הקרובות",
+  "export.calendarName": "ימי הולדת",
+  "export.birthday": "יום הולדת",
+  "export.named": "{name}: {event}",
+
+  "share.share": "שיתוף קישור",
+  "share.copyLink": "העתקת קישור",
+  "share.copied": "הקישור הועתק",
+
+  "card.layout": "פריסת התמונה",
+  "card.square": "ריבוע",
+  "card.story": "סטורי",
+  "card.banner": "באנר",
+  "card.export": "ייצוא תמונה",
+
+  "history.title": "היסטוריה",
+  "history.close": "סגירת ההיסטוריה",
+  "history.search": "חיפוש לפי תווית, תאריך או מצב",
+  "history.searchLabel": "חיפוש בהיסטוריה",
+  "history.empty": "אין עדיין חישובים שמורים",
+  "history.defaultAge": "גיל",
+  "history.defaultDifference": "הפרש תאריכים",
+  "history.defaultEligibility": "בדיקת זכאות",
+  "history.defaultReverse": "תאריך לידה לפי גיל",
+  "history.defaultArithmetic": "חישוב תאריכים",
+  "history.modeAge": "גיל",
+  "history.modeDifference": "הפרש",
+  "history.modeEligibility": "זכאות",
+  "history.modeReverse": "הפוך",
+  "history.modeArithmetic": "חיבור וחיסור",
+  "history.rerun": "חישוב מחדש",
+  "history.pin": "הצמדה",
+  "history.unpin": "ביטול הצמדה",
+  "history.delete": "מחיקה",
+
+  "people.title": "ימי הולדת קרובים",
+  "people.close": "סגירת ימי ההולדת הקרובים",
+  "people.name": "שם",
+  "people.birthDate": "תאריך לידה",
+  "people.add": "הוספה",
+  "people.empty":
+    "אין עדיין אנשים שמורים. הוסיפו מישהו למעלה כדי לראות את יום ההולדת הבא שלו.",
+  "people.nameRequired": "יש להזין שם",
+  "people.invalidDate": "יש להזין תאריך לידה תקין",
+  "people.saveFailed": "לא ניתן היה לשמור את האדם הזה",
+  "people.notBorn": "עדיין לא נולד",
+  "people.turnsToday": "חוגג {age} היום! 🎉",
+  "people.turnsTomorrow": "חוגג {age} מחר",
+  "people.turnsIn": {
+    one: "חוגג {age} בעוד יום אחד",
+    two: "חוגג {age} בעוד יומיים",
+    other: "חוגג {age} בעוד {count} ימים",
+  },
+  "people.due": "צפוי ב־{date}",
+  "people.age": "גיל {age}",
+  "people.born": "נולד ב־{date}",
+  "people.next": "הבא: {date}",
+  "people.delete": "מחיקה",
+  "people.deleteLabel": "מחיקת {name}",
+
+  "batch.title": "גילים באצווה",
+  "batch.close": "סגירת גילים באצווה",
+  "batch.hint":
+    "אדם אחד בכל שורה: שם, תאריך לידה ותאריך רשות שלפיו מחושב הגיל. הדביקו שורות מגיליון אלקטרוני או טענו קובץ CSV.",
+  "batch.placeholder": "Ada Lovelace, 1815-12-10",
+  "batch.input": "שורות לחישוב",
+  "batch.loadFile": "טעינת קובץ CSV",
+  "batch.calculate": "חישוב גילים",
+  "batch.search": "סינון לפי שם או תאריך",
+  "batch.searchLabel": "סינון שורות",
+  "batch.show": "שורות להצגה",
+  "batch.showAll": "כל השורות",
+  "batch.showValid": "חושבו",
+  "batch.showInvalid": "עם שגיאות",
+  "batch.row": "שורה",
+  "batch.name": "שם",
+  "batch.birthDate": "תאריך לידה",
+  "batch.asOf": "הגיל נכון ל",
+  "batch.age": "גיל",
+  "batch.totalDays": "סך הימים",
+  "batch.years": "שנים",
+  "batch.months": "חודשים",
+  "batch.days": "ימים",
+  "batch.error": "שגיאה",
+  "batch.noMatches": "אין שורות שתואמות לסינון",
+  "batch.export": "ייצוא CSV",
+  "batch.summary": "{read}, {invalid}",
+  "batch.rowsRead": {
+    one: "שורה אחת נקראה",
+    two: "שתי שורות נקראו",
+    other: "{count} שורות נקראו",
+  },
+  "batch.rowsInvalid": {
+    one: "אחת עם שגיאה",
+    two: "שתיים עם שגיאות",
+    other: "{count} עם שגיאות",
+  },
+  "batch.birthError": "תאריך לידה: {error}",
+  "batch.asOfError": "תאריך החישוב: {error}",
+  "batch.notBorn": "נולד אחרי תאריך החישוב",
+  "batch.dateRequired": "יש להזין תאריך לידה",
+  "batch.today": "היום",
+
+  "rule.title": "כלל גיל",
+  "rule.preset": "תבנית",
+  "rule.name": "שם הכלל",
+  "rule.type": "כלל",
+  "rule.typeOnDate": "הגיל בתאריך הקובע",
+  "rule.typeTurnsBefore": "מגיע לגיל המינימלי לפני התאריך הקובע",
+  "rule.cutoff": "תאריך קובע",
+  "rule.cutoffToday": "היום",
+  "rule.cutoffYearly": "בכל שנה ב־",
+  "rule.cutoffDate": "בתאריך מסוים",
+  "rule.minAge": "גיל מינימלי",
+  "rule.maxAge": "גיל מקסימלי",
+  "rule.date": "תאריך",
+  "rule.save": "שמירת התבנית",
+  "rule.saveNew": "שמירה כתבנית חדשה",
+  "rule.delete": "מחיקת התבנית",
+  "rule.saved": "התבנית נשמרה",
+  "rule.untitled": "כלל מותאם",
+  "rule.errorAgeRange": "הגילים חייבים להיות מספרים שלמים מ־0 עד 150",
+  "rule.errorMinRequired": "יש להזין גיל מינימלי",
+  "rule.errorAge": "יש להזין גיל מינימלי או מקסימלי",
+  "rule.errorMaxBelowMin": "הגיל המקסימלי לא יכול להיות נמוך מהמינימלי",
+  "rule.errorCutoff": "יש להזין תאריך קובע תקין",
+  "rule.describeTurns": "{name}: מגיע לגיל {min} לפני {date}",
+  "rule.describeRange": "{name}: {min} עד {max} ב־{date}",
+  "rule.describeMin": "{name}: לפחות {min} ב־{date}",
+  "rule.describeMax": "{name}: לכל היותר {max} ב־{date}",
+  "rule.presetSchool": "כניסה לבית הספר (5 לפני 1 בספטמבר)",
+  "rule.presetDriving": "גיל נהיגה (17)",
+  "rule.presetVoting": "גיל הצבעה (18)",
+  "rule.presetMinor": "קטין (מתחת ל־18)",
+  "rule.presetRetirement": "גיל פרישה (67)",
+
+  "eligibility.eligible": "זכאי",
+  "eligibility.notEligible": "לא זכאי",
+  "eligibility.tooYoung": "צעיר מדי ב־{gap}",
+  "eligibility.tooOld": "מבוגר מדי ב־{gap}",
+  "eligibility.aboveMin": "מעל הגיל המינימלי ב־{gap}",
+  "eligibility.belowMax": "נותרו {gap} עד חריגה מהגיל המקסימלי",
+  "eligibility.justEligible": "בדיוק בגיל המינימלי",
+  "eligibility.windowRange": "זכאי מ־{from} עד {until}",
+  "eligibility.windowFrom": "זכאי החל מ־{from}",
+  "eligibility.windowUntil": "זכאי עד {until}",
+  "eligibility.never": "לא זכאי לעולם לפי כלל זה",
+
+  "reverse.title": "תאריכי לידה אפשריים",
+  "reverse.exactTitle": "תאריך לידה",
+  "reverse.bornOn": "נולד ב־{date}",
+  "reverse.bornBetween": "נולד בין {from} ל־{until}",
+  "reverse.count": {
+    one: "תאריך הלידה היחיד עם הגיל הזה ב־{date}",
+    two: "שני תאריכי לידה אפשריים עם הגיל הזה ב־{date}",
+    other: "{count} תאריכי לידה אפשריים עם הגיל הזה ב־{date}",
+  },
+
+  "arithmetic.title": "התאריך המתקבל",
+  "arithmetic.after": "{duration} אחרי {date}",
+  "arithmetic.before": "{duration} לפני {date}",
+  "arithmetic.use": "שימוש בתאריך הזה בטופס",
+
+  "reminders.birthdayToday": "{name} חוגג {age} היום",
+  "reminders.birthdayTomorrow": "{name} חוגג {age} מחר",
+  "reminders.birthdayIn": {
+    one: "{name} חוגג {age} בעוד יום אחד",
+    two: "{name} חוגג {age} בעוד יומיים",
+    other: "{name} חוגג {age} בעוד {count} ימים",
+  },
+  "reminders.milestoneToday": "{name} בן {days} ימים היום",
+  "reminders.milestoneTomorrow": "{name} יהיה בן {days} ימים מחר",
+  "reminders.milestoneIn": {
+    one: "{name} יהיה בן {days} ימים בעוד יום אחד",
+    two: "{name} יהיה בן {days} ימים בעוד יומיים",
+    other: "{name} יהיה בן {days} ימים בעוד {count} ימים",
+  },
+  "reminders.openToday": "פתחו את האפליקציה כדי לראות את הגיל המלא",
+
+  "pwa.title": "להתקין את מחשבון הגיל?",
+  "pwa.text": "חוויה מהירה שעובדת גם ללא חיבור במכשיר שלכם.",
+  "pwa.install": "התקנה",
+  "pwa.dismiss": "לא עכשיו",
+});
@@ -0,0 +1,60 @@
+/**
+ * People Store
+ * Saved people and their birth dates, kept in IndexedDB. Entries look like:
+ *   { id, name, birthDate: "YYYY-MM-DD", createdAt }
+ * Needs DateEngine for the upcoming-birthday summary
+ */
+
+const PeopleStore = (() => {
+  const STORE_NAME = "people";
+
+  function list() {
+    return AppDatabase.getAll(STORE_NAME);
+  }
+
+  function get(id) {
+    return AppDatabase.get(STORE_NAME, id);
+  }
+
+  function add(person) {
+    return AppDatabase.add(STORE_NAME, { ...person, createdAt: Date.now() });
+  }
+
+  function remove(id) {
+    return AppDatabase.delete(STORE_NAME, id);
+  }
+
+  /**
+   * People with their age and next birthday on `today`, soonest birthday
+   * first. People not born yet go last
+   */
+  function getUpcomingBirthdays(people, today, leapDayPolicy) {
+    return people
+      .map((person) => {
+        const birthDate = DateEngine.parseISODate(person.birthDate);
+        if (!birthDate) return null;
+
+        const age = DateEngine.calculateAge(birthDate, today, {
+          leapDayPolicy,
+        });
+        const isBirthdayToday = age.daysUntilBirthday === 0;
+
+        return {
+          ...person,
+          age,
+          isBirthdayToday,
+          turningAge: isBirthdayToday ? age.years : age.years + 1,
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => {
+        if (a.age.isFuture !== b.age.isFuture) return a.age.isFuture ? 1 : -1;
+        return (
+          a.age.daysUntilBirthday - b.age.daysUntilBirthday ||
+          a.name.localeCompare(b.name)
+        );
+      });
+  }
+
+  return Object.freeze({ list, get, add, remove, getUpcomingBirthdays });
+})();
@@ -0,0 +1,185 @@
+/**
+ * Reminders
+ * Local birthday and milestone reminders for saved people, raised by the
+ * service worker without a push server. Preferences are kept in IndexedDB
+ * rather than localStorage so the service worker can read them, next to a
+ * marker for every reminder already shown
+ * Needs DateEngine, I18n (with its catalogs), AppDatabase and PeopleStore
+ */
+
+const Reminders = (() => {
+  const STORE_NAME = "reminders";
+  const PREFERENCES_KEY = "preferences";
+  const SENT_PREFIX = "sent:";
+
+  const DEFAULT_PREFERENCES = Object.freeze({
+    enabled: false,
+    daysBefore: 1,
+    milestones: true,
+    timeZone: null,
+    leapDayPolicy: DateEngine.DEFAULT_LEAP_DAY_POLICY,
+    language: I18n.DEFAULT_LANGUAGE,
+  });
+
+  // Days-alive milestones come every this many days (1,000, 2,000, ...)
+  const MILESTONE_INTERVAL = 1000;
+
+  // Markers for reminders shown longer ago than this are dropped
+  const SENT_RETENTION_MS = 400 * 24 * 60 * 60 * 1000;
+
+  async function getPreferences() {
+    const { key, ...stored } =
+      (await AppDatabase.get(STORE_NAME, PREFERENCES_KEY)) || {};
+    return { ...DEFAULT_PREFERENCES, ...stored };
+  }
+
+  function savePreferences(preferences) {
+    return AppDatabase.put(STORE_NAME, {
+      ...preferences,
+      key: PREFERENCES_KEY,
+    });
+  }
+
+  function formatDate(date) {
+    return I18n.formatDate(date, {
+      weekday: "long",
+      month: "long",
+      day: "numeric",
+    });
+  }
+
+  // Message for an event `days` away from the "Today", "Tomorrow" and
+  // "In" variants of `key`
+  function describe(key, days, params) {
+    if (days === 0) return I18n.t(`${key}Today`, params);
+    if (days === 1) return I18n.t(`${key}Tomorrow`, params);
+    return I18n.t(`${key}In`, { ...params, count: days });
+  }
+
+  // One reminder for an event `days` away, tagged so it is shown only once
+  function createReminder(person, event, days, title, eventDate) {
+    return {
+      tag: `${event}-${days === 0 ? "today" : "ahead"}`,
+      personId: person.id,
+      title,
+      body: days === 0 ? I18n.t("reminders.openToday") : formatDate(eventDate),
+    };
+  }
+
+  /**
+   * Reminders due on `today` for each person: their birthday and, when
+   * `milestones` is set, the next round number of days alive. Each event
+   * is due from `daysBefore` days ahead, so a missed check still catches
+   * it, and again on the day
+   */
+  function getDueReminders(people, today, options = {}) {
+    const { daysBefore, milestones, leapDayPolicy } = {
+      ...DEFAULT_PREFERENCES,
+      ...options,
+    };
+    const reminders = [];
+
+    people.forEach((person) => {
+      const birthDate = DateEngine.parseISODate(person.birthDate);
+      if (!birthDate) return;
+
+      const age = DateEngine.calculateAge(birthDate, today, { leapDayPolicy });
+      if (age.isFuture) return;
+
+      const untilBirthday = age.daysUntilBirthday;
+      if (untilBirthday <= daysBefore) {
+        const turning = untilBirthday === 0 ? age.years : age.years + 1;
+        reminders.push(
+          createReminder(
+            person,
+            `birthday-${person.id}-${DateEngine.formatISODate(
+              age.nextBirthday
+            )}`,
+            untilBirthday,
+            describe("reminders.birthday", untilBirthday, {
+              name: person.name,
+              age: turning,
+            }),
+            age.nextBirthday
+          )
+        );
+      }
+
+      if (!milestones) return;
+
+      const milestone =
+        Math.ceil(age.totalDays / MILESTONE_INTERVAL) * MILESTONE_INTERVAL;
+      const untilMilestone = milestone - age.totalDays;
+      if (milestone > 0 && untilMilestone <= daysBefore) {
+        reminders.push(
+          createReminder(
+            person,
+            `milestone-${person.id}-${milestone}`,
+            untilMilestone,
+            describe("reminders.milestone", untilMilestone, {
+              name: person.name,
+              days: milestone,
+            }),
+            DateEngine.addDays(today, untilMilestone)
+          )
+        );
+      }
+    });
+
+    return reminders;
+  }
+
+  /**
+   * Reminders due now that have not been shown yet. Resolves to an empty
+   * list while reminders are turned off
+   */
+  async function collectPending(now = new Date()) {
+    const preferences = await getPreferences();
+    if (!preferences.enabled) return [];
+
+    I18n.setLanguage(preferences.language);
+
+    const today = DateEngine.toZonedDay(
+      now,
+      preferences.timeZone || DateEngine.getLocalTimeZone()
+    );
+    const due = getDueReminders(await PeopleStore.list(), today, preferences);
+
+    const records = await AppDatabase.getAll(STORE_NAME);
+    const sent = new Set();
+    const expired = [];
+
+    records.forEach((record) => {
+      if (!record.key.startsWith(SENT_PREFIX)) return;
+
+      if (now - record.sentAt > SENT_RETENTION_MS) {
+        expired.push(record.key);
+      } else {
+        sent.add(record.key.slice(SENT_PREFIX.length));
+      }
+    });
+
+    await Promise.all(
+      expired.map((key) => AppDatabase.delete(STORE_NAME, key))
+    );
+
+    return due.filter((reminder) => !sent.has(reminder.tag));
+  }
+
+  function markSent(reminder) {
+    return AppDatabase.put(STORE_NAME, {
+      key: SENT_PREFIX + reminder.tag,
+      sentAt: Date.now(),
+    });
+  }
+
+  return Object.freeze({
+    DEFAULT_PREFERENCES,
+    MILESTONE_INTERVAL,
+    getPreferences,
+    savePreferences,
+    getDueReminders,
+    collectPending,
+    markSent,
+  });
+})();
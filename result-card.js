@@ -0,0 +1,227 @@
+/**
+ * Result Card
+ * Draws a calculation onto a fixed-size canvas for sharing as a PNG.
+ * Cards look like:
+ *   { title, values: [{ value, label }], lines: [text], footer }
+ * and are painted in the colors of the current theme, with the bundled
+ * Poppins fonts so the image never depends on the network
+ */
+
+const ResultCard = (() => {
+  const LAYOUTS = Object.freeze({
+    square: { width: 1080, height: 1080 },
+    story: { width: 1080, height: 1920 },
+    banner: { width: 1500, height: 500 },
+  });
+
+  const DEFAULT_LAYOUT = "square";
+
+  const FONT_FAMILY = "Poppins";
+  const FONT_FALLBACK = "sans-serif";
+  const FONT_FILES = [
+    { weight: "400", file: "Poppins-Regular.ttf" },
+    { weight: "700", file: "Poppins-Bold.ttf" },
+    { weight: "800", file: "Poppins-ExtraBold.ttf" },
+  ];
+
+  // CSS custom properties the card is painted with
+  const THEME_PROPERTIES = {
+    background: "--bg-primary",
+    surface: "--bg-secondary",
+    text: "--text-primary",
+    muted: "--text-secondary",
+    accent: "--primary-color",
+    accentAlt: "--secondary-color",
+  };
+
+  let fontsLoaded = null;
+
+  // Loaded once per page; a missing font falls back rather than failing
+  function loadFonts() {
+    if (!fontsLoaded) {
+      fontsLoaded =
+        typeof FontFace === "undefined"
+          ? Promise.resolve()
+          : Promise.all(
+              FONT_FILES.map(({ weight, file }) =>
+                new FontFace(FONT_FAMILY, `url(assets/fonts/${file})`, {
+                  weight,
+                })
+                  .load()
+                  .then((face) => document.fonts.add(face))
+                  .catch((error) => {
+                    console.warn(`Could not load ${file}:`, error);
+                  })
+              )
+            );
+    }
+    return fontsLoaded;
+  }
+
+  function getTheme(element = document.documentElement) {
+    const style = getComputedStyle(element);
+    return Object.fromEntries(
+      Object.entries(THEME_PROPERTIES).map(([key, property]) => [
+        key,
+        style.getPropertyValue(property).trim(),
+      ])
+    );
+  }
+
+  function font(weight, size) {
+    return `${weight} ${Math.round(size)}px ${FONT_FAMILY}, ${FONT_FALLBACK}`;
+  }
+
+  // Shrinks the font until the text fits the width
+  function fillFittedText(context, text, x, y, { weight, size, maxWidth }) {
+    let fitted = size;
+    context.font = font(weight, fitted);
+    while (fitted > 8 && context.measureText(text).width > maxWidth) {
+      fitted *= 0.92;
+      context.font = font(weight, fitted);
+    }
+    context.fillText(text, x, y);
+  }
+
+  function roundedRect(context, x, y, width, height, radius) {
+    context.beginPath();
+    context.moveTo(x + radius, y);
+    context.arcTo(x + width, y, x + width, y + height, radius);
+    context.arcTo(x + width, y + height, x, y + height, radius);
+    context.arcTo(x, y + height, x, y, radius);
+    context.arcTo(x, y, x + width, y, radius);
+    context.closePath();
+  }
+
+  /**
+   * Paints `card` onto `canvas`, resizing it to the layout. Sizes are
+   * relative to the shorter side so every layout keeps its proportions
+   */
+  function draw(canvas, card, { layout = DEFAULT_LAYOUT, theme, direction }) {
+    const { width, height } = LAYOUTS[layout] || LAYOUTS[DEFAULT_LAYOUT];
+    canvas.width = width;
+    canvas.height = height;
+
+    const context = canvas.getContext("2d");
+    const unit = Math.min(width, height) / 8;
+    const margin = unit * 0.5;
+    const innerWidth = width - margin * 2;
+
+    context.fillStyle = theme.background;
+    context.fillRect(0, 0, width, height);
+
+    const gradient = context.createLinearGradient(0, 0, width, 0);
+    gradient.addColorStop(0, theme.accent);
+    gradient.addColorStop(1, theme.accentAlt || theme.accent);
+    context.fillStyle = gradient;
+    context.fillRect(0, 0, width, unit * 0.12);
+
+    context.direction = direction || "ltr";
+    context.textAlign = "center";
+    context.textBaseline = "alphabetic";
+
+    // Stack height, so the content sits in the middle of the card
+    const titleSize = unit * 0.42;
+    const numberSize = unit * 1.2;
+    const labelSize = unit * 0.3;
+    const lineSize = unit * 0.28;
+    const gap = unit * 0.4;
+    const boxHeight = numberSize + labelSize + unit * 0.6;
+    const stackHeight =
+      titleSize + gap + boxHeight + card.lines.length * (lineSize + gap / 2);
+    let y = Math.max(margin + titleSize, (height - stackHeight) / 2);
+
+    context.fillStyle = theme.text;
+    fillFittedText(context, card.title, width / 2, y, {
+      weight: 700,
+      size: titleSize,
+      maxWidth: innerWidth,
+    });
+    y += gap;
+
+    const columnWidth = innerWidth / card.values.length;
+    const boxGap = unit * 0.15;
+    card.values.forEach(({ value, label }, index) => {
+      // Columns run from the reading start, right to left in RTL
+      const column =
+        context.direction === "rtl" ? card.values.length - 1 - index : index;
+      const left = margin + column * columnWidth + boxGap / 2;
+      const center = left + (columnWidth - boxGap) / 2;
+
+      context.fillStyle = theme.surface;
+      roundedRect(context, left, y, columnWidth - boxGap, boxHeight, unit / 4);
+      context.fill();
+
+      context.fillStyle = theme.accent;
+      fillFittedText(context, value, center, y + unit * 0.2 + numberSize, {
+        weight: 800,
+        size: numberSize,
+        maxWidth: columnWidth - boxGap - unit * 0.3,
+      });
+      context.fillStyle = theme.muted;
+      fillFittedText(
+        context,
+        label,
+        center,
+        y + unit * 0.3 + numberSize + labelSize,
+        {
+          weight: 400,
+          size: labelSize,
+          maxWidth: columnWidth - boxGap - unit * 0.3,
+        }
+      );
+    });
+    y += boxHeight + gap;
+
+    context.fillStyle = theme.text;
+    card.lines.forEach((line) => {
+      y += lineSize;
+      fillFittedText(context, line, width / 2, y, {
+        weight: 400,
+        size: lineSize,
+        maxWidth: innerWidth,
+      });
+      y += gap / 2;
+    });
+
+    if (card.footer) {
+      context.fillStyle = theme.muted;
+      fillFittedText(context, card.footer, width / 2, height - margin / 2, {
+        weight: 700,
+        size: unit * 0.22,
+        maxWidth: innerWidth,
+      });
+    }
+
+    return canvas;
+  }
+
+  /**
+   * PNG of `card` in a layout, once the fonts are in. Options as for
+   * draw(); the theme defaults to the page's current one
+   */
+  async function render(card, options = {}) {
+    await loadFonts();
+
+    const canvas = draw(document.createElement("canvas"), card, {
+      ...options,
+      theme: options.theme || getTheme(),
+    });
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob((blob) => {
+        if (blob) resolve(blob);
+        else reject(new Error("Could not encode the card image"));
+      }, "image/png");
+    });
+  }
+
+  return Object.freeze({
+    LAYOUTS,
+    DEFAULT_LAYOUT,
+    loadFonts,
+    getTheme,
+    draw,
+    render,
+  });
+})();
@@ -3,15 +3,49 @@
  * Provides offline functionality and caching
  */
 
-const CACHE_NAME = "age-calculator-v1.0.0";
-const STATIC_CACHE = "age-calculator-static-v1.0.0";
-const DYNAMIC_CACHE = "age-calculator-dynamic-v1.0.0";
+// Shared with the page: the date engine, translations for reminder text
+// and IndexedDB access for the calculation history, saved people and
+// reminders
+importScripts(
+  "date-engine.js",
+  "i18n.js",
+  "locales/en.js",
+  "locales/es.js",
+  "locales/fr.js",
+  "locales/de.js",
+  "locales/ar.js",
+  "locales/he.js",
+  "db.js",
+  "history-store.js",
+  "people-store.js",
+  "reminders.js"
+);
+
+const CACHE_NAME = "age-calculator-v2.0.0";
+const STATIC_CACHE = "age-calculator-static-v2.0.0";
+const DYNAMIC_CACHE = "age-calculator-dynamic-v2.0.0";
 
 // Files to cache for offline functionality
 const STATIC_FILES = [
   "/",
   "/index.html",
   "/style.css",
+  "/date-engine.js",
+  "/i18n.js",
+  "/locales/en.js",
+  "/locales/es.js",
+  "/locales/fr.js",
+  "/locales/de.js",
+  "/locales/ar.js",
+  "/locales/he.js",
+  "/db.js",
+  "/history-store.js",
+  "/people-store.js",
+  "/reminders.js",
+  "/ics-export.js",
+  "/result-card.js",
+  "/csv.js",
+  "/eligibility.js",
   "/app.js",
   "/manifest.json",
   "/assets/images/favicon-32x32.png",
@@ -19,11 +53,26 @@ const STATIC_FILES = [
   "/assets/fonts/Poppins-Regular.ttf",
   "/assets/fonts/Poppins-Bold.ttf",
   "/assets/fonts/Poppins-BoldItalic.ttf",
+  "/assets/fonts/Poppins-ExtraBold.ttf",
   "https://fonts.googleapis.com/css2?family=Poppins:wght@300;400;500;600;700;800&display=swap",
 ];
 
 // Network-first resources (always try to get fresh content)
-const NETWORK_FIRST = ["/app.js", "/style.css"];
+const NETWORK_FIRST = [
+  "/app.js",
+  "/date-engine.js",
+  "/i18n.js",
+  "/locales/",
+  "/db.js",
+  "/history-store.js",
+  "/people-store.js",
+  "/reminders.js",
+  "/ics-export.js",
+  "/result-card.js",
+  "/csv.js",
+  "/eligibility.js",
+  "/style.css",
+];
 
 // Cache-first resources (use cache if available)
 const CACHE_FIRST = [
@@ -225,9 +274,42 @@ self.addEventListener("sync", (event) => {
 });
 
 async function handleBackgroundCalculation() {
-  // Handle any background calculation tasks
-  // This could be used for storing calculation history, etc.
+  // Keep the calculation history consistent: drop entries that cannot be
+  // re-run and trim old unpinned ones
   console.log("Service Worker: Handling background calculation sync");
+
+  const removed = await HistoryStore.compact();
+  if (removed > 0) {
+    console.log("Service Worker: Removed stale history entries", removed);
+  }
+}
+
+/**
+ * Local Reminders
+ * Checked on periodic background sync where the browser supports it and
+ * whenever the app is opened, so no push server is needed
+ */
+self.addEventListener("periodicsync", (event) => {
+  if (event.tag === "birthday-reminders") {
+    event.waitUntil(showDueReminders());
+  }
+});
+
+async function showDueReminders() {
+  if (self.Notification && Notification.permission !== "granted") return;
+
+  const reminders = await Reminders.collectPending();
+
+  for (const reminder of reminders) {
+    await self.registration.showNotification(reminder.title, {
+      body: reminder.body,
+      tag: reminder.tag,
+      icon: "/assets/images/favicon-32x32.png",
+      badge: "/assets/images/favicon-32x32.png",
+      data: { personId: reminder.personId },
+    });
+    await Reminders.markSent(reminder);
+  }
 }
 
 /**
@@ -266,19 +348,28 @@ self.addEventListener("notificationclick", (event) => {
 
   event.notification.close();
 
+  // Reminders deep-link to the person they are about
+  const { personId } = event.notification.data || {};
+
   if (event.action === "open" || !event.action) {
     event.waitUntil(
       clients.matchAll({ type: "window" }).then((clientList) => {
         // If app is already open, focus it
         for (let client of clientList) {
-          if (client.url === self.location.origin && "focus" in client) {
+          if (
+            new URL(client.url).origin === self.location.origin &&
+            "focus" in client
+          ) {
+            if (personId) {
+              client.postMessage({ type: "OPEN_PERSON", personId });
+            }
             return client.focus();
           }
         }
 
         // Otherwise open new window
         if (clients.openWindow) {
-          return clients.openWindow("/");
+          return clients.openWindow(personId ? `/?person=${personId}` : "/");
         }
       })
     );
@@ -295,6 +386,10 @@ self.addEventListener("message", (event) => {
     self.skipWaiting();
   }
 
+  if (event.data && event.data.type === "CHECK_REMINDERS") {
+    event.waitUntil(showDueReminders());
+  }
+
   if (event.data && event.data.type === "GET_VERSION") {
     event.ports[0].postMessage({ version: CACHE_NAME });
   }
@@ -0,0 +1,36 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Csv = require("../csv.js");
+
+test("parse reads quoted fields and pasted spreadsheet rows", () => {
+  assert.deepEqual(Csv.parse('Name,Born\r\n"Smith, Ann","1990-03-12"\r\n'), [
+    ["Name", "Born"],
+    ["Smith, Ann", "1990-03-12"],
+  ]);
+  assert.deepEqual(Csv.parse("Ann\t1990-03-12\nBo\t2001-01-01"), [
+    ["Ann", "1990-03-12"],
+    ["Bo", "2001-01-01"],
+  ]);
+});
+
+test("stringify quotes delimiters, quotes and line breaks", () => {
+  assert.equal(
+    Csv.stringify([["a,b", 'say "hi"', "two\nlines"]]),
+    '"a,b","say ""hi""","two\nlines"\r\n'
+  );
+});
+
+test("stringify keeps text that starts like a formula as text", () => {
+  assert.equal(
+    Csv.stringify([["=1+1", "+1", "-1", "@SUM(A1)", "\tx"]]),
+    "'=1+1,'+1,'-1,'@SUM(A1),'\tx\r\n"
+  );
+  assert.equal(
+    Csv.stringify([['=HYPERLINK("x")']]),
+    '"\'=HYPERLINK(""x"")"\r\n'
+  );
+});
+
+test("stringify writes negative numbers as numbers", () => {
+  assert.equal(Csv.stringify([[-3, 0, null]]), "-3,0,\r\n");
+});
@@ -0,0 +1,163 @@
+// Run in a zone with DST, so host clock changes fall inside the tested days
+process.env.TZ = "America/New_York";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const DateEngine = require("../date-engine.js");
+
+const date = (iso) => DateEngine.parseISODate(iso);
+const iso = (value) => DateEngine.formatISODate(value);
+
+test("a 29 February birthday follows the leap-day policy", () => {
+  const birth = date("2000-02-29");
+
+  const feb28 = DateEngine.calculateAge(birth, date("2023-02-28"), {
+    leapDayPolicy: "feb28",
+  });
+  assert.equal(feb28.years, 23);
+  assert.equal(feb28.daysUntilBirthday, 0);
+  assert.equal(feb28.leapDayPolicy, "feb28");
+
+  const mar1 = DateEngine.calculateAge(birth, date("2023-02-28"), {
+    leapDayPolicy: "mar1",
+  });
+  assert.equal(mar1.years, 22);
+  assert.equal(iso(mar1.nextBirthday), "2023-03-01");
+
+  assert.equal(
+    iso(DateEngine.getBirthdayInYear(birth, 2024, "feb28")),
+    "2024-02-29"
+  );
+  assert.equal(
+    DateEngine.calculateAge(date("2000-03-01"), date("2023-03-01"))
+      .leapDayPolicy,
+    null
+  );
+});
+
+test("day totals are counted in calendar days across DST changes", () => {
+  assert.equal(
+    DateEngine.daysBetween(date("2024-03-09"), date("2024-03-11")),
+    2
+  );
+  assert.equal(
+    DateEngine.calculateDifference(date("2024-01-01"), date("2025-01-01"))
+      .totalDays,
+    366
+  );
+  assert.equal(
+    DateEngine.calculateAge(date("2024-11-02"), date("2024-11-04")).totalDays,
+    2
+  );
+});
+
+test("zoned dates keep wall times the host clock skips", () => {
+  const instant = new Date("2024-03-09T17:30:00Z");
+  const tokyo = DateEngine.toZonedDate(instant, "Asia/Tokyo");
+
+  // 02:30 on 10 March is in the host's spring-forward gap
+  assert.equal(tokyo.getUTCHours(), 2);
+  assert.equal(tokyo.getUTCMinutes(), 30);
+  assert.equal(iso(DateEngine.getZonedDay(tokyo)), "2024-03-10");
+  assert.equal(
+    DateEngine.fromZonedDate(tokyo, "Asia/Tokyo").toISOString(),
+    instant.toISOString()
+  );
+});
+
+test("time zone round trips resolve DST gaps and overlaps", () => {
+  const wallTime = (year, month, day, hours, minutes, timeZone) =>
+    DateEngine.fromZonedDate(
+      DateEngine.createZonedDate(year, month, day, hours, minutes),
+      timeZone
+    ).toISOString();
+
+  // A skipped time moves forward, 02:30 to 03:30
+  assert.equal(
+    wallTime(2024, 3, 10, 2, 30, "America/New_York"),
+    "2024-03-10T07:30:00.000Z"
+  );
+  assert.equal(
+    wallTime(2024, 3, 31, 2, 30, "Europe/Berlin"),
+    "2024-03-31T01:30:00.000Z"
+  );
+  // A repeated time is taken at its first occurrence
+  assert.equal(
+    wallTime(2024, 11, 3, 1, 30, "America/New_York"),
+    "2024-11-03T05:30:00.000Z"
+  );
+  assert.equal(
+    wallTime(2024, 10, 27, 2, 30, "Europe/Berlin"),
+    "2024-10-27T00:30:00.000Z"
+  );
+  // Years 0-99 stay as they are
+  assert.equal(wallTime(50, 6, 1, 12, 0, "UTC"), "0050-06-01T12:00:00.000Z");
+});
+
+test("a timed age is measured on wall-clock time", () => {
+  const age = DateEngine.calculateAge(
+    DateEngine.createZonedDate(2024, 3, 10, 2, 30),
+    DateEngine.createZonedDate(2024, 3, 11, 1, 0),
+    { withTime: true }
+  );
+
+  assert.deepEqual(
+    [age.days, age.totalDays, age.hours, age.minutes],
+    [0, 0, 22, 30]
+  );
+});
+
+test("dates convert to and from other calendars", () => {
+  const day = date("2024-03-10");
+
+  DateEngine.CALENDARS.filter(DateEngine.supportsCalendar).forEach(
+    (calendar) => {
+      const {
+        year,
+        month,
+        day: dayOfMonth,
+      } = DateEngine.toCalendarDate(day, calendar);
+      assert.equal(
+        iso(DateEngine.fromCalendarDate(year, month, dayOfMonth, calendar)),
+        "2024-03-10",
+        calendar
+      );
+    }
+  );
+
+  assert.deepEqual(DateEngine.toCalendarDate(day, "hebrew"), {
+    year: 5784,
+    month: 6,
+    day: 30,
+    label: "Adar I",
+  });
+  assert.equal(DateEngine.fromCalendarDate(1402, 13, 1, "persian"), null);
+});
+
+test("dates before the Gregorian switch are read as Julian", () => {
+  const britain = date("1752-09-14");
+
+  assert.equal(
+    iso(DateEngine.fromHistoricalDate(1752, 9, 2, britain)),
+    "1752-09-13"
+  );
+  // The days dropped by the switch never happened
+  assert.equal(DateEngine.fromHistoricalDate(1752, 9, 10, britain), null);
+  // 1700 was a leap year in the Julian calendar only
+  assert.equal(
+    iso(DateEngine.fromHistoricalDate(1700, 2, 29, britain)),
+    "1700-03-11"
+  );
+  assert.deepEqual(DateEngine.toHistoricalDate(date("1752-09-13"), britain), {
+    year: 1752,
+    month: 9,
+    day: 2,
+    julian: true,
+  });
+  assert.deepEqual(DateEngine.toHistoricalDate(date("1752-09-14"), britain), {
+    year: 1752,
+    month: 9,
+    day: 14,
+    julian: false,
+  });
+});